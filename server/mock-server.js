@@ -0,0 +1,366 @@
+// Local JSON REST API for the course scheduler, for development and tests.
+// Usage: npm run mock-server   (PORT=4000 by default, MOCK_DATA_FILE=path.json to persist between runs)
+// Then start the app with REACT_APP_API_URL=http://localhost:4000/api
+//
+// The store has the same shape as the app's data object; registrations live on the student
+// records but are exposed as their own resource so the server can enforce seats and conflicts.
+
+const http = require("http");
+const fs = require("fs");
+const crypto = require("crypto");
+const { calendarIcs } = require("../src/ics");
+
+// Same PBKDF2-SHA256 scheme as the app's hashPassword, so hashes made on either side check out on both.
+const PBKDF2_ITERATIONS = 100000;
+// Same lockout as the app's: five wrong passwords in a row lock the account for 15 minutes.
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+function hashPassword(password, salt = crypto.randomBytes(16), iterations = PBKDF2_ITERATIONS) {
+  return { salt: salt.toString("hex"), hash: crypto.pbkdf2Sync(password, salt, iterations, 32, "sha256").toString("hex"), iterations };
+}
+
+function verifyPassword(user, password) {
+  if (!user.passwordHash || typeof password !== "string") return false;
+  const { salt, hash, iterations } = user.passwordHash;
+  const expected = Buffer.from(hash, "hex");
+  const candidate = crypto.pbkdf2Sync(password, Buffer.from(salt, "hex"), iterations, expected.length, "sha256");
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Plaintext passwords (the app's seed data, older data files) are hashed before they are stored.
+function withHashedPassword(user) {
+  if (typeof user.password !== "string") return user;
+  const { password, ...rest } = user;
+  return { ...rest, passwordHash: hashPassword(password) };
+}
+
+function createStore(initial) {
+  const data = initial || { users: { admins: [], students: [] }, courses: [] };
+  const users = Object.fromEntries(Object.entries(data.users).map(([list, records]) => [list, records.map(withHashedPassword)]));
+  return { data: { ...data, users } };
+}
+
+function timeToMinutes(t) {
+  const [hh, mm] = t.split(":").map(Number);
+  return hh * 60 + mm;
+}
+
+// Same rules as the app: a course without sections is a single lecture.
+function courseSections(course) {
+  if (course.sections && course.sections.length) return course.sections;
+  return [{ id: "L1", type: "Lecture", days: course.days || [], start: course.start, end: course.end, seats: course.seats }];
+}
+
+function courseDates(data, course) {
+  const term = (data.terms || []).find((t) => t.id === course.termId);
+  if (term) return { start: term.start, end: term.end };
+  const m = /(\d{4}-\d{2}-\d{2})\s*to\s*(\d{4}-\d{2}-\d{2})/.exec(course.dateRange || "");
+  return m ? { start: m[1], end: m[2] } : null;
+}
+
+function meetingsClash(a, b) {
+  if (a.dates && b.dates && !(a.dates.start <= b.dates.end && b.dates.start <= a.dates.end)) return false;
+  if (!a.days.some((d) => b.days.includes(d))) return false;
+  return Math.max(timeToMinutes(a.start), timeToMinutes(b.start)) < Math.min(timeToMinutes(a.end), timeToMinutes(b.end));
+}
+
+function chosenSections(student, course) {
+  const chosen = (student.sections || {})[course.id];
+  if (chosen && chosen.length) return chosen;
+  const sections = courseSections(course);
+  return [...new Set(sections.map((s) => s.type))].map((t) => sections.find((s) => s.type === t).id);
+}
+
+function holders(data, course, sectionId) {
+  return data.users.students.filter((s) => (s.registrations || []).includes(course.id) && (!sectionId || chosenSections(s, course).includes(sectionId)));
+}
+
+// Returns an error message when the registration would overbook or clash, else null.
+function registrationProblem(data, student, course, sectionIds) {
+  const others = data.users.students.filter((s) => s !== student);
+  const view = { ...data, users: { ...data.users, students: others } };
+  if (holders(view, course).length >= (course.seats || 9999)) return `No seats available in ${course.id}`;
+  const sections = courseSections(course).filter((s) => sectionIds.includes(s.id));
+  if (!sections.length) return "Unknown sections";
+  const full = sections.find((s) => holders(view, course, s.id).length >= (s.seats || course.seats || 9999));
+  if (full) return `No seats available in ${full.type} ${full.id}`;
+  const dates = courseDates(data, course);
+  const mine = data.courses
+    .filter((c) => c.id !== course.id && (student.registrations || []).includes(c.id))
+    .flatMap((c) => courseSections(c).filter((s) => chosenSections(student, c).includes(s.id)).map((s) => ({ ...s, dates: courseDates(data, c) })));
+  if (sections.some((s) => mine.some((m) => meetingsClash(m, { ...s, dates })))) return "Cannot register due to a schedule conflict";
+  return null;
+}
+
+function withoutCourse(student, courseId) {
+  const sections = { ...(student.sections || {}) };
+  delete sections[courseId];
+  return { ...student, registrations: (student.registrations || []).filter((r) => r !== courseId), sections };
+}
+
+// The feed serves the same calendar as the app's "Export to calendar", built by the shared calendarIcs.
+function timetableIcs(data, student, now = new Date()) {
+  const meetings = data.courses
+    .filter((c) => (student.registrations || []).includes(c.id) && courseDates(data, c))
+    .flatMap((course) => {
+      const term = (data.terms || []).find((t) => t.id === course.termId);
+      const datesText = term ? `${term.name} (${term.start} to ${term.end})` : course.dateRange;
+      return courseSections(course)
+        .filter((s) => chosenSections(student, course).includes(s.id))
+        .map((section) => ({ course, section, dates: courseDates(data, course), holidays: term && term.holidays, datesText }));
+    });
+  return calendarIcs(student, meetings, now);
+}
+
+// What the API shows of a user: no registrations (see /registrations), no password hash and no tokens.
+function publicUser(user) {
+  const { registrations, sections, password, passwordHash, calendarToken, apiToken, ...rest } = user;
+  return rest;
+}
+
+// Who sent a request: the active user whose token (from POST /login) is in the Authorization header,
+// as { list, user }, else null. Until the server holds any users, anyone may write as an admin, so the
+// app can seed it.
+function callerFor(data, headers) {
+  if (!Object.values(data.users).some((list) => list.length)) return { list: "admins", user: null };
+  const token = /^Bearer (\S+)$/.exec(headers.authorization || "");
+  for (const [list, users] of Object.entries(token ? data.users : {})) {
+    const user = users.find((u) => u.apiToken === token[1] && !u.deactivated);
+    if (user) return { list, user };
+  }
+  return null;
+}
+
+// Fields of a user record that only the server changes, and that a PUT keeps.
+const SERVER_FIELDS = ["registrations", "sections", "overrides", "calendarToken", "apiToken", "failedLogins", "lockedUntil"];
+
+// Returns why the caller may not write record over existing, else null. An admin may write any user.
+// Anyone else logged in may change their own password and inbox, add notices to others' inboxes and
+// note when a student registered (a waitlist promotion does both for the students it moves up), and an
+// instructor may record students' grades.
+function userWriteProblem(caller, list, existing, record) {
+  if (caller?.list === "admins") return null;
+  if (!caller) return "Log in to change users";
+  if (!existing) return "Only an admin can add users";
+  const own = caller.list === list && caller.user.username === existing.username;
+  const allowed = ["notices", "registeredAt", ...(own ? ["passwordHash", "mustChangePassword"] : []), ...(caller.list === "instructors" && list === "students" ? ["completed", "history"] : [])];
+  const same = (key) => JSON.stringify(record[key]) === JSON.stringify(existing[key]);
+  const changed = [...new Set([...Object.keys(record), ...Object.keys(existing)])].filter((key) => !SERVER_FIELDS.includes(key) && !same(key));
+  const denied = changed.find((key) => !allowed.includes(key));
+  if (denied) return `Only an admin can change ${denied} of ${existing.username}`;
+  if (changed.includes("mustChangePassword") && !changed.includes("passwordHash")) return "Choose a new password to finish the reset";
+  const before = existing.notices || [];
+  if (!own && changed.includes("notices") && JSON.stringify((record.notices || []).slice(0, before.length)) !== JSON.stringify(before)) {
+    return `Only ${existing.username} can change their notices`;
+  }
+  return null;
+}
+
+// Pure request handler: returns { status, body } and mutates store.data. headers have lower-case names.
+// The data's revision goes up with every write, and a save sent as one POST /batch
+// { revision, requests: [{ method, path, body }] } is applied only if it names the current revision
+// and all of its requests succeed, so a stale client can't overwrite newer data and a refused save
+// leaves nothing half-written.
+function handleRequest(store, method, path, body, headers = {}) {
+  const resource = new URL(path, "http://localhost").pathname.replace(/^\/api\/?/, "").split("/")[0];
+  const revision = store.data.revision || 0;
+  if (resource === "batch" && method === "POST") {
+    if ((body.revision || 0) !== revision) return { status: 409, body: { error: "the data was changed elsewhere first" } };
+    const caller = callerFor(store.data, headers); // as of before the batch, which may seed the first users
+    const scratch = { data: store.data };
+    for (const r of body.requests || []) {
+      const result = route(scratch, r.method, r.path, r.body, caller);
+      if (result.status >= 400) return result;
+    }
+    store.data = { ...scratch.data, revision: revision + 1 };
+    return { status: 200, body: { revision: revision + 1 } };
+  }
+  const result = route(store, method, path, body, callerFor(store.data, headers));
+  if (method !== "GET" && resource !== "login" && result.status < 400) store.data = { ...store.data, revision: revision + 1 };
+  return result;
+}
+
+function route(store, method, path, body, caller) {
+  const admin = caller?.list === "admins";
+  const data = store.data;
+  const url = new URL(path, "http://localhost");
+  const parts = url.pathname.replace(/^\/api\/?/, "").split("/").filter(Boolean).map(decodeURIComponent);
+  const [resource, a, b] = parts;
+
+  if (resource === "courses") {
+    if (method === "GET" && !a) return { status: 200, body: data.courses };
+    if ((method === "PUT" || method === "DELETE") && a && !admin) return { status: 403, body: { error: "Only an admin can change courses" } };
+    if (method === "PUT" && a) {
+      const exists = data.courses.some((c) => c.id === a);
+      store.data = { ...data, courses: exists ? data.courses.map((c) => (c.id === a ? body : c)) : [...data.courses, body] };
+      return { status: 200, body };
+    }
+    if (method === "DELETE" && a) {
+      store.data = { ...data, courses: data.courses.filter((c) => c.id !== a), users: { ...data.users, students: data.users.students.map((s) => withoutCourse(s, a)) } };
+      return { status: 204, body: null };
+    }
+  }
+
+  if (resource === "users") {
+    if (method === "GET" && !a) {
+      const users = {};
+      for (const [list, records] of Object.entries(data.users)) users[list] = records.map(publicUser);
+      return { status: 200, body: users };
+    }
+    if (method === "PUT" && a && b) {
+      const list = data.users[a] || [];
+      const existing = list.find((u) => u.username === b);
+      // registrations are only changed through /registrations, overrides through /overrides, the password
+      // hash only by sending a new one, and tokens and failed login counts only by the server
+      const { registrations, sections, overrides, calendarToken, apiToken, failedLogins, lockedUntil, ...fields } = withHashedPassword(body);
+      const record = existing ? { ...fields, registrations: existing.registrations, sections: existing.sections } : { ...fields, registrations, sections };
+      if (!record.passwordHash && existing?.passwordHash) record.passwordHash = existing.passwordHash;
+      for (const key of ["overrides", "calendarToken", "apiToken"]) if (existing?.[key]) record[key] = existing[key];
+      // a new password unlocks the account
+      const reset = JSON.stringify(record.passwordHash) !== JSON.stringify(existing?.passwordHash);
+      if (existing && !reset) Object.assign(record, { failedLogins: existing.failedLogins, lockedUntil: existing.lockedUntil });
+      const problem = userWriteProblem(caller, a, existing, record);
+      if (problem) return { status: 403, body: { error: problem } };
+      if (a === "students" && !record.registrations) record.registrations = [];
+      store.data = { ...data, users: { ...data.users, [a]: existing ? list.map((u) => (u.username === b ? record : u)) : [...list, record] } };
+      return { status: 200, body: publicUser(record) };
+    }
+    if (method === "DELETE" && a && b) {
+      if (!admin) return { status: 403, body: { error: "Only an admin can delete users" } };
+      store.data = { ...data, users: { ...data.users, [a]: (data.users[a] || []).filter((u) => u.username !== b) } };
+      return { status: 204, body: null };
+    }
+  }
+
+  if (resource === "registrations") {
+    if (method === "GET" && !a) {
+      const regs = data.users.students.flatMap((s) => (s.registrations || []).map((courseId) => {
+        const course = data.courses.find((c) => c.id === courseId);
+        return { username: s.username, courseId, sectionIds: course ? chosenSections(s, course) : [] };
+      }));
+      return { status: 200, body: regs };
+    }
+    // creates a registration, or changes its sections
+    if (method === "POST" && !a) {
+      const student = data.users.students.find((s) => s.username === body.username);
+      const course = data.courses.find((c) => c.id === body.courseId);
+      if (!student || !course) return { status: 404, body: { error: "Unknown student or course" } };
+      // besides an admin and the student, whoever's change frees a seat may move the next student up from the waitlist
+      const self = caller?.list === "students" && caller.user.username === student.username;
+      if (!admin && !self && !(caller && (data.waitlists?.[course.id] || []).includes(student.username))) {
+        return { status: 403, body: { error: `Only an admin or ${student.username} can register ${student.username}` } };
+      }
+      // an admin override (kept on the student record) skips the seat and conflict checks
+      const problem = student.overrides?.[course.id] ? null : registrationProblem(data, student, course, body.sectionIds || []);
+      if (problem) return { status: 409, body: { error: problem } };
+      const updated = { ...withoutCourse(student, course.id) };
+      updated.registrations = [...updated.registrations, course.id];
+      updated.sections = { ...updated.sections, [course.id]: body.sectionIds };
+      store.data = { ...data, users: { ...data.users, students: data.users.students.map((s) => (s === student ? updated : s)) } };
+      return { status: 201, body };
+    }
+    if (method === "DELETE" && a && b) {
+      if (!admin && !(caller?.list === "students" && caller.user.username === a)) return { status: 403, body: { error: `Only an admin or ${a} can drop ${a}` } };
+      store.data = { ...data, users: { ...data.users, students: data.users.students.map((s) => (s.username === a ? withoutCourse(s, b) : s)) } };
+      return { status: 204, body: null };
+    }
+  }
+
+  // an admin granting or revoking a student's seat and conflict override:
+  // PUT /overrides/:username/:courseId { reason }, DELETE /overrides/:username/:courseId
+  if (resource === "overrides" && a && b && (method === "PUT" || method === "DELETE")) {
+    if (!admin) return { status: 403, body: { error: "Only an admin can change overrides" } };
+    const student = data.users.students.find((s) => s.username === a);
+    if (!student) return { status: 404, body: { error: "Unknown student" } };
+    const overrides = { ...student.overrides };
+    if (method === "PUT") overrides[b] = body.reason;
+    else delete overrides[b];
+    store.data = { ...data, users: { ...data.users, students: data.users.students.map((s) => (s === student ? { ...s, overrides } : s)) } };
+    return method === "PUT" ? { status: 200, body } : { status: 204, body: null };
+  }
+
+  // password check for logins, so hashes never leave the server: POST /login { list, username, password }
+  // The user gets the token that identifies them on writes (apiToken), and a student also the token for
+  // their calendar feed, each made on first login and kept after that. Wrong passwords are counted here, and a locked (423) or
+  // deactivated (403) account is refused even with the right one.
+  if (resource === "login" && method === "POST" && !a) {
+    const user = (data.users[body.list] || []).find((u) => u.username === body.username);
+    const now = Date.now();
+    const update = (fields) => {
+      store.data = { ...data, users: { ...data.users, [body.list]: data.users[body.list].map((u) => (u === user ? { ...u, ...fields } : u)) } };
+    };
+    if (!user) return { status: 401, body: { error: "Invalid credentials" } };
+    if (user.lockedUntil > now) return { status: 423, body: { error: "Account locked", lockedUntil: user.lockedUntil } };
+    if (!verifyPassword(user, body.password)) {
+      const failedLogins = (user.failedLogins || 0) + 1;
+      const locked = failedLogins >= MAX_FAILED_LOGINS;
+      update({ failedLogins: locked ? 0 : failedLogins, lockedUntil: locked ? now + LOCKOUT_MS : null });
+      return locked ? { status: 423, body: { error: "Account locked", lockedUntil: now + LOCKOUT_MS } } : { status: 401, body: { error: "Invalid credentials" } };
+    }
+    if (user.deactivated) return { status: 403, body: { error: "Account deactivated" } };
+    const keys = body.list === "students" ? ["apiToken", "calendarToken"] : ["apiToken"];
+    const tokens = Object.fromEntries(keys.map((key) => [key, user[key] || crypto.randomBytes(16).toString("hex")]));
+    update({ failedLogins: 0, lockedUntil: null, ...tokens });
+    return { status: 200, body: { ...publicUser(user), ...tokens } };
+  }
+
+  // read-only timetable feed: GET /calendar/:username.ics?token=... (an unknown student or a wrong token is a 404)
+  if (resource === "calendar" && method === "GET") {
+    const token = url.searchParams.get("token");
+    const student = data.users.students.find((s) => `${s.username}.ics` === a);
+    if (!student || !student.calendarToken || token !== student.calendarToken) return { status: 404, body: { error: "Unknown calendar" } };
+    return { status: 200, body: timetableIcs(data, student), type: "text/calendar; charset=utf-8" };
+  }
+
+  // everything else in the data object (terms, waitlists, the audit log, ...), with the data's revision
+  if (resource === "meta") {
+    const { users, courses, revision = 0, ...meta } = data;
+    if (method === "GET") return { status: 200, body: { ...meta, revision } };
+    if (method === "PUT") {
+      if (!caller) return { status: 403, body: { error: "Log in to change the data" } };
+      const { revision: ignored, ...fields } = body;
+      store.data = { ...fields, revision, users, courses };
+      return { status: 204, body: null };
+    }
+  }
+
+  return { status: 404, body: { error: `No route for ${method} ${path}` } };
+}
+
+function createMockServer(store = createStore(), onChange = () => {}) {
+  return http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let result;
+      try {
+        result = handleRequest(store, req.method, req.url, raw ? JSON.parse(raw) : undefined, req.headers);
+      } catch (e) {
+        result = { status: 400, body: { error: e.message } };
+      }
+      if (req.method !== "GET" && result.status < 400) onChange(store.data);
+      res.writeHead(result.status, { "Content-Type": result.type || "application/json" });
+      res.end(result.body === null ? undefined : result.type ? result.body : JSON.stringify(result.body));
+    });
+  });
+}
+
+if (require.main === module) {
+  const file = process.env.MOCK_DATA_FILE;
+  const initial = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : undefined;
+  const port = Number(process.env.PORT) || 4000;
+  const save = file ? (data) => fs.writeFileSync(file, JSON.stringify(data, null, 2)) : undefined;
+  createMockServer(createStore(initial), save).listen(port, () => {
+    console.log(`Mock API listening on http://localhost:${port}/api${file ? ` (persisting to ${file})` : ""}`);
+  });
+}
+
+module.exports = { createStore, handleRequest, createMockServer };
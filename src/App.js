@@ -1,12 +1,32 @@
-import React, { useState, useEffect } from "react";
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from "react";
+import { calendarIcs } from "./ics";
 
 // Single-file React app (App.jsx)
 // Usage: paste into src/App.jsx of a Create-React-App or Vite React project and run.
-// Data persists in localStorage under key: course_scheduler_data
+// Data persists in localStorage under key: course_scheduler_data,
+// or in the REST API at REACT_APP_API_URL when set (see server/mock-server.js).
+// The login session persists under key: course_scheduler_session
+// Language, clock and week-start preferences persist under key: course_scheduler_prefs
+// Set REACT_APP_DEMO_MODE=true to offer the "Show demo accounts" button on the login screens.
 
 const STORAGE_KEY = "course_scheduler_data";
+const BACKUP_KEY = "course_scheduler_data_backup";
+// Bump together with a new entry in MIGRATIONS whenever the shape of the data changes.
+const SCHEMA_VERSION = 11;
+const SESSION_KEY = "course_scheduler_session";
+const PREFS_KEY = "course_scheduler_prefs";
+const DEMO_MODE = process.env.REACT_APP_DEMO_MODE === "true";
 
+const PBKDF2_ITERATIONS = 100000;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Seed passwords are plaintext here and hashed on first load (see hashLegacyPasswords).
 const defaultData = {
+  schemaVersion: SCHEMA_VERSION,
   users: {
     admins: [
       { username: "admin1", password: "admin1", name: "Admin One" },
@@ -14,492 +34,4526 @@ const defaultData = {
     ],
     students: [
       { username: "student1", password: "student1", name: "Student One", registrations: [] },
-      { username: "student2", password: "student2", name: "Student Two", registrations: [] },
+      { username: "student2", password: "student2", name: "Student Two", registrations: [], completed: ["CSE101", "MAT201"] },
+    ],
+    // availability windows are weekly; an empty list means always available
+    instructors: [
+      { username: "inst1", password: "inst1", name: "Dr. Ada Byron", email: "ada@example.edu", maxCourses: 3, availability: [] },
+      { username: "inst2", password: "inst2", name: "Dr. Alan Church", email: "alan@example.edu", maxCourses: 2, availability: [1, 2, 3, 4, 5].map((day) => ({ day, start: "09:00", end: "17:00" })) },
     ],
   },
+  // section rooms refer to these IDs; a blank capacity is not checked
+  rooms: [
+    { id: "Hall A", name: "Main building, hall A", capacity: 120, availability: [] },
+    { id: "Hall B", name: "Main building, hall B", capacity: 60, availability: [] },
+    { id: "Lab 1", name: "Computer lab 1", capacity: 20, availability: [] },
+    { id: "Room 12", name: "Seminar room 12", capacity: 30, availability: [] },
+  ],
   courses: [
     {
       id: "CSE101",
       name: "Introduction to Programming",
       code: "CSE101",
       description: "Basics of programming in Python: variables, loops, functions.",
-      days: ["Mon", "Wed"],
-      start: "09:00",
-      end: "10:30",
-      dateRange: "2025-12-01 to 2026-03-30",
+      sections: [
+        { id: "L1", type: "Lecture", days: [1, 3], start: "09:00", end: "10:30", room: "Hall A", seats: 30 },
+        { id: "B1", type: "Lab", days: [5], start: "09:00", end: "11:00", room: "Lab 1", seats: 15 },
+        { id: "B2", type: "Lab", days: [5], start: "13:00", end: "15:00", room: "Lab 1", seats: 15 },
+      ],
+      termId: "2025W",
       seats: 30,
+      instructorId: "inst1",
     },
     {
       id: "MAT201",
       name: "Discrete Mathematics",
       code: "MAT201",
       description: "Logic, sets, relations, combinatorics and graph theory.",
-      days: ["Tue", "Thu"],
-      start: "11:00",
-      end: "12:30",
-      dateRange: "2025-12-01 to 2026-03-30",
+      sections: [
+        { id: "L1", type: "Lecture", days: [2, 4], start: "11:00", end: "12:30", room: "Hall B", seats: 25 },
+      ],
+      termId: "2025W",
       seats: 25,
+      instructorId: "inst2",
+    },
+    {
+      id: "CSE201",
+      name: "Algorithms",
+      code: "CSE201",
+      description: "Sorting, searching, graph algorithms and complexity analysis.",
+      sections: [
+        { id: "L1", type: "Lecture", days: [1, 3], start: "13:00", end: "14:30", room: "Hall A", seats: 20 },
+        { id: "T1", type: "Tutorial", days: [4], start: "14:00", end: "15:00", room: "Room 12", seats: 20 },
+      ],
+      termId: "2025W",
+      seats: 20,
+      instructorId: "inst2",
+      // every group must be met; any one course within a group meets it
+      prerequisites: [["CSE101"], ["MAT201"]],
+      corequisites: [],
+    },
+    {
+      id: "CSE102",
+      name: "Object-Oriented Programming",
+      code: "CSE102",
+      description: "Classes, objects, inheritance and testing in Java.",
+      sections: [
+        { id: "L1", type: "Lecture", days: [1, 3], start: "09:00", end: "10:30", room: "Hall A", seats: 30 },
+      ],
+      termId: "2026S",
+      seats: 30,
+      instructorId: "inst1",
+      prerequisites: [["CSE101"]],
+      corequisites: [],
     },
   ],
+  // dates are ISO (YYYY-MM-DD); empty deadlines mean changes are always allowed
+  terms: [
+    { id: "2025W", name: "Winter 2025-26", start: "2025-12-01", end: "2026-03-30", holidays: ["2025-12-25", "2026-01-01"], addDeadline: "", dropDeadline: "" },
+    { id: "2026S", name: "Spring 2026", start: "2026-04-06", end: "2026-07-31", holidays: ["2026-05-25"], addDeadline: "", dropDeadline: "" },
+  ],
+  waitlists: {},
+  attendance: {},
+  conflictLog: [],
+  auditLog: [],
 };
 
+// Days are ISO weekday numbers, Monday = 1 to Sunday = 7; their names come from Intl in the user's locale.
+const DAYS = [1, 2, 3, 4, 5, 6, 7];
+// English abbreviations, kept for CSV files and the other places where days are typed as text.
+const DAY_CODES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const SECTION_TYPES = ["Lecture", "Lab", "Tutorial"];
+
+const emptySection = { id: "L1", type: "Lecture", days: [], start: "09:00", end: "10:00", room: "", seats: "" };
+const emptyInstructor = { username: "", password: "", name: "", email: "", maxCourses: "", availability: [] };
+const emptyRoom = { id: "", name: "", capacity: "", availability: [] };
+const emptyTerm = { id: "", name: "", start: "", end: "", holidays: [], addDeadline: "", dropDeadline: "" };
+const emptyCourse = { id: "", name: "", code: "", description: "", sections: [emptySection], seats: 30, termId: "", instructorId: "", prerequisites: [], corequisites: [] };
+
+// MIGRATIONS[n] upgrades a payload from schema version n to n + 1. Payloads saved before
+// versioning have no schemaVersion and start at 0.
+const MIGRATIONS = [
+  // 0 -> 1: single-block courses (days/start/end) become one lecture section
+  (data) => ({
+    ...data,
+    courses: (data.courses || []).map((c) => {
+      if (c.sections) return c;
+      const { days, start, end, ...rest } = c;
+      return { ...rest, sections: courseSections(c) };
+    }),
+  }),
+  // 1 -> 2: free-text "YYYY-MM-DD to YYYY-MM-DD" date ranges become terms
+  (data) => {
+    const terms = [...(data.terms || [])];
+    const courses = (data.courses || []).map((c) => {
+      const dates = !c.termId && courseDates({ terms: [] }, c);
+      if (!dates) return c;
+      let term = terms.find((t) => t.start === dates.start && t.end === dates.end);
+      if (!term) {
+        term = { id: `T${dates.start}`, name: `${dates.start} to ${dates.end}`, start: dates.start, end: dates.end, holidays: [], addDeadline: "", dropDeadline: "" };
+        terms.push(term);
+      }
+      const { dateRange, ...rest } = c;
+      return { ...rest, termId: term.id };
+    });
+    return { ...data, terms, courses };
+  },
+  // 2 -> 3: defaults for waitlists, requirements and per-student records
+  (data) => ({
+    ...data,
+    waitlists: data.waitlists || {},
+    courses: (data.courses || []).map((c) => ({ prerequisites: [], corequisites: [], ...c })),
+    users: { ...data.users, students: (data.users?.students || []).map((st) => ({ registrations: [], sections: {}, completed: [], notices: [], ...st })) },
+  }),
+  // 3 -> 4: instructors and rooms become records; every room named by a section gets one (capacity unknown)
+  (data) => {
+    const roomIds = [...new Set((data.courses || []).flatMap((c) => (c.sections || []).map((sec) => sec.room)).filter(Boolean))];
+    return {
+      ...data,
+      rooms: data.rooms || roomIds.map((id) => ({ ...emptyRoom, id, name: id })),
+      users: { ...data.users, instructors: data.users?.instructors || [] },
+      courses: (data.courses || []).map((c) => ({ instructorId: "", ...c })),
+    };
+  },
+  // 4 -> 5: attendance records and graded course history
+  (data) => ({
+    ...data,
+    attendance: data.attendance || {},
+    users: { ...data.users, students: data.users.students.map((st) => ({ history: [], ...st })) },
+  }),
+  // 5 -> 6: registration times and failed attempts for analytics; older registrations stay undated
+  (data) => ({
+    ...data,
+    conflictLog: data.conflictLog || [],
+    users: { ...data.users, students: data.users.students.map((st) => ({ registeredAt: {}, ...st })) },
+  }),
+  // 6 -> 7: audit log
+  (data) => ({ ...data, auditLog: data.auditLog || [] }),
+  // 7 -> 8: every account gets an inbox; older student notices become unread notifications
+  (data) => ({
+    ...data,
+    users: Object.fromEntries(Object.entries(data.users).map(([list, users]) => [list, users.map((u) => ({ ...u, notices: (u.notices || []).map((n, i) => ({ id: `${u.username}-${i}`, kind: "info", read: false, ...n })) }))])),
+  }),
+  // 8 -> 9: days become ISO weekday numbers instead of English abbreviations
+  (data) => {
+    const day = (d) => DAY_CODES.indexOf(d) + 1 || d;
+    const windows = (record) => ({ ...record, availability: (record.availability || []).map((w) => ({ ...w, day: day(w.day) })) });
+    return {
+      ...data,
+      courses: data.courses.map((c) => ({ ...c, sections: (c.sections || []).map((sec) => ({ ...sec, days: (sec.days || []).map(day) })) })),
+      rooms: (data.rooms || []).map(windows),
+      users: { ...data.users, instructors: (data.users.instructors || []).map(windows) },
+    };
+  },
+  // 9 -> 10: the audit log drops credentials, keeps only the changed fields of edits, and is capped
+  (data) => ({
+    ...data,
+    auditLog: (data.auditLog || []).slice(-AUDIT_LOG_LIMIT).map((e) => ({ ...e, changes: e.changes.map((c) => auditChange(c.kind, c.id, c.before, c.after)).filter(Boolean) })),
+  }),
+  // 10 -> 11: days in the audit log's copies of courses, rooms and instructors become ISO numbers too
+  // (missed by 8 -> 9), so undoing an older change doesn't bring English day names back
+  (data) => {
+    const day = (d) => DAY_CODES.indexOf(d) + 1 || d;
+    const convert = (record) => {
+      if (!record || typeof record !== "object") return record;
+      const next = { ...record };
+      if (Array.isArray(record.sections)) next.sections = record.sections.map((sec) => ({ ...sec, days: (sec.days || []).map(day) }));
+      if (Array.isArray(record.availability)) next.availability = record.availability.map((w) => ({ ...w, day: day(w.day) }));
+      return next;
+    };
+    const kinds = ["course", "room", "instructor"];
+    return { ...data, auditLog: data.auditLog.map((e) => ({ ...e, changes: e.changes.map((c) => (kinds.includes(c.kind) ? { ...c, before: convert(c.before), after: convert(c.after) } : c)) })) };
+  },
+];
+
+// Returns a list of problems that make the data unusable; empty when it matches the current schema.
+function validateData(data) {
+  const problems = [];
+  const isList = Array.isArray;
+  if (!data || typeof data !== "object") return ["Stored data is not an object"];
+  if (!data.users || !isList(data.users.admins) || !isList(data.users.students)) problems.push("users.admins and users.students must be lists");
+  else {
+    if (!isList(data.users.instructors)) problems.push("users.instructors must be a list");
+    for (const u of [...data.users.admins, ...data.users.students, ...(data.users.instructors || [])]) if (!u || typeof u.username !== "string") problems.push("Every user needs a username");
+    for (const st of data.users.students) if (!isList(st?.registrations)) problems.push(`Student ${st?.username} has no registrations list`);
+  }
+  if (!isList(data.courses)) problems.push("courses must be a list");
+  else {
+    for (const c of data.courses) {
+      if (!c || typeof c.id !== "string") problems.push("Every course needs an id");
+      else if (!isList(c.sections) || c.sections.some((sec) => !isList(sec.days) || !isValidTime(sec.start) || !isValidTime(sec.end))) problems.push(`Course ${c.id} has malformed sections`);
+    }
+  }
+  if (!isList(data.terms)) problems.push("terms must be a list");
+  if (!isList(data.rooms)) problems.push("rooms must be a list");
+  if (!data.waitlists || typeof data.waitlists !== "object") problems.push("waitlists must be an object");
+  return problems;
+}
+
+// Upgrades a stored payload to SCHEMA_VERSION; throws when it can't be used.
+function migrateData(stored) {
+  let data = stored;
+  let version = stored?.schemaVersion || 0;
+  if (version > SCHEMA_VERSION) throw new Error(`Saved by a newer version of the app (schema ${version})`);
+  for (; version < SCHEMA_VERSION; version++) data = MIGRATIONS[version](data);
+  const problems = validateData(data);
+  if (problems.length) throw new Error(problems.slice(0, 3).join("; "));
+  return { ...data, schemaVersion: SCHEMA_VERSION };
+}
+
+function downloadFile(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// When localStorage is full, the older half of the audit log is left out until the data fits.
+// Returns the payload that was stored.
 function saveToStorage(data) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  let next = data;
+  for (;;) {
+    const raw = JSON.stringify(next);
+    try {
+      localStorage.setItem(STORAGE_KEY, raw);
+      return raw;
+    } catch (e) {
+      const log = next.auditLog || [];
+      if (e.name !== "QuotaExceededError" || !log.length) throw e;
+      console.error(`Storage is full; dropping the ${Math.ceil(log.length / 2)} oldest audit log entries.`);
+      next = { ...next, auditLog: log.slice(Math.ceil(log.length / 2)) };
+    }
+  }
 }
 function loadFromStorage() {
   const raw = localStorage.getItem(STORAGE_KEY);
   if (!raw) return defaultData;
   try {
-    return JSON.parse(raw);
+    return migrateData(JSON.parse(raw));
   } catch (e) {
-    console.error("Failed to parse storage, resetting.");
-    return defaultData;
+    // quarantine the payload instead of discarding it, and tell the admins where it went
+    let backupKey = BACKUP_KEY;
+    const existing = localStorage.getItem(backupKey);
+    if (existing !== null && existing !== raw) backupKey = `${BACKUP_KEY}_${Date.now()}`;
+    localStorage.setItem(backupKey, raw);
+    console.error(`Stored data is unreadable (${e.message}); moved to ${backupKey}.`);
+    return { ...defaultData, recovery: { at: new Date().toISOString(), reason: e.message, backupKey } };
   }
 }
 
-function timeToMinutes(t) {
-  const [hh, mm] = t.split(":").map(Number);
-  return hh * 60 + mm;
-}
-
-function timesOverlap(aStart, aEnd, bStart, bEnd) {
-  return Math.max(aStart, bStart) < Math.min(aEnd, bEnd);
+// Storage backends share one interface:
+//   peek()     data available synchronously, or null (the app then shows a loading state)
+//   load()     Promise of the stored data, or of null when nothing has been stored yet
+//   save(data) Promise that persists data; rejects with the reason when a change is refused
+//   remote     true when saves go over the network
+//   subscribe(onChange)  optional; calls onChange when the data may have changed elsewhere, returns an unsubscribe
+//   checkPassword(type, username, password)  optional; Promise of the user's details when the password
+//              is right (a student's include their calendarToken, an admin's their apiToken), else false,
+//              or { refused: "locked" | "deactivated", lockedUntil } when the backend refuses the account.
+//              Used instead of the stored hash; the backend then also counts failed logins.
+//   calendarUrl(username, token)  optional; a subscribable .ics feed of the student's timetable
+// Other tabs share localStorage, so a save is a compare-and-set: it only goes through if the stored
+// payload is still the one this tab last read or wrote. Otherwise the tab decided (say, that a seat was
+// free) from stale data, and the save is refused rather than overwriting the other tab's changes.
+function createLocalBackend() {
+  let seen = null; // the stored payload this tab's data is based on
+  const read = () => {
+    const data = loadFromStorage();
+    seen = localStorage.getItem(STORAGE_KEY);
+    return data;
+  };
+  return {
+    remote: false,
+    peek: read,
+    load: async () => read(),
+    async save(data) {
+      const raw = JSON.stringify(data);
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (stored !== raw && stored !== seen) throw new Error("the data was changed in another tab first");
+      seen = stored === raw ? raw : saveToStorage(data);
+    },
+    subscribe(onChange) {
+      const listener = (e) => e.key === STORAGE_KEY && e.newValue !== null && onChange();
+      window.addEventListener("storage", listener);
+      return () => window.removeEventListener("storage", listener);
+    },
+  };
 }
 
-function checkConflict(courseA, courseB) {
-  // conflict if any day intersects and times overlap
-  const daysIntersection = courseA.days.some((d) => courseB.days.includes(d));
-  if (!daysIntersection) return false;
-  return timesOverlap(timeToMinutes(courseA.start), timeToMinutes(courseA.end), timeToMinutes(courseB.start), timeToMinutes(courseB.end));
+function flattenRegistrations(data) {
+  return (data.users.students || []).flatMap((s) => (s.registrations || []).map((courseId) => {
+    const course = data.courses.find((c) => c.id === courseId);
+    return { username: s.username, courseId, sectionIds: course ? studentSectionIds(s, course) : [] };
+  }));
 }
 
-function App() {
-  const [data, setData] = useState(loadFromStorage);
-  const [view, setView] = useState("home"); // home | login-admin | login-student | admin-dashboard | student-dashboard | course-desc
-  const [auth, setAuth] = useState({ type: null, user: null });
-  const [message, setMessage] = useState("");
-  const [selectedCourse, setSelectedCourse] = useState(null);
-
-  useEffect(() => {
-    saveToStorage(data);
-  }, [data]);
+// Talks to the JSON API of server/mock-server.js: /courses, /users, /registrations, plus /meta for
+// the rest of the data object. Saves send only what changed since the last sync, in an order the
+// server can apply (courses before the registrations that reference them, deletions last), as one
+// /batch that the server applies whole or not at all, and only if nothing changed since this client's load.
+// The server checks seats and conflicts against what it holds, so a stale client can't overbook.
+// Tabs tell each other about their saves over a BroadcastChannel, and a tab that becomes visible
+// again reloads, so seat counts from other users don't stay stale for long.
+// The server keeps password hashes to itself, so logins are checked with checkPassword (POST /login).
+// Writes carry the token the server gave the logged-in user at login, which it checks them against.
+function createRestBackend(baseUrl, fetchImpl = (...args) => window.fetch(...args)) {
+  let synced = null; // the state the server is known to hold
+  let revision = 0; // of the server's data, which a /batch must name (see server/mock-server.js)
+  let queue = Promise.resolve();
+  let writes = 0;
+  let channel = null;
+  const enc = encodeURIComponent;
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const record = (u) => {
+    const { registrations, sections, overrides, ...rest } = u || {};
+    return rest;
+  };
 
-  // Helpers for auth
-  function login(type, username, password) {
-    const list = type === "admin" ? data.users.admins : data.users.students;
-    const found = list.find((u) => u.username === username && u.password === password);
-    if (found) {
-      setAuth({ type, user: found });
-      setMessage("");
-      setView(type === "admin" ? "admin-dashboard" : "student-dashboard");
-    } else {
-      setMessage("Invalid credentials");
-    }
+  async function request(method, path, body) {
+    if (method !== "GET") writes++;
+    const token = loadSession()?.user?.apiToken;
+    const headers = { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const res = await fetchImpl(baseUrl + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const payload = res.status === 204 ? null : await res.json().catch(() => null);
+    if (!res.ok) throw new Error(payload?.error || `${method} ${path} failed with status ${res.status}`);
+    return payload;
   }
-  function logout() {
-    setAuth({ type: null, user: null });
-    setView("home");
+
+  async function load() {
+    await queue.catch(() => {}); // let pending saves land first so the diff base stays consistent
+    const [courses, users, registrations, { revision: metaRevision, ...meta }] = await Promise.all([request("GET", "/courses"), request("GET", "/users"), request("GET", "/registrations"), request("GET", "/meta")]);
+    synced = null;
+    revision = metaRevision || 0;
+    if (!courses.length && !Object.values(users).some((list) => list.length)) return null; // empty server, caller seeds it
+    const students = (users.students || []).map((s) => {
+      const regs = registrations.filter((r) => r.username === s.username);
+      return { ...s, registrations: regs.map((r) => r.courseId), sections: Object.fromEntries(regs.map((r) => [r.courseId, r.sectionIds])) };
+    });
+    synced = { ...meta, courses, users: { ...users, students } };
+    return synced;
   }
 
-  // Admin actions
-  function addCourse(course) {
-    if (data.courses.find((c) => c.id === course.id)) {
-      setMessage("Course with same ID already exists.");
-      return;
+  async function push(data) {
+    const prev = synced || { users: {}, courses: [] };
+    const requests = [];
+    const send = (method, path, payload) => requests.push({ method, path, body: payload });
+    for (const c of data.courses) {
+      if (!same(c, prev.courses.find((p) => p.id === c.id))) send("PUT", `/courses/${enc(c.id)}`, c);
+    }
+    for (const [list, users] of Object.entries(data.users)) {
+      for (const u of users) {
+        const old = (prev.users[list] || []).find((p) => p.username === u.username);
+        if (!old || !same(record(u), record(old))) send("PUT", `/users/${enc(list)}/${enc(u.username)}`, record(u));
+      }
+    }
+    // overrides go first, so the registrations they allow are accepted
+    for (const s of data.users.students) {
+      const was = (prev.users.students || []).find((p) => p.username === s.username)?.overrides || {};
+      const now = s.overrides || {};
+      for (const [courseId, reason] of Object.entries(now)) if (was[courseId] !== reason) send("PUT", `/overrides/${enc(s.username)}/${enc(courseId)}`, { reason });
+      for (const courseId of Object.keys(was)) if (!(courseId in now)) send("DELETE", `/overrides/${enc(s.username)}/${enc(courseId)}`);
+    }
+    const regs = flattenRegistrations(data);
+    const oldRegs = synced ? flattenRegistrations(prev) : [];
+    const key = (r) => `${r.username}/${r.courseId}`;
+    for (const r of oldRegs) {
+      if (!regs.some((n) => key(n) === key(r))) send("DELETE", `/registrations/${enc(r.username)}/${enc(r.courseId)}`);
+    }
+    for (const r of regs) {
+      const old = oldRegs.find((o) => key(o) === key(r));
+      if (!old || !same(old.sectionIds, r.sectionIds)) send("POST", "/registrations", r);
     }
-    const newData = { ...data, courses: [...data.courses, course] };
-    setData(newData);
-    setMessage("Course added");
+    for (const [list, users] of Object.entries(prev.users)) {
+      for (const u of users) if (!(data.users[list] || []).some((n) => n.username === u.username)) send("DELETE", `/users/${enc(list)}/${enc(u.username)}`);
+    }
+    for (const c of prev.courses) {
+      if (!data.courses.some((n) => n.id === c.id)) send("DELETE", `/courses/${enc(c.id)}`);
+    }
+    const { users, courses, ...meta } = data;
+    const { users: prevUsers, courses: prevCourses, ...prevMeta } = prev;
+    if (!same(meta, prevMeta)) send("PUT", "/meta", meta);
+    if (requests.length) revision = (await request("POST", "/batch", { revision, requests })).revision;
+    synced = data;
   }
-  function updateCourse(updated) {
-    const newCourses = data.courses.map((c) => (c.id === updated.id ? updated : c));
-    setData({ ...data, courses: newCourses });
-    setMessage("Course updated");
+
+  async function checkPassword(type, username, password) {
+    const res = await fetchImpl(`${baseUrl}/login`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ list: USER_LISTS[type], username, password }) });
+    if (res.status === 401) return false;
+    // the server counts wrong passwords itself, and refuses locked and deactivated accounts
+    if (res.status === 423 || res.status === 403) return { refused: res.status === 423 ? "locked" : "deactivated", lockedUntil: (await res.json()).lockedUntil };
+    if (!res.ok) throw new Error(`POST /login failed with status ${res.status}`);
+    return res.json();
   }
-  function deleteCourse(id) {
-    // remove registrations from students
-    const newStudents = data.users.students.map((s) => ({ ...s, registrations: s.registrations ? s.registrations.filter((r) => r !== id) : [] }));
-    const newCourses = data.courses.filter((c) => c.id !== id);
-    setData({ ...data, courses: newCourses, users: { ...data.users, students: newStudents } });
-    setMessage("Course deleted and registrations updated");
+
+  function subscribe(onChange) {
+    channel = typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(`course_scheduler ${baseUrl}`);
+    const onVisible = () => document.visibilityState === "visible" && onChange();
+    channel?.addEventListener("message", onChange);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      channel?.close();
+      channel = null;
+      document.removeEventListener("visibilitychange", onVisible);
+    };
   }
 
-  // student actions
-  function registerCourse(studentUsername, courseId) {
-    const course = data.courses.find((c) => c.id === courseId);
-    if (!course) return setMessage("Course not found");
+  return {
+    remote: true,
+    peek: () => null,
+    load,
+    calendarUrl: (username, token) => `${baseUrl}/calendar/${enc(username)}.ics?token=${enc(token)}`,
+    // saves run one after another so each diff starts from the previous one's result
+    save(data) {
+      queue = queue.catch(() => {}).then(async () => {
+        const before = writes;
+        await push(data);
+        if (writes !== before) channel?.postMessage("saved");
+      });
+      return queue;
+    },
+    subscribe,
+    checkPassword,
+  };
+}
 
-    // check seat
-    const registrationsCount = data.users.students.reduce((acc, s) => acc + (s.registrations?.includes(courseId) ? 1 : 0), 0);
-    if (registrationsCount >= (course.seats || 9999)) return setMessage("No seats available");
+const defaultStorage = process.env.REACT_APP_API_URL ? createRestBackend(process.env.REACT_APP_API_URL) : createLocalBackend();
 
-    // check conflict with student's existing regs
-    const student = data.users.students.find((s) => s.username === studentUsername);
-    const studentRegs = student.registrations || [];
-    const regCourses = data.courses.filter((c) => studentRegs.includes(c.id));
-    const conflict = regCourses.some((rc) => checkConflict(rc, course));
-    if (conflict) return setMessage("Cannot register due to a schedule conflict");
+// auth type -> key under data.users
+const USER_LISTS = { admin: "admins", student: "students", instructor: "instructors" };
 
-    // add
-    const newStudents = data.users.students.map((s) => s.username === studentUsername ? { ...s, registrations: [...(s.registrations || []), courseId] } : s);
-    setData({ ...data, users: { ...data.users, students: newStudents } });
-    setMessage("Registered successfully");
-  }
-  function unregisterCourse(studentUsername, courseId) {
-    const newStudents = data.users.students.map((s) => s.username === studentUsername ? { ...s, registrations: (s.registrations || []).filter((r) => r !== courseId) } : s);
-    setData({ ...data, users: { ...data.users, students: newStudents } });
-    setMessage("Unregistered");
-  }
+function userList(data, type) {
+  return data.users[USER_LISTS[type]] || [];
+}
 
-  function addUser(type, user) {
-    if (type === "admin") {
-      if (data.users.admins.find((a) => a.username === user.username)) return setMessage("Admin username taken");
-      setData({ ...data, users: { ...data.users, admins: [...data.users.admins, user] } });
-      setMessage("Admin added");
-    } else {
-      if (data.users.students.find((s) => s.username === user.username)) return setMessage("Student username taken");
-      setData({ ...data, users: { ...data.users, students: [...data.users.students, { ...user, registrations: [] }] } });
-      setMessage("Student added");
+function findUser(data, type, username) {
+  return userList(data, type).find((u) => u.username === username) || null;
+}
+
+function updateUser(data, type, username, fn) {
+  const key = USER_LISTS[type];
+  return { ...data, users: { ...data.users, [key]: data.users[key].map((u) => (u.username === username ? fn(u) : u)) } };
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+}
+
+// PBKDF2-SHA256 via Web Crypto (only available in secure contexts: https or localhost).
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", salt, iterations, hash: "SHA-256" }, key, 256);
+  return { salt: toHex(salt), hash: toHex(bits), iterations };
+}
+
+async function verifyPassword(user, password) {
+  if (!user.passwordHash) return typeof user.password === "string" && user.password === password; // not hashed yet
+  const { salt, hash, iterations } = user.passwordHash;
+  const candidate = await hashPassword(password, fromHex(salt), iterations);
+  return candidate.hash === hash;
+}
+
+function withPasswordHash(user, passwordHash) {
+  const { password, ...rest } = user;
+  return { ...rest, passwordHash };
+}
+
+// Hashes every plaintext password (seed data and older saves) and returns the upgraded data.
+async function hashLegacyPasswords(data) {
+  let next = data;
+  for (const type of Object.keys(USER_LISTS)) {
+    for (const u of userList(data, type)) {
+      if (typeof u.password !== "string") continue;
+      const passwordHash = await hashPassword(u.password);
+      next = updateUser(next, type, u.username, (cur) => withPasswordHash(cur, passwordHash));
     }
   }
+  return next;
+}
 
-  // UI pieces
-  function Home() {
-    return (
-      <div className="centered">
-        <h1>Course Scheduler</h1>
-        <div className="card actions">
-          <button onClick={() => setView("login-student")}>Student Login</button>
-          <button onClick={() => setView("login-admin")}>Admin Login</button>
-          <button onClick={() => setView("course-desc")}>Course Catalog / Descriptions</button>
-        </div>
-      </div>
-    );
-  }
+function passwordProblem(password, confirm, t = english) {
+  if (password.length < MIN_PASSWORD_LENGTH) return t("Password must be at least {count} characters", { count: MIN_PASSWORD_LENGTH });
+  if (password !== confirm) return t("Passwords do not match");
+  return null;
+}
 
-  function Login({ type }) {
-    const [username, setUsername] = useState("");
-    const [password, setPassword] = useState("");
-    const usersList = type === "admin" ? data.users.admins : data.users.students;
-    return (
-      <div className="centered">
-        <h2>{type === "admin" ? "Admin" : "Student"} Login</h2>
-        <div className="card form">
-          <label>Username</label>
-          <input value={username} onChange={(e) => setUsername(e.target.value)} />
-          <label>Password</label>
-          <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
-          <div className="row">
-            <button onClick={() => login(type, username, password)}>Login</button>
-            <button onClick={() => {
-              // show list of available demo accounts
-              setMessage("Demo accounts: " + usersList.map((u) => u.username).join(", "));
-            }}>Show demo accounts</button>
-            <button onClick={() => setView("home")}>Back</button>
-          </div>
-        </div>
-      </div>
-    );
+// Sessions expire SESSION_TTL_MS after login, or IDLE_TIMEOUT_MS after the last activity.
+function loadSession(now = Date.now()) {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session && now < session.expiresAt && now - session.lastActive < IDLE_TIMEOUT_MS) return session;
+  } catch (e) {
+    console.error("Failed to parse session.");
   }
+  localStorage.removeItem(SESSION_KEY);
+  return null;
+}
 
-  function AdminDashboard() {
-    const [editing, setEditing] = useState(null);
-    const [newCourse, setNewCourse] = useState({ id: "", name: "", code: "", description: "", days: [], start: "09:00", end: "10:00", seats: 30, dateRange: "" });
-    const [newUser, setNewUser] = useState({ username: "", password: "", name: "" });
-
-    return (
-      <div className="centered">
-        <h2>Admin Dashboard</h2>
-        <div className="row space">
-          <div className="card">
-            <h3>Courses</h3>
-            <table className="table">
-              <thead><tr><th>ID</th><th>Name</th><th>Days</th><th>Time</th><th>Seats</th><th>Actions</th></tr></thead>
-              <tbody>
-                {data.courses.map((c) => (
-                  <tr key={c.id}>
-                    <td>{c.id}</td>
-                    <td>{c.name}</td>
-                    <td>{c.days.join(", ")}</td>
-                    <td>{c.start} - {c.end}</td>
-                    <td>{c.seats}</td>
-                    <td>
-                      <button onClick={() => { setEditing(c); setNewCourse(c); }}>Edit</button>
-                      <button onClick={() => deleteCourse(c.id)}>Delete</button>
-                      <button onClick={() => { setSelectedCourse(c); setView("course-desc"); }}>View</button>
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-            <hr />
-            <h4>{editing ? "Edit course" : "Add new course"}</h4>
-            <div className="form-grid">
-              <input placeholder="ID" value={newCourse.id} onChange={(e) => setNewCourse({ ...newCourse, id: e.target.value })} />
-              <input placeholder="Name" value={newCourse.name} onChange={(e) => setNewCourse({ ...newCourse, name: e.target.value })} />
-              <input placeholder="Code" value={newCourse.code} onChange={(e) => setNewCourse({ ...newCourse, code: e.target.value })} />
-              <input placeholder="Date range" value={newCourse.dateRange} onChange={(e) => setNewCourse({ ...newCourse, dateRange: e.target.value })} />
-              <input placeholder="Start (HH:MM)" value={newCourse.start} onChange={(e) => setNewCourse({ ...newCourse, start: e.target.value })} />
-              <input placeholder="End (HH:MM)" value={newCourse.end} onChange={(e) => setNewCourse({ ...newCourse, end: e.target.value })} />
-              <input placeholder="Seats" type="number" value={newCourse.seats} onChange={(e) => setNewCourse({ ...newCourse, seats: Number(e.target.value) })} />
-              <input placeholder="Days (comma separated, e.g. Mon,Tue)" value={newCourse.days.join ? newCourse.days.join(",") : newCourse.days} onChange={(e) => setNewCourse({ ...newCourse, days: e.target.value.split(",").map(s => s.trim()) })} />
-              <textarea placeholder="Description" value={newCourse.description} onChange={(e) => setNewCourse({ ...newCourse, description: e.target.value })} />
-            </div>
-            <div className="row">
-              <button onClick={() => {
-                if (!editing) addCourse(newCourse);
-                else { updateCourse(newCourse); setEditing(null); }
-                setNewCourse({ id: "", name: "", code: "", description: "", days: [], start: "09:00", end: "10:00", seats: 30, dateRange: "" });
-              }}>{editing ? "Save" : "Add course"}</button>
-            </div>
-          </div>
+function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
 
-          <div className="card">
-            <h3>Manage users</h3>
-            <h4>Add student</h4>
-            <input placeholder="username" value={newUser.username} onChange={(e) => setNewUser({ ...newUser, username: e.target.value })} />
-            <input placeholder="password" value={newUser.password} onChange={(e) => setNewUser({ ...newUser, password: e.target.value })} />
-            <input placeholder="name" value={newUser.name} onChange={(e) => setNewUser({ ...newUser, name: e.target.value })} />
-            <div className="row">
-              <button onClick={() => { addUser("student", newUser); setNewUser({ username: "", password: "", name: "" }); }}>Add student</button>
-            </div>
+// Translations are keyed by the English text, with {name} placeholders filled from params. Anything
+// missing falls back to English, so a new string can ship before it is translated.
+const LANGUAGES = { en: "English", es: "Español" };
+const TRANSLATIONS = {
+  es: {
+    // navigation and shared
+    "Course Scheduler": "Planificador de cursos",
+    "Not logged in": "Sin sesión iniciada",
+    "Saving…": "Guardando…",
+    "Loading…": "Cargando…",
+    "Could not load data: {error}": "No se pudieron cargar los datos: {error}",
+    "Retry": "Reintentar",
+    "Dashboard": "Panel",
+    "Home": "Inicio",
+    "Catalog": "Catálogo",
+    "Student Login": "Acceso de estudiantes",
+    "Instructor Login": "Acceso de profesores",
+    "Admin Login": "Acceso de administración",
+    "Inbox": "Bandeja de entrada",
+    "Change password": "Cambiar contraseña",
+    "Logout": "Cerrar sesión",
+    "Not authorized": "No autorizado",
+    "Page not found": "Página no encontrada",
+    "Undo": "Deshacer",
+    "Back": "Atrás",
+    "Cancel": "Cancelar",
+    "View": "Ver",
+    "Updated with changes made elsewhere.": "Actualizado con cambios hechos en otro lugar.",
+    "Not saved: {reason}. The page now shows the latest data; please try again.": "No se guardó: {reason}. La página ya muestra los datos más recientes; inténtalo de nuevo.",
+    "the data was changed in another tab first": "los datos se modificaron antes en otra pestaña",
+    "the data was changed elsewhere first": "los datos se modificaron antes en otro lugar",
+    "student": "estudiante",
+    "instructor": "profesor",
+    "admin": "administrador",
+    // preferences
+    "Language": "Idioma",
+    "Clock": "Reloj",
+    "Week starts on": "La semana empieza el",
+    "Automatic": "Automático",
+    "12-hour": "12 horas",
+    "24-hour": "24 horas",
+    // home, login and passwords
+    "Course Catalog / Descriptions": "Catálogo / descripciones de cursos",
+    "Open catalog": "Abrir catálogo",
+    "Login": "Iniciar sesión",
+    "Username": "Usuario",
+    "Password": "Contraseña",
+    "Show demo accounts": "Mostrar cuentas de demostración",
+    "Demo accounts: {accounts}": "Cuentas de demostración: {accounts}",
+    "Invalid credentials": "Credenciales no válidas",
+    "Passwords can't be checked or saved in this browser. Open the app over https and try again.": "Este navegador no puede comprobar ni guardar contraseñas. Abre la aplicación con https e inténtalo de nuevo.",
+    "Could not process the password: {reason}": "No se pudo procesar la contraseña: {reason}",
+    "Account locked after too many failed attempts. Try again in {minutes} minute(s).": "Cuenta bloqueada por demasiados intentos fallidos. Inténtalo de nuevo en {minutes} minuto(s).",
+    "Too many failed attempts. Account locked for {minutes} minutes.": "Demasiados intentos fallidos. Cuenta bloqueada durante {minutes} minutos.",
+    "This account has been deactivated. Contact an administrator.": "Esta cuenta ha sido desactivada. Contacta con un administrador.",
+    "This account has been deactivated.": "Esta cuenta ha sido desactivada.",
+    "Your session expired. Please log in again.": "Tu sesión ha caducado. Vuelve a iniciar sesión.",
+    "Current password": "Contraseña actual",
+    "New password (at least {count} characters)": "Nueva contraseña (al menos {count} caracteres)",
+    "Confirm new password": "Confirmar nueva contraseña",
+    "Current password is incorrect": "La contraseña actual es incorrecta",
+    "New password must differ from the current one": "La nueva contraseña debe ser distinta de la actual",
+    "Passwords do not match": "Las contraseñas no coinciden",
+    "Password changed": "Contraseña cambiada",
+    "Please choose a new password before continuing.": "Elige una nueva contraseña antes de continuar.",
+    "An administrator created this account. Choose your own password to continue.": "Un administrador creó esta cuenta. Elige tu propia contraseña para continuar.",
+    // student dashboard
+    "Student Dashboard — {name} ({username})": "Panel de estudiante — {name} ({username})",
+    "Term": "Periodo",
+    "Available Courses": "Cursos disponibles",
+    "ID": "ID",
+    "Name": "Nombre",
+    "Seats": "Plazas",
+    "Actions": "Acciones",
+    "Meetings": "Clases",
+    "Full": "Completo",
+    "{taken}/{seats} taken": "{taken}/{seats} ocupadas",
+    "Register": "Inscribirse",
+    "Register (as you)": "Inscribirse (como tú)",
+    "Register all": "Inscribirse en todos",
+    "Registered": "Inscrito",
+    "Registered successfully ({sections})": "Inscripción realizada ({sections})",
+    "Registered {count} course: {courses}": "Inscrito en {count} curso: {courses}",
+    "Registered {count} courses: {courses}": "Inscrito en {count} cursos: {courses}",
+    "Unregister": "Anular inscripción",
+    "Unregistered": "Inscripción anulada",
+    "Unregistered. Note: {courses} now has an unmet corequisite": "Inscripción anulada. Nota: {courses} tiene ahora un correquisito sin cumplir",
+    "Drop {course}? Your seat may go to the next student on the waitlist.": "¿Dejar {course}? Tu plaza puede pasar al siguiente estudiante de la lista de espera.",
+    "Join waitlist": "Unirse a la lista de espera",
+    "Join waitlist (as you)": "Unirse a la lista de espera (como tú)",
+    "Leave waitlist": "Salir de la lista de espera",
+    "Leave the waitlist for {course}? You will lose your place.": "¿Salir de la lista de espera de {course}? Perderás tu puesto.",
+    "Added to the waitlist for {course} (position {position})": "Añadido a la lista de espera de {course} (puesto {position})",
+    "Removed from waitlist": "Eliminado de la lista de espera",
+    "Waitlisted #{position}": "En lista de espera n.º {position}",
+    "(you are #{position})": "(eres el n.º {position})",
+    "You are already on the waitlist": "Ya estás en la lista de espera",
+    "You are already registered in this course": "Ya estás inscrito en este curso",
+    "Seats are still available, register directly": "Aún quedan plazas, inscríbete directamente",
+    "Course not found": "Curso no encontrado",
+    "No seats available. You can join the waitlist instead.": "No quedan plazas. Puedes unirte a la lista de espera.",
+    "Cannot register due to a schedule conflict": "No es posible inscribirse por un conflicto de horario",
+    "The chosen sections overlap each other": "Las secciones elegidas se solapan entre sí",
+    "Plan my schedule": "Planificar mi horario",
+    "Wish list": "Lista de deseos",
+    "Wish list for {course}": "Lista de deseos para {course}",
+    "Required": "Obligatorio",
+    "Optional": "Opcional",
+    "No classes before (HH:MM)": "Sin clases antes de (HH:MM)",
+    "Free Fridays": "Viernes libres",
+    "Compact days": "Días compactos",
+    "Find schedules": "Buscar horarios",
+    "No conflict-free schedule includes all required courses. Try making some optional.": "Ningún horario sin conflictos incluye todos los cursos obligatorios. Prueba a marcar algunos como opcionales.",
+    "There are too many combinations to try them all, so better schedules may exist. Shorten the wish list or make fewer courses optional.": "Hay demasiadas combinaciones para probarlas todas, así que puede haber horarios mejores. Acorta la lista de deseos o marca menos cursos como opcionales.",
+    "Preview": "Vista previa",
+    "Previewing": "En vista previa",
+    "Dashed blocks show {course}.": "Los bloques discontinuos muestran {course}.",
+    "Dashed blocks show every section of {course}: no open combination fits your timetable.": "Los bloques discontinuos muestran todas las secciones de {course}: ninguna combinación con plazas encaja en tu horario.",
+    "Preview: option {number}": "Vista previa: opción {number}",
+    "Preview: {course}": "Vista previa: {course}",
+    "score {score}": "puntuación {score}",
+    "Schedule not registered. {reason}": "Horario no inscrito. {reason}",
+    "Your Timetable": "Tu horario",
+    "Timetable": "Horario",
+    "{name} timetable": "Horario de {name}",
+    "Export to calendar": "Exportar al calendario",
+    "Or subscribe in your calendar app to stay up to date:": "O suscríbete desde tu aplicación de calendario para mantenerlo al día:",
+    "Left out of the calendar because they have no dates: {courses}": "Fuera del calendario por no tener fechas: {courses}",
+    "add by {date}": "inscripción hasta el {date}",
+    "drop by {date}": "baja hasta el {date}",
+    "Completed": "Completados",
+    "Other grades:": "Otras calificaciones:",
+    "None yet": "Ninguno todavía",
+    "Print": "Imprimir",
+    "Download PNG": "Descargar PNG",
+    "This browser can't draw images, so the timetable could not be exported.": "Este navegador no puede dibujar imágenes, así que no se pudo exportar el horario.",
+    "room {room}": "aula {room}",
+    "preview": "vista previa",
+    "clashes with another course": "coincide con otro curso",
+    // catalog and course pages
+    "Course Catalog": "Catálogo de cursos",
+    "Search name, code or description": "Buscar por nombre, código o descripción",
+    "Day": "Día",
+    "Any day": "Cualquier día",
+    "From (HH:MM)": "Desde (HH:MM)",
+    "Until (HH:MM)": "Hasta (HH:MM)",
+    "Open seats only": "Solo con plazas libres",
+    "Fits my timetable": "Compatible con mi horario",
+    "Sort": "Ordenar",
+    "Sort by id": "Ordenar por ID",
+    "Sort by name": "Ordenar por nombre",
+    "Sort by start time": "Ordenar por hora de inicio",
+    "Sort by free seats": "Ordenar por plazas libres",
+    "Ascending": "Ascendente",
+    "Descending": "Descendente",
+    "Previous": "Anterior",
+    "Next": "Siguiente",
+    "Page {page} of {pages}": "Página {page} de {pages}",
+    "{count} course": "{count} curso",
+    "{count} courses": "{count} cursos",
+    "Meets on {day}": "Clases el {day}",
+    "{start} to {end}": "de {start} a {end}",
+    "Full description of {course}": "Descripción completa de {course}",
+    "Back to catalog": "Volver al catálogo",
+    "Back to courses": "Volver a los cursos",
+    "Course {course} not found": "Curso {course} no encontrado",
+    "Code:": "Código:",
+    "Instructor:": "Profesor:",
+    "Dates:": "Fechas:",
+    "Seats:": "Plazas:",
+    "Waitlist:": "Lista de espera:",
+    "Sections:": "Secciones:",
+    "Sections": "Secciones",
+    "{term} ({start} to {end})": "{term} (del {start} al {end})",
+    "Not scheduled": "Sin programar",
+    "None": "Ninguno",
+    "or": "o",
+    "and": "y",
+    "Prerequisites:": "Requisitos previos:",
+    "Corequisites:": "Correquisitos:",
+    "You attend: {sections}": "Asistes a: {sections}",
+    "Lecture": "Clase teórica",
+    "Lab": "Laboratorio",
+    "Tutorial": "Tutoría",
+    // inbox
+    "Notifications": "Notificaciones",
+    "No notifications.": "No hay notificaciones.",
+    "Mark read": "Marcar como leída",
+    "Mark all read": "Marcar todas como leídas",
+    "Show archived": "Mostrar archivadas",
+    "Archive": "Archivar",
+    "Open inbox ({count} unread)": "Abrir bandeja de entrada ({count} sin leer)",
+    "Preferences": "Preferencias",
+    "from {sender}": "de {sender}",
+    "info": "aviso",
+    "waitlist": "lista de espera",
+    "cancelled": "cancelación",
+    "change": "cambio",
+    "deadline": "plazo",
+    "announcement": "anuncio",
+    "enrollment": "inscripción",
+    // admin dashboard
+    "Admin Dashboard": "Panel de administración",
+    "Stored data could not be read and was replaced with the default data.": "No se pudieron leer los datos guardados y se sustituyeron por los datos predeterminados.",
+    "{at}: {reason}. The original payload is kept in localStorage under \"{key}\".": "{at}: {reason}. El contenido original se conserva en localStorage con la clave \"{key}\".",
+    "Download backup": "Descargar copia de seguridad",
+    "Dismiss": "Descartar",
+    "Courses": "Cursos",
+    "Course": "Curso",
+    "Instructor": "Profesor",
+    "(+{count} waitlisted)": "(+{count} en lista de espera)",
+    "Edit": "Editar",
+    "Delete": "Eliminar",
+    "Save": "Guardar",
+    "Close": "Cerrar",
+    "Remove": "Quitar",
+    "Edit course": "Editar curso",
+    "Add new course": "Añadir curso nuevo",
+    "Add course": "Añadir curso",
+    "Code": "Código",
+    "Description": "Descripción",
+    "No term": "Sin periodo",
+    "No term ({dates})": "Sin periodo ({dates})",
+    "No instructor": "Sin profesor",
+    "Prerequisites (e.g. CSE101, MAT201|MAT200)": "Requisitos previos (p. ej. CSE101, MAT201|MAT200)",
+    "Corequisites (e.g. CSE102)": "Correquisitos (p. ej. CSE102)",
+    "Type": "Tipo",
+    "Days": "Días",
+    "Start": "Inicio",
+    "End": "Fin",
+    "Room": "Aula",
+    "Section {number} type": "Tipo de la sección {number}",
+    "Section {number} ID": "ID de la sección {number}",
+    "Section {number} days": "Días de la sección {number}",
+    "Section {number} start": "Inicio de la sección {number}",
+    "Section {number} end": "Fin de la sección {number}",
+    "Section {number} room": "Aula de la sección {number}",
+    "Section {number} seats": "Plazas de la sección {number}",
+    "No room": "Sin aula",
+    "{room} (unknown)": "{room} (desconocida)",
+    "Course cap": "Límite del curso",
+    "Add section": "Añadir sección",
+    "Instructors and rooms": "Profesores y aulas",
+    "Instructors": "Profesores",
+    "Teaches": "Imparte",
+    "Availability": "Disponibilidad",
+    "(max {count})": "(máx. {count})",
+    "Any time": "Cualquier hora",
+    "Email": "Correo electrónico",
+    "Initial password": "Contraseña inicial",
+    "New password (optional)": "Nueva contraseña (opcional)",
+    "Max courses at once": "Máximo de cursos a la vez",
+    "Availability (e.g. Mon 09:00-17:00, Tue 09:00-12:00)": "Disponibilidad (p. ej. lun 09:00-17:00, mar 09:00-12:00)",
+    "Availability (e.g. Mon 08:00-20:00)": "Disponibilidad (p. ej. lun 08:00-20:00)",
+    "Availability must look like: Mon 09:00-17:00, Fri 09:00-12:00 (leave empty for any time)": "La disponibilidad debe tener la forma: lun 09:00-17:00, vie 09:00-12:00 (déjala vacía para cualquier hora)",
+    "Save instructor": "Guardar profesor",
+    "Add instructor": "Añadir profesor",
+    "Rooms": "Aulas",
+    "Capacity": "Capacidad",
+    "ID (e.g. Hall A)": "ID (p. ej. Sala A)",
+    "Save room": "Guardar aula",
+    "Add room": "Añadir aula",
+    "Room timetable: {id}": "Horario del aula: {id}",
+    "Instructor timetable: {id}": "Horario del profesor: {id}",
+    "Room {id} timetable": "Horario del aula {id}",
+    "Instructor {id} timetable": "Horario del profesor {id}",
+    "Terms": "Periodos",
+    "Dates": "Fechas",
+    "Add / drop by": "Altas / bajas hasta",
+    "Holidays": "Festivos",
+    "Edit term": "Editar periodo",
+    "Add new term": "Añadir periodo nuevo",
+    "ID (e.g. 2026F)": "ID (p. ej. 2026F)",
+    "Start (YYYY-MM-DD)": "Inicio (AAAA-MM-DD)",
+    "End (YYYY-MM-DD)": "Fin (AAAA-MM-DD)",
+    "Add deadline (YYYY-MM-DD)": "Plazo de inscripción (AAAA-MM-DD)",
+    "Drop deadline (YYYY-MM-DD)": "Plazo de baja (AAAA-MM-DD)",
+    "Holidays (comma separated dates)": "Festivos (fechas separadas por comas)",
+    "Save term": "Guardar periodo",
+    "Add term": "Añadir periodo",
+    "Import / export": "Importar / exportar",
+    "What to import or export": "Qué importar o exportar",
+    "courses": "cursos",
+    "students": "estudiantes",
+    "enrollments": "inscripciones",
+    "CSV columns: {columns}. Separate days, completed courses and sections with \";\". JSON takes a list of records or a full export.": "Columnas CSV: {columns}. Separa los días, los cursos completados y las secciones con \";\". En JSON, una lista de registros o una exportación completa.",
+    "…or paste CSV / JSON here": "…o pega aquí CSV / JSON",
+    "Validate": "Validar",
+    "Row": "Fila",
+    "Record": "Registro",
+    "Result": "Resultado",
+    "OK": "Correcto",
+    "Warning: {warning}": "Aviso: {warning}",
+    "{accepted} of {total} {kind} are valid; rows with errors are skipped.": "{accepted} de {total} {kind} son válidos; las filas con errores se omiten.",
+    "Import {count} {kind}": "Importar {count} {kind}",
+    "Could not read the file: {reason}": "No se pudo leer el archivo: {reason}",
+    "Export": "Exportar",
+    "Full dataset (JSON)": "Todos los datos (JSON)",
+    "Courses (CSV)": "Cursos (CSV)",
+    "Students (CSV)": "Estudiantes (CSV)",
+    "Enrollments (CSV)": "Inscripciones (CSV)",
+    "Roster (CSV)": "Lista de clase (CSV)",
+    "Roster (JSON)": "Lista de clase (JSON)",
+    // admin actions
+    "Course with same ID already exists.": "Ya existe un curso con el mismo ID.",
+    "Course added": "Curso añadido",
+    "Course updated": "Curso actualizado",
+    "Delete {course}?": "¿Eliminar {course}?",
+    "Delete {course}? {count} student is registered and will be dropped.": "¿Eliminar {course}? Hay {count} estudiante inscrito que será dado de baja.",
+    "Delete {course}? {count} students are registered and will be dropped.": "¿Eliminar {course}? Hay {count} estudiantes inscritos que serán dados de baja.",
+    "Course deleted and registrations updated": "Curso eliminado e inscripciones actualizadas",
+    "Course deleted and registrations updated. Removed it from the requirements of {courses}": "Curso eliminado e inscripciones actualizadas. Se quitó de los requisitos de {courses}",
+    "Term with same ID already exists.": "Ya existe un periodo con el mismo ID.",
+    "Term added": "Periodo añadido",
+    "Term updated": "Periodo actualizado",
+    "Term is still used by {courses}": "El periodo todavía lo usan {courses}",
+    "Delete term {term}?": "¿Eliminar el periodo {term}?",
+    "Term deleted": "Periodo eliminado",
+    "Username is required": "El usuario es obligatorio",
+    "Instructor username taken": "Ese usuario de profesor ya existe",
+    "Password must be at least {count} characters": "La contraseña debe tener al menos {count} caracteres",
+    "Instructor added": "Profesor añadido",
+    "Instructor updated": "Profesor actualizado",
+    "Instructor still teaches {courses}": "El profesor todavía imparte {courses}",
+    "Delete instructor {username}?": "¿Eliminar al profesor {username}?",
+    "Instructor deleted": "Profesor eliminado",
+    "Room ID is required": "El ID del aula es obligatorio",
+    "Room with same ID already exists.": "Ya existe un aula con el mismo ID.",
+    "Room added": "Aula añadida",
+    "Room updated": "Aula actualizada",
+    "Room is still used by {sections}": "El aula todavía la usan {sections}",
+    "Delete room {room}?": "¿Eliminar el aula {room}?",
+    "Room deleted": "Aula eliminada",
+    "Nothing to import": "No hay nada que importar",
+    "Imported {count} {kind}": "Importados {count} {kind}",
+    "Imported {count} {kind}, skipped {skipped} with errors": "Importados {count} {kind}, omitidos {skipped} con errores",
+    "Nothing to undo": "No hay nada que deshacer",
+    "That change was already undone": "Ese cambio ya se deshizo",
+    "Undone: {summary}": "Deshecho: {summary}",
+    "Undone: {summary}. {courses} is now over capacity": "Deshecho: {summary}. {courses} supera ahora su capacidad",
+    "Reset the password of {users} before they can log in again": "Restablece la contraseña de {users} para que puedan volver a iniciar sesión",
+    // announcements and instructor dashboard
+    "Announce to a course": "Anunciar a un curso",
+    "({count} enrolled)": "({count} inscritos)",
+    "Message for every enrolled student": "Mensaje para todos los estudiantes inscritos",
+    "Send announcement": "Enviar anuncio",
+    "Write the announcement first": "Escribe primero el anuncio",
+    "Nobody is enrolled in {course}": "No hay nadie inscrito en {course}",
+    "Announcement sent to {count} student in {course}": "Anuncio enviado a {count} estudiante de {course}",
+    "Announcement sent to {count} students in {course}": "Anuncio enviado a {count} estudiantes de {course}",
+    "Instructor Dashboard — {name} ({username})": "Panel de profesor — {name} ({username})",
+    "You are not assigned to any courses yet.": "Todavía no tienes cursos asignados.",
+    "{taken}/{seats} registered": "{taken}/{seats} inscritos",
+    "{taken}/{seats} registered, {waitlisted} waitlisted": "{taken}/{seats} inscritos, {waitlisted} en lista de espera",
+    "Roster": "Lista de clase",
+    "No students registered yet.": "Todavía no hay estudiantes inscritos.",
+    "Attended": "Asistencias",
+    "Final grade": "Calificación final",
+    "Grade for {username}": "Calificación de {username}",
+    "Save grades": "Guardar calificaciones",
+    "Attendance": "Asistencia",
+    "This course has no dates yet; an admin needs to assign it to a term.": "Este curso todavía no tiene fechas; un administrador debe asignarlo a un periodo.",
+    "Class session": "Sesión de clase",
+    "Nobody attends this section.": "Nadie asiste a esta sección.",
+    "Student": "Estudiante",
+    "present": "presente",
+    "late": "tarde",
+    "absent": "ausente",
+    "excused": "justificada",
+    "Mark all present": "Marcar todos presentes",
+    "Save attendance": "Guardar asistencia",
+    "You do not teach this course": "No impartes este curso",
+    "Attendance saved for {course} {session}": "Asistencia guardada para {course} {session}",
+    "Grades saved for {course}": "Calificaciones guardadas para {course}",
+    // user management
+    "Users": "Usuarios",
+    "Role": "Rol",
+    "Admin": "Administrador",
+    "username": "usuario",
+    "initial password": "contraseña inicial",
+    "name": "nombre",
+    "Require password change at first login": "Exigir cambio de contraseña en el primer acceso",
+    "Add student": "Añadir estudiante",
+    "Add admin": "Añadir administrador",
+    "Search by username or name": "Buscar por usuario o nombre",
+    "All roles": "Todos los roles",
+    "Admins": "Administradores",
+    "Students": "Estudiantes",
+    "Status": "Estado",
+    "Registrations": "Inscripciones",
+    "Active": "Activo",
+    "Locked": "Bloqueado",
+    "Deactivated": "Desactivado",
+    "Enrollment": "Inscripción",
+    "Deactivate": "Desactivar",
+    "Reactivate": "Reactivar",
+    "No matching users.": "No hay usuarios que coincidan.",
+    "Edit {type} {username}": "Editar {type} {username}",
+    "Make student": "Convertir en estudiante",
+    "Make admin": "Convertir en administrador",
+    "Enrollment for {username}": "Inscripción de {username}",
+    "override: {reason}": "excepción: {reason}",
+    "Drop": "Dar de baja",
+    "Choose a course…": "Elige un curso…",
+    "Reason (required for an override)": "Motivo (obligatorio para una excepción)",
+    "Override seat limits, conflicts and the drop deadline": "Ignorar límites de plazas, conflictos y el plazo de baja",
+    "Enroll": "Inscribir",
+    "Admin username taken": "Ese usuario de administrador ya existe",
+    "Admin added": "Administrador añadido",
+    "Student username taken": "Ese usuario de estudiante ya existe",
+    "Student added": "Estudiante añadido",
+    "You cannot deactivate or delete your own account": "No puedes desactivar ni eliminar tu propia cuenta",
+    "At least one active admin must remain": "Debe quedar al menos un administrador activo",
+    "User updated": "Usuario actualizado",
+    "User updated; they must choose a new password at next login": "Usuario actualizado; deberá elegir una nueva contraseña en el próximo acceso",
+    "Deactivate {username}? They will not be able to log in until reactivated.": "¿Desactivar a {username}? No podrá iniciar sesión hasta que se reactive.",
+    "Deactivated {username}": "{username} desactivado",
+    "Reactivated {username}": "{username} reactivado",
+    "Delete {type} {username}?": "¿Eliminar {type} {username}?",
+    "Delete {type} {username}? Their registrations in {courses} will be dropped.": "¿Eliminar {type} {username}? Se anularán sus inscripciones en {courses}.",
+    "Deleted {username}": "{username} eliminado",
+    "You cannot change your own role": "No puedes cambiar tu propio rol",
+    "Make {username} an admin?": "¿Convertir a {username} en administrador?",
+    "Make {username} a student?": "¿Convertir a {username} en estudiante?",
+    "Make {username} an admin? Their registrations in {courses} will be dropped.": "¿Convertir a {username} en administrador? Se anularán sus inscripciones en {courses}.",
+    "{username} is now an admin": "{username} es ahora administrador",
+    "{username} is now a student": "{username} es ahora estudiante",
+    "Unknown admin: {username}": "Administrador desconocido: {username}",
+    "Unknown student: {username}": "Estudiante desconocido: {username}",
+    "{username} is already an admin": "{username} ya es administrador",
+    "{username} is already a student": "{username} ya es estudiante",
+    "{username} is already registered in {course}": "{username} ya está inscrito en {course}",
+    "Give a reason for the override": "Indica un motivo para la excepción",
+    "{problem} (tick the override to ignore seat limits and conflicts)": "{problem} (marca la excepción para ignorar límites de plazas y conflictos)",
+    "{problem} (tick the override to drop anyway)": "{problem} (marca la excepción para dar de baja igualmente)",
+    "Enrolled {username} in {course}": "{username} inscrito en {course}",
+    "Enrolled {username} in {course}. {course} is now over capacity ({taken}/{seats})": "{username} inscrito en {course}. {course} supera ahora su capacidad ({taken}/{seats})",
+    "Drop {username} from {course}?": "¿Dar de baja a {username} de {course}?",
+    "Dropped {username} from {course}": "{username} dado de baja de {course}",
+    // audit log
+    "Audit log": "Registro de auditoría",
+    "Who": "Quién",
+    "Anyone": "Cualquiera",
+    "Action": "Acción",
+    "Any action": "Cualquier acción",
+    "Search (e.g. CSE101, student1)": "Buscar (p. ej. CSE101, student1)",
+    "From (YYYY-MM-DD)": "Desde (AAAA-MM-DD)",
+    "To (YYYY-MM-DD)": "Hasta (AAAA-MM-DD)",
+    "When": "Cuándo",
+    "What": "Qué",
+    "system": "sistema",
+    "undone": "deshecho",
+    "Hide": "Ocultar",
+    "Details": "Detalles",
+    "Undo \"{summary}\"?": "¿Deshacer \"{summary}\"?",
+    "No matching entries.": "No hay entradas que coincidan.",
+    "Show older ({count} more)": "Mostrar anteriores ({count} más)",
+    "{record} created": "{record} creado",
+    "{record} deleted": "{record} eliminado",
+    "course": "curso",
+    "term": "periodo",
+    "room": "aula",
+    "attendance": "asistencia",
+    "Cannot undo \"{summary}\": {kind} {id} was {reason}": "No se puede deshacer \"{summary}\": {kind} {id} fue {reason}",
+    "changed again since": "modificado de nuevo después",
+    "deleted since": "eliminado después",
+    // analytics
+    "Analytics": "Estadísticas",
+    "All terms": "Todos los periodos",
+    "Export CSV": "Exportar CSV",
+    "Fill rate": "Ocupación",
+    "Enrolled": "Inscritos",
+    "Remaining": "Libres",
+    "Waitlisted": "En lista de espera",
+    "Enrollment over time": "Inscripciones a lo largo del tiempo",
+    "No dated registrations yet.": "Todavía no hay inscripciones con fecha.",
+    "{count} registration predates enrollment tracking and counts from the start.": "{count} inscripción es anterior al seguimiento de inscripciones y cuenta desde el inicio.",
+    "{count} registrations predate enrollment tracking and count from the start.": "{count} inscripciones son anteriores al seguimiento de inscripciones y cuentan desde el inicio.",
+    "Busiest time slots": "Franjas más solicitadas",
+    "{day} {time} — {count} seats in demand": "{day} {time} — {count} plazas solicitadas",
+    "No sections scheduled.": "No hay secciones programadas.",
+    "Courses students can't combine": "Cursos que los estudiantes no pueden combinar",
+    "Attempts": "Intentos",
+    "No registrations have failed on a timetable clash yet.": "Todavía no ha fallado ninguna inscripción por un choque de horario.",
+    // checks
+    "The add deadline for {term} ({date}) has passed": "El plazo de inscripción de {term} ({date}) ha terminado",
+    "The drop deadline for {term} ({date}) has passed": "El plazo de baja de {term} ({date}) ha terminado",
+    "A term needs an ID and a name": "Un periodo necesita un ID y un nombre",
+    "Term start and end must be YYYY-MM-DD dates": "El inicio y el fin del periodo deben ser fechas AAAA-MM-DD",
+    "Term must end after it starts": "El periodo debe terminar después de empezar",
+    "Invalid date: {date}": "Fecha no válida: {date}",
+    "one of {courses}": "uno de {courses}",
+    "Missing prerequisite for {course}: {required}": "Falta un requisito previo para {course}: {required}",
+    "Missing corequisite for {course}: register for {required} first": "Falta un correquisito para {course}: inscríbete antes en {required}",
+    "A course cannot require itself": "Un curso no puede requerirse a sí mismo",
+    "Unknown course in requirements: {course}": "Curso desconocido en los requisitos: {course}",
+    "A course needs at least one section": "Un curso necesita al menos una sección",
+    "Every section needs an ID": "Cada sección necesita un ID",
+    "Duplicate section ID: {section}": "ID de sección duplicado: {section}",
+    "Section {section} needs at least one day": "La sección {section} necesita al menos un día",
+    "Section {section} has unknown day \"{day}\" (use {days})": "La sección {section} tiene un día desconocido \"{day}\" (usa {days})",
+    "Section {section} needs HH:MM start and end times": "La sección {section} necesita horas de inicio y fin HH:MM",
+    "Section {section} must end after it starts": "La sección {section} debe terminar después de empezar",
+    "Unknown instructor: {instructor}": "Profesor desconocido: {instructor}",
+    "{name} is already teaching {other} during {section}": "{name} ya imparte {other} durante {section}",
+    "{section} is outside {name}'s availability": "{section} queda fuera de la disponibilidad de {name}",
+    "{name} would teach {count} courses at once (limit {limit})": "{name} impartiría {count} cursos a la vez (límite {limit})",
+    "Unknown room: {room}": "Aula desconocida: {room}",
+    "{room} is already booked for {other} during {section}": "{room} ya está reservada para {other} durante {section}",
+    "{section} has {seats} seats but {room} holds {capacity}": "{section} tiene {seats} plazas pero {room} admite {capacity}",
+    "{section} is outside the availability of {room}": "{section} queda fuera de la disponibilidad de {room}",
+    "{message}. Warning: {warnings}": "{message}. Aviso: {warnings}",
+    "Choose one section of each type: {types}": "Elige una sección de cada tipo: {types}",
+    "No seats available in {section}": "No quedan plazas en {section}",
+    "Course ID is required": "El ID del curso es obligatorio",
+    "Seats must be a positive number": "Las plazas deben ser un número positivo",
+    "Section {section} has more seats ({seats}) than the course ({courseSeats})": "La sección {section} tiene más plazas ({seats}) que el curso ({courseSeats})",
+    "Unknown term: {term}": "Periodo desconocido: {term}",
+    "Unknown course: {course}": "Curso desconocido: {course}",
+    "{course} is full ({seats} seats)": "{course} está completo ({seats} plazas)",
+    "Expected a list of {kind}": "Se esperaba una lista de {kind}",
+    "Row {row} repeats course ID {course} with different course details": "La fila {row} repite el ID de curso {course} con datos de curso distintos",
+    // notices and audit summaries
+    "A seat opened in {course} but you were skipped. {reason}.": "Se liberó una plaza en {course}, pero se te saltó. {reason}.",
+    "A seat opened in {course} but you were skipped because it conflicts with your timetable.": "Se liberó una plaza en {course}, pero se te saltó porque choca con tu horario.",
+    "You were promoted from the waitlist and are now registered in {course}.": "Saliste de la lista de espera y ya estás inscrito en {course}.",
+    "Your section of {course} was removed and no open section fits your timetable, so you are now first on its waitlist.": "Se eliminó tu sección de {course} y ninguna sección con plazas encaja en tu horario, así que ahora eres el primero de su lista de espera.",
+    "{course} {name} was cancelled and removed from your timetable.": "{course} {name} se canceló y se quitó de tu horario.",
+    "{course} {name} was cancelled.": "{course} {name} se canceló.",
+    "{course} changed: {sections}.": "{course} cambió: {sections}.",
+    "{course} changed: {sections}. It now clashes with {clashes} in your timetable.": "{course} cambió: {sections}. Ahora choca con {clashes} en tu horario.",
+    "You moved up to #{position} on the {course} waitlist.": "Subiste al puesto {position} de la lista de espera de {course}.",
+    "The add deadline for {term} is {date}.": "El plazo de inscripción de {term} termina el {date}.",
+    "The drop deadline for {term} is {date}.": "El plazo de baja de {term} termina el {date}.",
+    "An administrator enrolled you in {course}.": "Un administrador te inscribió en {course}.",
+    "An administrator dropped you from {course}.": "Un administrador te dio de baja de {course}.",
+    "Undid: {summary}": "Deshecho: {summary}",
+    "{username} changed their password": "{username} cambió su contraseña",
+    "Added course {course}": "Curso {course} añadido",
+    "Updated course {course}": "Curso {course} actualizado",
+    "Deleted course {course}": "Curso {course} eliminado",
+    "Added term {term}": "Periodo {term} añadido",
+    "Updated term {term}": "Periodo {term} actualizado",
+    "Deleted term {term}": "Periodo {term} eliminado",
+    "Added instructor {username}": "Profesor {username} añadido",
+    "Updated instructor {username}": "Profesor {username} actualizado",
+    "Deleted instructor {username}": "Profesor {username} eliminado",
+    "Added room {room}": "Aula {room} añadida",
+    "Updated room {room}": "Aula {room} actualizada",
+    "Deleted room {room}": "Aula {room} eliminada",
+    "Recorded attendance for {course} {session}": "Asistencia registrada para {course} {session}",
+    "Saved grades for {course}": "Notas guardadas para {course}",
+    "Registered {username} in {course}": "{username} inscrito en {course}",
+    "Waitlisted {username} for {course}": "{username} en la lista de espera de {course}",
+    "Removed {username} from the {course} waitlist": "{username} quitado de la lista de espera de {course}",
+    "Announced to {course}: {text}": "Aviso a {course}: {text}",
+    "Added admin {username}": "Administrador {username} añadido",
+    "Added student {username}": "Estudiante {username} añadido",
+    "Updated {type} {username}": "{type} {username} actualizado",
+    "Updated {type} {username} and reset their password": "{type} {username} actualizado y su contraseña restablecida",
+    "Deactivated {type} {username}": "{type} {username} desactivado",
+    "Reactivated {type} {username}": "{type} {username} reactivado",
+    "Deleted {type} {username}": "{type} {username} eliminado",
+    "Changed {username} from {from} to {to}": "{username} pasó de {from} a {to}",
+    "Enrolled {username} in {course} (override: {reason})": "{username} inscrito en {course} (excepción: {reason})",
+    "Dropped {username} from {course} (override: {reason})": "{username} dado de baja de {course} (excepción: {reason})",
+  },
+};
 
-            <hr />
-            <h4>Admins</h4>
-            <ul>
-              {data.users.admins.map((a) => <li key={a.username}>{a.username} ({a.name})</li>)}
-            </ul>
-            <h4>Students</h4>
-            <ul>
-              {data.users.students.map((s) => <li key={s.username}>{s.username} ({s.name}) — regs: {(s.registrations||[]).join(", ")}</li>)}
-            </ul>
-          </div>
-        </div>
+function translate(language, text, params = {}) {
+  const template = TRANSLATIONS[language]?.[text] ?? text;
+  // a param may itself be a message, { text, params }, as kept in notices and audit summaries
+  const value = (v) => (v && typeof v === "object" ? translate(language, v.text, v.params) : String(v));
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? value(params[key]) : match));
+}
 
-        <div className="row space">
-          <button onClick={() => { setView("course-desc"); }}>Open catalog</button>
-          <button onClick={logout}>Logout</button>
-        </div>
-      </div>
-    );
-  }
+// Checks that return messages take the UI's t as their last argument. Without it they speak English.
+function english(text, params) {
+  return translate("en", text, params);
+}
 
-  function StudentDashboard() {
-    const me = data.users.students.find((s) => s.username === auth.user.username);
-    const registeredIds = me.registrations || [];
-    const registeredCourses = data.courses.filter((c) => registeredIds.includes(c.id));
+// Notices and audit summaries are kept as English templates with their params and put into words when
+// shown, so each reader sees them in their own language. A check given this as its t returns such a
+// message, { text, params }, to keep inside another one.
+function asMessage(text, params) {
+  return { text, params };
+}
 
-    return (
-      <div className="centered">
-        <h2>Student Dashboard — {me.name} ({me.username})</h2>
-        <div className="row space">
-          <div className="card list">
-            <h3>Available Courses</h3>
-            <table className="table">
-              <thead><tr><th>ID</th><th>Name</th><th>Days</th><th>Time</th><th>Seats</th><th>Actions</th></tr></thead>
-              <tbody>
-                {data.courses.map((c) => {
-                  const registered = registeredIds.includes(c.id);
-                  const seatsTaken = data.users.students.reduce((acc, s) => acc + (s.registrations?.includes(c.id) ? 1 : 0), 0);
-                  return (
-                    <tr key={c.id}>
-                      <td>{c.id}</td>
-                      <td>{c.name}</td>
-                      <td>{c.days.join(", ")}</td>
-                      <td>{c.start} - {c.end}</td>
-                      <td>{seatsTaken}/{c.seats}</td>
-                      <td>
-                        <button onClick={() => { setSelectedCourse(c); setView("course-desc"); }}>View</button>
-                        {!registered ? <button onClick={() => registerCourse(me.username, c.id)}>Register</button> : <button onClick={() => unregisterCourse(me.username, c.id)}>Unregister</button>}
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
-          </div>
+// Display preferences belong to the browser, like the session. Empty values follow the browser's locale.
+const defaultPrefs = { language: "", hourCycle: "", weekStart: "" };
 
-          <div className="card">
-            <h3>Your Timetable</h3>
-            <Timetable courses={registeredCourses} />
-            <h4>Registered</h4>
-            <ul>
-              {registeredCourses.map((c) => <li key={c.id}>{c.id} — {c.name} ({c.days.join(", ")}) {c.start}-{c.end}</li>)}
-            </ul>
-          </div>
-        </div>
-        <div className="row">
-          <button onClick={() => setView("course-desc")}>Open catalog</button>
-          <button onClick={logout}>Logout</button>
-        </div>
-      </div>
-    );
+function loadPrefs() {
+  try {
+    return { ...defaultPrefs, ...JSON.parse(localStorage.getItem(PREFS_KEY)) };
+  } catch (e) {
+    return defaultPrefs;
   }
+}
 
-  function CourseCatalog({ single }) {
-    const list = single ? [single] : data.courses;
-    return (
-      <div className="centered">
-        <h2>Course Catalog</h2>
-        <div className="grid-cards">
-          {list.map((c) => (
-            <div className="card course-card" key={c.id}>
-              <h3>{c.name} <span className="muted">({c.id})</span></h3>
-              <p><strong>Code:</strong> {c.code}</p>
-              <p><strong>Days:</strong> {c.days.join(", ")}</p>
-              <p><strong>Time:</strong> {c.start} - {c.end}</p>
-              <p><strong>Date range:</strong> {c.dateRange}</p>
-              <p><strong>Seats:</strong> {c.seats}</p>
-              <p>{c.description}</p>
-              <div className="row">
-                <button onClick={() => { setSelectedCourse(c); setView("course-desc"); }}>Full</button>
-              </div>
-            </div>
-          ))}
-        </div>
-        <div className="row">
-          <button onClick={() => setView(auth.type === "admin" ? "admin-dashboard" : auth.type === "student" ? "student-dashboard" : "home")}>Back</button>
-        </div>
-      </div>
-    );
-  }
+function savePrefs(prefs) {
+  localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+}
 
-  function CourseDescription() {
-    const c = selectedCourse || data.courses[0] || null;
-    if (!c) return <div className="centered"><p>No course selected</p><button onClick={() => setView("home")}>Home</button></div>;
-    return (
-      <div className="centered">
-        <h2>{c.name} ({c.id})</h2>
-        <p><strong>Code:</strong> {c.code}</p>
-        <p><strong>Days:</strong> {c.days.join(", ")}</p>
-        <p><strong>Time:</strong> {c.start} - {c.end}</p>
-        <p><strong>Date range:</strong> {c.dateRange}</p>
-        <p><strong>Seats:</strong> {c.seats}</p>
-        <p>{c.description}</p>
-        <div className="row">
-          {auth.type === "student" && <button onClick={() => registerCourse(auth.user.username, c.id)}>Register (as you)</button>}
-          <button onClick={() => setView("course-desc")}>Close</button>
-          <button onClick={() => setView("home")}>Home</button>
-        </div>
-      </div>
-    );
+// First day of the week for a locale (1 = Monday, 7 = Sunday). Browsers without Intl week data get
+// Sunday for the regions that start there and Monday everywhere else.
+const SUNDAY_FIRST_REGIONS = ["US", "CA", "MX", "BR", "JP", "KR", "TW", "HK", "IL", "PH", "IN", "ZA", "AU", "SA"];
+function localeWeekStart(locale) {
+  try {
+    const info = new Intl.Locale(locale);
+    const week = info.getWeekInfo?.() || info.weekInfo;
+    if (week?.firstDay) return week.firstDay;
+    return SUNDAY_FIRST_REGIONS.includes(info.maximize().region) ? 7 : 1;
+  } catch (e) {
+    return 1;
   }
+}
 
-  // Timetable component: simple grid Monday-Sunday with hours
-  function Timetable({ courses }) {
-    const days = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
-    // determine hour range
-    const allTimes = courses.flatMap((c) => [timeToMinutes(c.start), timeToMinutes(c.end)]);
-    const minTime = allTimes.length ? Math.floor(Math.min(...allTimes) / 60) : 8;
-    const maxTime = allTimes.length ? Math.ceil(Math.max(...allTimes) / 60) : 18;
-    const hours = [];
-    for (let h = minTime; h <= maxTime; h++) hours.push(h);
+// Everything the UI needs to speak the user's language: t() for text, day names in week order and
+// times on the user's clock. The locale keeps the browser's region when the language matches, so
+// an en-US browser gets a US week and clock in English.
+function localization(prefs = defaultPrefs, browserLocales = (typeof navigator !== "undefined" && navigator.languages) || ["en"]) {
+  const base = (tag) => tag.split("-")[0].toLowerCase();
+  const language = prefs.language || browserLocales.map(base).find((l) => LANGUAGES[l]) || "en";
+  const locale = browserLocales.find((tag) => base(tag) === language) || language;
+  const hour12 = prefs.hourCycle ? prefs.hourCycle === "12" : !!new Intl.DateTimeFormat(locale, { hour: "numeric" }).resolvedOptions().hour12;
+  const weekStart = Number(prefs.weekStart) || localeWeekStart(locale);
+  const clock = new Intl.DateTimeFormat(locale, { hour: "numeric", minute: "2-digit", hour12, timeZone: "UTC" });
+  const time = (hhmm) => {
+    if (!isValidTime(hhmm)) return hhmm;
+    const [h, m] = hhmm.split(":").map(Number);
+    return clock.format(Date.UTC(2024, 0, 1, h, m));
+  };
+  return {
+    language,
+    locale,
+    hour12,
+    weekStart,
+    days: DAYS.map((_, i) => ((weekStart - 1 + i) % 7) + 1),
+    t: (text, params) => translate(language, text, params),
+    dayName: (day, width) => dayName(day, locale, width),
+    time,
+    timeRange: (start, end) => `${time(start)}–${time(end)}`,
+    dateTime: (iso) => new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short", hour12 }).format(new Date(iso)),
+  };
+}
 
-    return (
-      <div className="timetable">
-        <div className="tt-header">
-          <div className="tt-cell header empty"></div>
-          {days.map((d) => <div className="tt-cell header" key={d}>{d}</div>)}
-        </div>
-        <div className="tt-body">
-          {hours.map((h) => (
-            <div className="tt-row" key={h}>
-              <div className="tt-cell hour">{String(h).padStart(2, "0")}:00</div>
-              {days.map((d) => {
-                const cellCourse = courses.find((c) => c.days.includes(d) && Math.floor(timeToMinutes(c.start)/60) === h);
-                return (
-                  <div className="tt-cell" key={d+"-"+h}>
-                    {cellCourse ? (
-                      <div className="tt-event">
-                        <strong>{cellCourse.id}</strong>
-                        <div className="small">{cellCourse.name}</div>
-                        <div className="small">{cellCourse.start}-{cellCourse.end}</div>
-                      </div>
-                    ) : null}
-                  </div>
-                );
-              })}
-            </div>
-          ))}
-        </div>
-      </div>
-    );
+// Routes: / | /catalog | /courses/:id | /login/:role | /admin | /instructor | /student | /change-password | /inbox
+const DASHBOARD_PATHS = { admin: "/admin", instructor: "/instructor", student: "/student" };
+
+function dashboardPath(type) {
+  return DASHBOARD_PATHS[type] || "/";
+}
+
+function matchRoute(pathname) {
+  const parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const [first, second] = parts;
+  if (!parts.length) return { name: "home" };
+  if (parts.length === 1 && first === "catalog") return { name: "catalog" };
+  if (parts.length === 1 && first === "change-password") return { name: "change-password" };
+  if (parts.length === 1 && first === "inbox") return { name: "inbox" };
+  if (parts.length === 2 && first === "courses") return { name: "course", courseId: second };
+  if (parts.length === 2 && first === "login" && USER_LISTS[second]) return { name: "login", role: second };
+  const role = Object.keys(DASHBOARD_PATHS).find((type) => DASHBOARD_PATHS[type] === `/${first}`);
+  if (parts.length === 1 && role) return { name: "dashboard", role };
+  return { name: "not-found" };
+}
+
+// Pushes (or replaces) a history entry and lets the app know the same way back/forward do.
+function navigate(to, { replace = false } = {}) {
+  if (replace) window.history.replaceState(null, "", to);
+  else window.history.pushState(null, "", to);
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+// Where to go after logging in: the page that asked for it, if it is one of ours.
+function nextPath(search, fallback) {
+  const next = new URLSearchParams(search).get("next");
+  return next && next.startsWith("/") && !next.startsWith("//") ? next : fallback;
+}
+
+function timeToMinutes(t) {
+  const [hh, mm] = t.split(":").map(Number);
+  return hh * 60 + mm;
+}
+
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function timesOverlap(aStart, aEnd, bStart, bEnd) {
+  return Math.max(aStart, bStart) < Math.min(aEnd, bEnd);
+}
+
+// ISO dates compare correctly as strings; an unknown range is assumed to overlap everything.
+function datesOverlap(a, b) {
+  if (!a || !b) return true;
+  return a.start <= b.end && b.start <= a.end;
+}
+
+function checkConflict(courseA, courseB) {
+  // conflict if the date ranges overlap, any day intersects and times overlap
+  if (!datesOverlap(courseA.dates, courseB.dates)) return false;
+  const daysIntersection = courseA.days.some((d) => courseB.days.includes(d));
+  if (!daysIntersection) return false;
+  return timesOverlap(timeToMinutes(courseA.start), timeToMinutes(courseA.end), timeToMinutes(courseB.start), timeToMinutes(courseB.end));
+}
+
+function isValidDate(d) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(d || "") && !Number.isNaN(Date.parse(d));
+}
+
+function todayISO() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`;
+}
+
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return ((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7) + 1;
+}
+
+// 2024-01-01 was a Monday, so weekday d is January d of that year.
+function dayName(day, locale = "en", width = "short") {
+  return new Intl.DateTimeFormat(locale, { weekday: width, timeZone: "UTC" }).format(Date.UTC(2024, 0, day));
+}
+
+function dayCode(day) {
+  return DAY_CODES[day - 1] || String(day);
+}
+
+// A typed or imported day: 1-7, an English name ("Mon", "monday") or a name in the given locale; null if unknown.
+function parseDay(token, locale = "en") {
+  const text = String(token ?? "").trim().toLowerCase().replace(/\.$/, "");
+  if (/^[1-7]$/.test(text)) return Number(text);
+  for (const loc of new Set(["en", locale])) {
+    for (const width of ["short", "long"]) {
+      const day = DAYS.find((d) => dayName(d, loc, width).toLowerCase().replace(/\.$/, "") === text);
+      if (day) return day;
+    }
   }
+  return null;
+}
 
-  // Top-level view switch
-  let content = null;
-  if (view === "home") content = <Home />;
-  else if (view === "login-admin") content = <Login type="admin" />;
-  else if (view === "login-student") content = <Login type="student" />;
-  else if (view === "admin-dashboard") content = auth.type === "admin" ? <AdminDashboard /> : <div className="centered"><p>Not authorized</p><button onClick={() => setView("home")}>Home</button></div>;
-  else if (view === "student-dashboard") content = auth.type === "student" ? <StudentDashboard /> : <div className="centered"><p>Not authorized</p><button onClick={() => setView("home")}>Home</button></div>;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-catalog") content = <CourseCatalog />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
-  else if (view === "course-desc") content = <CourseDescription />;
+function courseTerm(data, course) {
+  return (data.terms || []).find((t) => t.id === course.termId) || null;
+}
 
-  // simple top bar
-  return (
-    <div>
-      <style>{`/* simple styles for single-file app */
-        body { font-family: Inter, Arial, sans-serif; background:#f3f5f7; margin:0; }
-        .centered{ max-width:1150px; margin:24px auto; padding:16px; }
-        .card{ background:white; padding:12px; border-radius:8px; box-shadow:0 6px 18px rgba(20,30,40,0.06); margin:8px; }
-        .actions button{ margin-right:8px; }
-        h1,h2,h3{ margin:8px 0 }
-        .row{ display:flex; gap:8px; align-items:center; }
-        .row.space{ justify-content:space-between; }
-        .table{ width:100%; border-collapse:collapse }
-        .table th, .table td{ padding:6px 8px; border-bottom:1px solid #eee; text-align:left }
-        .list{ width:65% }
-        .form{ max-width:600px }
-        input, textarea, select{ width:100%; padding:8px; margin:6px 0; border-radius:6px; border:1px solid #ddd }
-        .grid-cards{ display:grid; grid-template-columns:repeat(auto-fit,minmax(240px,1fr)); gap:12px }
-        .course-card{ min-height:160px }
-        .muted{ color:#666; font-size:0.9em }
-        .timetable{ overflow:auto; border:1px solid #e8edf0; border-radius:8px }
-        .tt-header{ display:flex; }
-        .tt-row{ display:flex; }
-        .tt-cell{ min-width:120px; border-left:1px solid #f1f4f6; padding:6px; box-sizing:border-box; }
-        .tt-cell.header{ background:#fafbfd; font-weight:600; border-bottom:1px solid #e1e7eb }
-        .tt-cell.hour{ width:80px; background:#fff; }
-        .tt-event{ background:#eaf2ff; padding:6px; border-radius:6px }
-        .form-grid{ display:grid; grid-template-columns:repeat(auto-fill,minmax(180px,1fr)); gap:8px }
-        .small{ font-size:0.85em; color:#444 }
-      `}</style>
-
-      <div style={{ background: "linear-gradient(90deg,#2b6cb0,#3b82f6)", color: "white", padding: 12 }}>
-        <div className="centered" style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-          <div>
-            <strong>Course Scheduler</strong>
-            <div style={{ fontSize: 12 }}>{auth.type ? `${auth.type.toUpperCase()}: ${auth.user.name || auth.user.username}` : 'Not logged in'}</div>
-          </div>
-          <div className="row">
-            <button onClick={() => setView("home")} style={{ padding: '8px 10px' }}>Home</button>
-            <button onClick={() => setView("course-desc")} style={{ padding: '8px 10px' }}>Catalog</button>
-            {!auth.type && <><button onClick={() => setView("login-student")} style={{ padding: '8px 10px' }}>Student Login</button>
-            <button onClick={() => setView("login-admin")} style={{ padding: '8px 10px' }}>Admin Login</button></>}
-            {auth.type && <button onClick={logout} style={{ padding: '8px 10px' }}>Logout</button>}
-          </div>
-        </div>
-      </div>
+// The dates a course runs: its term's, or for courses saved before terms existed, the free-text dateRange.
+function courseDates(data, course) {
+  const term = courseTerm(data, course);
+  if (term) return { start: term.start, end: term.end };
+  const m = /(\d{4}-\d{2}-\d{2})\s*to\s*(\d{4}-\d{2}-\d{2})/.exec(course.dateRange || "");
+  return m ? { start: m[1], end: m[2] } : null;
+}
 
-      <div className="centered">
-        {message && <div className="card"><strong>{message}</strong></div>}
-        {content}
-        <div style={{ marginTop: 18, fontSize: 12, color: '#666' }}>
-        </div>
+function describeDates(data, course, t = english) {
+  const term = courseTerm(data, course);
+  if (term) return t("{term} ({start} to {end})", { term: term.name, start: term.start, end: term.end });
+  return course.dateRange || t("Not scheduled");
+}
+
+// The term that is running on the given date, else the next one to start, else the last one.
+function currentTermId(data, today = todayISO()) {
+  const terms = [...(data.terms || [])].sort((a, b) => a.start.localeCompare(b.start));
+  const term = terms.find((t) => t.start <= today && today <= t.end) || terms.find((t) => t.start > today) || terms[terms.length - 1];
+  return term ? term.id : null;
+}
+
+// kind is "add" or "drop"; returns a message once that deadline has passed.
+function deadlineProblem(data, course, kind, today = todayISO(), t = english) {
+  const term = courseTerm(data, course);
+  const deadline = term && (kind === "add" ? term.addDeadline : term.dropDeadline);
+  if (deadline && today > deadline) return t(kind === "add" ? "The add deadline for {term} ({date}) has passed" : "The drop deadline for {term} ({date}) has passed", { term: term.name, date: deadline });
+  return null;
+}
+
+function invalidTerm(term, t = english) {
+  if (!term.id || !term.name) return t("A term needs an ID and a name");
+  if (!isValidDate(term.start) || !isValidDate(term.end)) return t("Term start and end must be YYYY-MM-DD dates");
+  if (term.start > term.end) return t("Term must end after it starts");
+  const bad = [term.addDeadline, term.dropDeadline, ...(term.holidays || [])].find((d) => d && !isValidDate(d));
+  if (bad) return t("Invalid date: {date}", { date: bad });
+  return null;
+}
+
+// Requirements are AND-groups of OR-alternatives, written "CSE101, MAT201|MAT200" in the admin form.
+function parseRequirements(text) {
+  return text.split(",").map((group) => group.split("|").map((id) => id.trim()));
+}
+function requirementsToInput(groups) {
+  return (groups || []).map((g) => g.join("|")).join(",");
+}
+function normalizeRequirements(groups) {
+  return (groups || []).map((g) => g.filter(Boolean)).filter((g) => g.length);
+}
+function describeRequirements(groups, t = english) {
+  const parts = normalizeRequirements(groups).map((g) => (g.length > 1 ? `(${g.join(` ${t("or")} `)})` : g[0]));
+  return parts.length ? parts.join(` ${t("and")} `) : t("None");
+}
+
+// Returns a message naming the first unmet requirement, or null when the student may take the course.
+// Prerequisites must be completed; corequisites may also be satisfied by a current registration.
+function missingRequirement(student, course, t = english) {
+  const completed = student.completed || [];
+  const current = student.registrations || [];
+  const unmet = (groups, pool) => normalizeRequirements(groups).find((g) => !g.some((id) => pool.includes(id)));
+  const alternatives = (group) => (group.length > 1 ? t("one of {courses}", { courses: group.join(", ") }) : group[0]);
+  const pre = unmet(course.prerequisites, completed);
+  if (pre) return t("Missing prerequisite for {course}: {required}", { course: course.id, required: alternatives(pre) });
+  const co = unmet(course.corequisites, [...completed, ...current]);
+  if (co) return t("Missing corequisite for {course}: register for {required} first", { course: course.id, required: alternatives(co) });
+  return null;
+}
+
+function requiredIds(course) {
+  return [...normalizeRequirements(course.prerequisites), ...normalizeRequirements(course.corequisites)].flat();
+}
+
+function invalidRequirement(courses, course, t = english) {
+  const ids = requiredIds(course);
+  if (ids.includes(course.id)) return t("A course cannot require itself");
+  const unknown = ids.find((id) => !courses.some((c) => c.id === id));
+  if (unknown) return t("Unknown course in requirements: {course}", { course: unknown });
+  return null;
+}
+
+// A course meets in one or more sections (lecture, lab, tutorial). Courses saved before sections
+// existed carry days/start/end themselves and are treated as a single lecture.
+function courseSections(course) {
+  if (course.sections && course.sections.length) return course.sections;
+  return [{ id: "L1", type: "Lecture", days: course.days || [], start: course.start, end: course.end, room: course.room || "", seats: course.seats }];
+}
+
+function sectionTypes(course) {
+  return [...new Set(courseSections(course).map((s) => s.type))];
+}
+
+// Without l10n (see localization) the text is English with 24-hour times, as stored in notices and logs.
+function describeSection(section, l10n) {
+  const days = section.days.map((d) => (l10n ? l10n.dayName(d) : dayCode(d))).join(", ");
+  const times = l10n ? l10n.timeRange(section.start, section.end) : `${section.start}-${section.end}`;
+  return `${l10n ? l10n.t(section.type) : section.type} ${section.id}: ${days} ${times}${section.room ? " @ " + section.room : ""}`;
+}
+
+function isValidTime(t) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(t || "");
+}
+
+function invalidSections(course, t = english) {
+  const sections = course.sections || [];
+  if (!sections.length) return t("A course needs at least one section");
+  for (const s of sections) {
+    if (!s.id) return t("Every section needs an ID");
+    if (sections.filter((o) => o.id === s.id).length > 1) return t("Duplicate section ID: {section}", { section: s.id });
+    if (!s.days.length) return t("Section {section} needs at least one day", { section: s.id });
+    const unknownDay = s.days.find((d) => !DAYS.includes(d));
+    if (unknownDay !== undefined) return t('Section {section} has unknown day "{day}" (use {days})', { section: s.id, day: unknownDay, days: DAY_CODES.join(", ") });
+    if (!isValidTime(s.start) || !isValidTime(s.end)) return t("Section {section} needs HH:MM start and end times", { section: s.id });
+    if (timeToMinutes(s.start) >= timeToMinutes(s.end)) return t("Section {section} must end after it starts", { section: s.id });
+  }
+  return null;
+}
+
+// The sections a student attends for a registered course; older registrations default to the first of each type.
+function studentSectionIds(student, course) {
+  const chosen = (student.sections || {})[course.id];
+  if (chosen && chosen.length) return chosen;
+  return sectionTypes(course).map((t) => courseSections(course).find((s) => s.type === t).id);
+}
+
+// Sections tagged with their course and the dates it runs, ready for checkConflict.
+function courseMeetings(data, course, sectionIds) {
+  const dates = courseDates(data, course);
+  return courseSections(course).filter((s) => !sectionIds || sectionIds.includes(s.id)).map((s) => ({ ...s, course, dates }));
+}
+
+// Every meeting a student attends.
+function studentMeetings(data, student, excludeCourseId) {
+  const regs = student.registrations || [];
+  return data.courses.filter((c) => regs.includes(c.id) && c.id !== excludeCourseId).flatMap((c) => courseMeetings(data, c, studentSectionIds(student, c)));
+}
+
+// Instructors and rooms. Availability is a list of weekly { day, start, end } windows.
+function instructorMeetings(data, username) {
+  return data.courses.filter((c) => c.instructorId === username).flatMap((c) => courseMeetings(data, c));
+}
+
+function roomMeetings(data, roomId) {
+  return data.courses.flatMap((c) => courseMeetings(data, c)).filter((m) => m.room === roomId);
+}
+
+function withinAvailability(availability, meeting) {
+  if (!availability || !availability.length) return true;
+  const start = timeToMinutes(meeting.start);
+  const end = timeToMinutes(meeting.end);
+  return meeting.days.every((d) => availability.some((w) => w.day === d && timeToMinutes(w.start) <= start && end <= timeToMinutes(w.end)));
+}
+
+// "Mon 09:00-17:00, Fri 09:00-12:00" <-> availability windows; returns null when the text is malformed.
+// Day names may be English or in the given locale; times are always HH:MM.
+function parseAvailability(text, locale) {
+  const windows = [];
+  for (const part of text.split(",").map((p) => p.trim()).filter(Boolean)) {
+    const m = /^(\S+)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(part);
+    const day = m && parseDay(m[1], locale);
+    if (!day) return null;
+    // "9:00" is read as "09:00", so stored windows use the same HH:MM as section times
+    const [start, end] = [m[2], m[3]].map((t) => t.padStart(5, "0"));
+    if (!isValidTime(start) || !isValidTime(end) || timeToMinutes(start) >= timeToMinutes(end)) return null;
+    windows.push({ day, start, end });
+  }
+  return windows;
+}
+
+function availabilityToInput(windows, locale) {
+  return (windows || []).map((w) => `${dayName(w.day, locale)} ${w.start}-${w.end}`).join(", ");
+}
+
+// Checks a course's instructor and rooms against every other booking, using the same overlap
+// rules as student conflicts. Double bookings and sections larger than their room are errors;
+// meetings outside availability windows and an overloaded instructor are only warnings.
+function resourceProblems(data, course, t = english) {
+  const errors = [];
+  const warnings = [];
+  const others = data.courses.filter((c) => c.id !== course.id);
+  const meetings = courseMeetings(data, course);
+  const label = (m) => `${m.course.id} ${m.id}`;
+
+  if (course.instructorId) {
+    const instructor = findUser(data, "instructor", course.instructorId);
+    if (!instructor) errors.push(t("Unknown instructor: {instructor}", { instructor: course.instructorId }));
+    else {
+      const name = instructor.name || instructor.username;
+      const teaching = others.filter((c) => c.instructorId === instructor.username);
+      const busy = teaching.flatMap((c) => courseMeetings(data, c));
+      for (const m of meetings) {
+        const clash = busy.find((b) => checkConflict(m, b));
+        if (clash) errors.push(t("{name} is already teaching {other} during {section}", { name, other: label(clash), section: label(m) }));
+        if (!withinAvailability(instructor.availability, m)) warnings.push(t("{section} is outside {name}'s availability", { section: label(m), name }));
+      }
+      const load = teaching.filter((c) => datesOverlap(courseDates(data, c), courseDates(data, course))).length + 1;
+      if (instructor.maxCourses && load > instructor.maxCourses) warnings.push(t("{name} would teach {count} courses at once (limit {limit})", { name, count: load, limit: instructor.maxCourses }));
+    }
+  }
+
+  const booked = others.flatMap((c) => courseMeetings(data, c));
+  meetings.forEach((m, i) => {
+    if (!m.room) return;
+    const room = (data.rooms || []).find((r) => r.id === m.room);
+    if (!room) return errors.push(t("Unknown room: {room}", { room: m.room }));
+    const clash = [...booked, ...meetings.slice(0, i)].find((o) => o.room === m.room && checkConflict(m, o));
+    if (clash) errors.push(t("{room} is already booked for {other} during {section}", { room: room.id, other: label(clash), section: label(m) }));
+    const seats = m.seats || course.seats;
+    if (room.capacity && seats > room.capacity) errors.push(t("{section} has {seats} seats but {room} holds {capacity}", { section: label(m), seats, room: room.id, capacity: room.capacity }));
+    if (!withinAvailability(room.availability, m)) warnings.push(t("{section} is outside the availability of {room}", { section: label(m), room: room.id }));
+  });
+  return { errors, warnings };
+}
+
+function withWarnings(message, warnings, t = english) {
+  return warnings.length ? t("{message}. Warning: {warnings}", { message, warnings: warnings.join("; ") }) : message;
+}
+
+function countRegistrations(data, courseId) {
+  return data.users.students.reduce((acc, s) => acc + (s.registrations?.includes(courseId) ? 1 : 0), 0);
+}
+
+function countSectionRegistrations(data, course, sectionId) {
+  return data.users.students.reduce((acc, s) => acc + (s.registrations?.includes(course.id) && studentSectionIds(s, course).includes(sectionId) ? 1 : 0), 0);
+}
+
+function sectionHasSeat(data, course, section) {
+  return countSectionRegistrations(data, course, section.id) < (section.seats || course.seats || 9999);
+}
+
+// A course has room when its overall cap allows it and every section type still has an open section.
+function hasSeat(data, course) {
+  if (countRegistrations(data, course.id) >= (course.seats || 9999)) return false;
+  return sectionTypes(course).every((t) => courseSections(course).some((s) => s.type === t && sectionHasSeat(data, course, s)));
+}
+
+// Returns why a student can't take the given section combination, or null if they can.
+function sectionChoiceProblem(data, student, course, sectionIds, t = english) {
+  const sections = courseMeetings(data, course, sectionIds);
+  const types = sectionTypes(course);
+  if (sections.length !== types.length || types.some((type) => !sections.some((s) => s.type === type))) return t("Choose one section of each type: {types}", { types: types.map((type) => t(type)).join(", ") });
+  const full = sections.find((s) => !sectionHasSeat(data, course, s));
+  if (full) return t("No seats available in {section}", { section: `${t(full.type)} ${full.id}` });
+  if (sections.some((a, i) => sections.slice(i + 1).some((b) => checkConflict(a, b)))) return t("The chosen sections overlap each other");
+  const meetings = studentMeetings(data, student, course.id);
+  if (sections.some((s) => meetings.some((m) => checkConflict(m, s)))) return t("Cannot register due to a schedule conflict");
+  return null;
+}
+
+// First open, conflict-free combination of one section per type, or null if none fits.
+function pickSections(data, student, course) {
+  const meetings = studentMeetings(data, student, course.id);
+  const types = sectionTypes(course);
+  const pick = (i, chosen) => {
+    if (i === types.length) return chosen;
+    for (const s of courseMeetings(data, course).filter((x) => x.type === types[i])) {
+      if (!sectionHasSeat(data, course, s) || [...meetings, ...chosen].some((m) => checkConflict(m, s))) continue;
+      const found = pick(i + 1, [...chosen, s]);
+      if (found) return found;
+    }
+    return null;
+  };
+  const found = pick(0, []);
+  return found ? found.map((s) => s.id) : null;
+}
+
+// Runs every registration check and returns { data, sectionIds } with the student registered, or { error }.
+// sectionIds is optional; without it the first open, conflict-free combination is picked.
+function applyRegistration(data, studentUsername, courseId, sectionIds, t = english) {
+  const course = data.courses.find((c) => c.id === courseId);
+  if (!course) return { error: t("Course not found") };
+  const late = deadlineProblem(data, course, "add", todayISO(), t);
+  if (late) return { error: late };
+
+  // check seat
+  if (!hasSeat(data, course)) return { error: t("No seats available. You can join the waitlist instead.") };
+
+  // check prerequisites and corequisites
+  const student = data.users.students.find((s) => s.username === studentUsername);
+  const missing = missingRequirement(student, course, t);
+  if (missing) return { error: missing };
+
+  // check section seats and conflicts with student's existing regs, meeting by meeting
+  const choice = sectionIds || pickSections(data, student, course);
+  if (!choice) return { error: t("Cannot register due to a schedule conflict"), conflictsWith: clashingCourses(data, student, course) };
+  const problem = sectionChoiceProblem(data, student, course, choice, t);
+  if (problem) return { error: problem, conflictsWith: clashingCourses(data, student, course, choice) };
+
+  // add
+  const newStudents = data.users.students.map((s) => (s.username === studentUsername ? withRegistration(s, courseId, choice) : s));
+  const queue = waitlistFor(data, courseId).filter((u) => u !== studentUsername);
+  return { data: withWaitlist({ ...data, users: { ...data.users, students: newStudents } }, courseId, queue), sectionIds: choice };
+}
+
+function withRegistration(student, courseId, sectionIds) {
+  return {
+    ...student,
+    registrations: [...(student.registrations || []), courseId],
+    sections: { ...(student.sections || {}), [courseId]: sectionIds },
+    registeredAt: { ...(student.registeredAt || {}), [courseId]: new Date().toISOString() },
+  };
+}
+
+// An admin enrolling a student on their behalf, ignoring seat limits and timetable conflicts.
+// Deadlines and requirements still apply; open, conflict-free sections are preferred when there are any.
+// The reason stays on the student (overrides[courseId]) so the server accepts the registration too.
+function overrideRegistration(data, username, courseId, reason, t = english) {
+  const course = data.courses.find((c) => c.id === courseId);
+  const student = findUser(data, "student", username);
+  if (!course) return { error: t("Course not found") };
+  if (!student) return { error: t("Unknown student: {username}", { username }) };
+  if ((student.registrations || []).includes(courseId)) return { error: t("{username} is already registered in {course}", { username, course: courseId }) };
+  const problem = deadlineProblem(data, course, "add", todayISO(), t) || missingRequirement(student, course, t);
+  if (problem) return { error: problem };
+  const sectionIds = pickSections(data, student, course) || studentSectionIds({}, course);
+  const students = data.users.students.map((s) => (s.username === username ? { ...withRegistration(s, courseId, sectionIds), overrides: { ...(s.overrides || {}), [courseId]: reason } } : s));
+  return { data: withWaitlist({ ...data, users: { ...data.users, students } }, courseId, waitlistFor(data, courseId).filter((u) => u !== username)), sectionIds };
+}
+
+// Removes a student together with their registrations and waitlist places; run promoteWaitlists afterwards.
+function withoutStudent(data, username) {
+  const waitlists = Object.fromEntries(Object.entries(data.waitlists || {}).map(([id, queue]) => [id, queue.filter((u) => u !== username)]).filter(([, queue]) => queue.length));
+  return { ...data, waitlists, users: { ...data.users, students: data.users.students.filter((s) => s.username !== username) } };
+}
+
+function activeAdmins(data) {
+  return data.users.admins.filter((a) => !a.deactivated);
+}
+
+// Moves an account between the admin and student lists, keeping its name, password and inbox.
+// A student's registrations and waitlist places are dropped; run promoteWaitlists afterwards.
+// Returns { data } or { error }; the last active admin can't be demoted.
+function withRole(data, type, username, role, t = english) {
+  const user = findUser(data, type, username);
+  if (!user) return { error: t(type === "admin" ? "Unknown admin: {username}" : "Unknown student: {username}", { username }) };
+  if (type === role) return { data };
+  if (findUser(data, role, username)) return { error: t(role === "admin" ? "{username} is already an admin" : "{username} is already a student", { username }) };
+  if (type === "admin" && !activeAdmins(data).some((a) => a.username !== username)) return { error: t("At least one active admin must remain") };
+  const { registrations, sections, registeredAt, overrides, completed, history, ...account } = user;
+  const rest = type === "student" ? withoutStudent(data, username) : { ...data, users: { ...data.users, [USER_LISTS[type]]: userList(data, type).filter((u) => u.username !== username) } };
+  const record = role === "student" ? { registrations: [], sections: {}, completed: [], history: [], registeredAt: {}, ...account } : account;
+  return { data: { ...rest, users: { ...rest.users, [USER_LISTS[role]]: [...userList(rest, role), record] } } };
+}
+
+// Registered courses that clash with the given sections of course (all of them when none are given).
+function clashingCourses(data, student, course, sectionIds) {
+  const sections = courseMeetings(data, course, sectionIds);
+  return [...new Set(studentMeetings(data, student, course.id).filter((m) => sections.some((s) => checkConflict(m, s))).map((m) => m.course.id))];
+}
+
+// Every one-section-per-type combination of a course that still has seats, as meeting lists.
+function sectionCombos(data, course) {
+  const types = sectionTypes(course);
+  const meetings = courseMeetings(data, course).filter((m) => sectionHasSeat(data, course, m));
+  let combos = [[]];
+  for (const t of types) {
+    combos = combos.flatMap((combo) => meetings.filter((m) => m.type === t && !combo.some((c) => checkConflict(c, m))).map((m) => [...combo, m]));
+  }
+  return combos;
+}
+
+// Points for ranking schedules. An optional course is worth less than a class that is both early and
+// on a Friday, so a course that breaks the preferences can lose to leaving it out.
+const SCHEDULE_WEIGHTS = { optionalCourse: 20, earlyClass: 10, fridayClass: 15, day: 5, gapHalfHour: 1 };
+// Schedule combinations tried before the search gives up and reports the results as truncated.
+const SCHEDULE_SEARCH_LIMIT = 5000;
+
+// Lower is worse: optional courses add points and every class that breaks a preference takes some away.
+function scoreSchedule(meetings, optionalCount, prefs) {
+  let score = optionalCount * SCHEDULE_WEIGHTS.optionalCourse;
+  const noBefore = isValidTime(prefs.noBefore) ? timeToMinutes(prefs.noBefore) : null;
+  const byDay = {};
+  for (const m of meetings) {
+    for (const d of m.days) {
+      (byDay[d] = byDay[d] || []).push(m);
+      if (noBefore !== null && timeToMinutes(m.start) < noBefore) score -= SCHEDULE_WEIGHTS.earlyClass;
+      if (prefs.freeFridays && d === 5) score -= SCHEDULE_WEIGHTS.fridayClass;
+    }
+  }
+  if (prefs.compactDays) {
+    for (const day of Object.values(byDay)) {
+      score -= SCHEDULE_WEIGHTS.day;
+      const sorted = day.map((m) => [timeToMinutes(m.start), timeToMinutes(m.end)]).sort((a, b) => a[0] - b[0]);
+      for (let i = 1; i < sorted.length; i++) score -= (SCHEDULE_WEIGHTS.gapHalfHour * Math.max(0, sorted[i][0] - sorted[i - 1][1])) / 30;
+    }
+  }
+  return Math.round(score * 10) / 10;
+}
+
+// wishlist: [{ courseId, required }]; prefs: { noBefore: "HH:MM", freeFridays, compactDays }.
+// Returns { schedules, truncated }: the best conflict-free schedules as { choices: [{ courseId, sectionIds }],
+// meetings, score }, and whether the search stopped at SCHEDULE_SEARCH_LIMIT before trying every combination.
+function generateSchedules(data, student, wishlist, prefs, limit = 10) {
+  const existing = studentMeetings(data, student);
+  const items = wishlist
+    .map((w) => ({ ...w, course: data.courses.find((c) => c.id === w.courseId) }))
+    .filter((w) => w.course && !(student.registrations || []).includes(w.courseId))
+    .sort((a, b) => Number(b.required) - Number(a.required));
+  const options = items.map((w) => (deadlineProblem(data, w.course, "add") || !hasSeat(data, w.course) ? [] : sectionCombos(data, w.course)));
+  const results = [];
+  let explored = 0;
+  const walk = (i, chosen, meetings) => {
+    if (++explored > SCHEDULE_SEARCH_LIMIT) return;
+    if (i === items.length) {
+      const planned = { ...student, registrations: [...(student.registrations || []), ...chosen.map((ch) => ch.courseId)] };
+      if (chosen.some((ch) => missingRequirement(planned, items.find((w) => w.courseId === ch.courseId).course))) return;
+      const own = meetings.slice(existing.length);
+      const optionalCount = chosen.filter((ch) => !items.find((w) => w.courseId === ch.courseId).required).length;
+      if (chosen.length) results.push({ choices: chosen, meetings: own, score: scoreSchedule(meetings, optionalCount, prefs) });
+      return;
+    }
+    for (const combo of options[i]) {
+      if (combo.some((m) => meetings.some((o) => checkConflict(o, m)))) continue;
+      walk(i + 1, [...chosen, { courseId: items[i].courseId, sectionIds: combo.map((m) => m.id) }], [...meetings, ...combo]);
+    }
+    if (!items[i].required) walk(i + 1, chosen, meetings);
+  };
+  walk(0, [], existing);
+  return { schedules: results.sort((a, b) => b.score - a.score).slice(0, limit), truncated: explored > SCHEDULE_SEARCH_LIMIT };
+}
+
+function withoutRegistration(student, courseId) {
+  const sections = { ...(student.sections || {}) };
+  const registeredAt = { ...(student.registeredAt || {}) };
+  delete sections[courseId];
+  delete registeredAt[courseId];
+  const dropped = { ...student, registrations: (student.registrations || []).filter((r) => r !== courseId), sections, registeredAt };
+  if (student.overrides?.[courseId] === undefined) return dropped;
+  const { [courseId]: _, ...overrides } = student.overrides;
+  return { ...dropped, overrides };
+}
+
+function waitlistFor(data, courseId) {
+  return (data.waitlists || {})[courseId] || [];
+}
+
+function waitlistPosition(data, courseId, username) {
+  return waitlistFor(data, courseId).indexOf(username) + 1; // 0 when not waitlisted
+}
+
+function withWaitlist(data, courseId, queue) {
+  const waitlists = { ...(data.waitlists || {}) };
+  if (queue.length) waitlists[courseId] = queue;
+  else delete waitlists[courseId];
+  return { ...data, waitlists };
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Notifications live on the user record: { id, at, text, params?, kind, read, archived?, courseId?, key? }.
+// kind is one of info, enrollment, waitlist, change, conflict, cancelled, deadline, announcement.
+// text is the English template for params (see asMessage); older notices hold plain English.
+function addNotice(user, text, details = {}) {
+  return { ...user, notices: [...(user.notices || []), { id: newId(), at: new Date().toISOString(), text, kind: "info", read: false, ...details }] };
+}
+
+// A notice in the reader's words. A { sections } param lists course sections with their day names and clock.
+function noticeText(notice, l10n = localization({ language: "en", hourCycle: "24", weekStart: "" }, ["en"])) {
+  const params = Object.fromEntries(Object.entries(notice.params || {}).map(([key, v]) => [key, v?.sections ? v.sections.map((sec) => describeSection(sec, l10n)).join("; ") : v]));
+  return l10n.t(notice.text, params);
+}
+
+function unreadCount(user) {
+  return (user?.notices || []).filter((n) => !n.read && !n.archived).length;
+}
+
+// Tells a waitlisted student they were skipped, unless their last waitlist notice for the course
+// already said so for the same reason; promoteWaitlists runs on every change, the reason doesn't.
+function withSkipNotice(student, course, reason, text, params) {
+  const key = `waitlist-skip:${course.id}:${reason}`;
+  const last = (student.notices || []).filter((n) => n.kind === "waitlist" && n.courseId === course.id).pop();
+  return last?.key === key ? student : addNotice(student, text, { kind: "waitlist", courseId: course.id, key, params });
+}
+
+// Fill any free seats from the waitlists, first come first served.
+// A waitlisted student whose timetable conflicts is skipped (and told so once) but keeps their place.
+function promoteWaitlists(data) {
+  let next = data;
+  for (const courseId of Object.keys(data.waitlists || {})) {
+    const course = next.courses.find((c) => c.id === courseId);
+    if (!course) {
+      next = withWaitlist(next, courseId, []);
+      continue;
+    }
+    if (deadlineProblem(next, course, "add")) continue;
+    const remaining = [];
+    for (const username of waitlistFor(next, courseId)) {
+      const student = next.users.students.find((s) => s.username === username);
+      if (!student || (student.registrations || []).includes(courseId)) continue;
+      if (!hasSeat(next, course)) {
+        remaining.push(username);
+        continue;
+      }
+      let updated;
+      const missing = missingRequirement(student, course);
+      const choice = missing ? null : pickSections(next, student, course);
+      if (missing) {
+        updated = withSkipNotice(student, course, missing, "A seat opened in {course} but you were skipped. {reason}.", { course: course.id, reason: missingRequirement(student, course, asMessage) });
+        remaining.push(username);
+      } else if (!choice) {
+        updated = withSkipNotice(student, course, "conflict", "A seat opened in {course} but you were skipped because it conflicts with your timetable.", { course: course.id });
+        remaining.push(username);
+      } else {
+        updated = addNotice(withRegistration(student, courseId, choice), "You were promoted from the waitlist and are now registered in {course}.", { kind: "waitlist", courseId, params: { course: course.id } });
+      }
+      if (updated === student) continue;
+      const students = next.users.students.map((s) => (s.username === username ? updated : s));
+      next = { ...next, users: { ...next.users, students } };
+    }
+    next = withWaitlist(next, courseId, remaining);
+  }
+  return next;
+}
+
+// After sections of a course are removed, finds each student who held one a new open, conflict-free
+// place, keeping the sections they still have where possible. Students with no place left lose the
+// registration, go to the front of the waitlist and are told why; run promoteWaitlists afterwards.
+// previous is the course before the edit, for students still on its default sections.
+function reseatStudents(data, course, previous) {
+  const ids = courseSections(course).map((sec) => sec.id);
+  let next = data;
+  for (const student of data.users.students) {
+    const chosen = (student.sections || {})[course.id] || (previous && studentSectionIds(student, previous));
+    if (!(student.registrations || []).includes(course.id) || !chosen || chosen.every((id) => ids.includes(id))) continue;
+    const without = updateUser(next, "student", student.username, (st) => withoutRegistration(st, course.id));
+    const kept = courseSections(course).filter((sec) => chosen.includes(sec.id));
+    const keeping = { ...course, sections: courseSections(course).filter((sec) => kept.includes(sec) || !kept.some((k) => k.type === sec.type)) };
+    const choice = pickSections(without, student, keeping) || pickSections(without, student, course);
+    if (choice) {
+      next = updateUser(next, "student", student.username, (st) => ({ ...st, sections: { ...st.sections, [course.id]: choice } }));
+      continue;
+    }
+    next = updateUser(without, "student", student.username, (st) => addNotice(st, "Your section of {course} was removed and no open section fits your timetable, so you are now first on its waitlist.", { kind: "waitlist", courseId: course.id, params: { course: course.id } }));
+    next = withWaitlist(next, course.id, [student.username, ...waitlistFor(next, course.id).filter((u) => u !== student.username)]);
+  }
+  return next;
+}
+
+// Notices that follow from a change: cancelled courses, sections that moved (flagging new clashes in
+// a student's timetable) and students moving up a waitlist. promoteWaitlists announces promotions itself.
+function withChangeNotices(before, after) {
+  let next = after;
+  const notify = (type, username, text, details) => {
+    if (findUser(next, type, username)) next = updateUser(next, type, username, (u) => addNotice(u, text, details));
+  };
+  const attends = (student, course) => courseSections(course).filter((sec) => studentSectionIds(student, course).includes(sec.id));
+  for (const old of before.courses) {
+    const course = after.courses.find((c) => c.id === old.id);
+    if (!course) {
+      const affected = new Set([...before.users.students.filter((s) => (s.registrations || []).includes(old.id)).map((s) => s.username), ...waitlistFor(before, old.id)]);
+      const params = { course: old.id, name: old.name };
+      for (const username of affected) notify("student", username, "{course} {name} was cancelled and removed from your timetable.", { kind: "cancelled", courseId: old.id, params });
+      if (old.instructorId) notify("instructor", old.instructorId, "{course} {name} was cancelled.", { kind: "cancelled", courseId: old.id, params });
+      continue;
+    }
+    if (sameJson(courseSections(old), courseSections(course))) continue;
+    for (const student of after.users.students.filter((s) => (s.registrations || []).includes(course.id))) {
+      const was = before.users.students.find((s) => s.username === student.username);
+      if (!was || !(was.registrations || []).includes(old.id) || sameJson(attends(was, old), attends(student, course))) continue;
+      const clashes = clashingCourses(after, student, course, studentSectionIds(student, course)).filter((id) => !clashingCourses(before, was, old, studentSectionIds(was, old)).includes(id));
+      const text = clashes.length ? "{course} changed: {sections}. It now clashes with {clashes} in your timetable." : "{course} changed: {sections}.";
+      notify("student", student.username, text, { kind: clashes.length ? "conflict" : "change", courseId: course.id, params: { course: course.id, sections: { sections: attends(student, course) }, clashes: clashes.join(", ") } });
+    }
+    if (course.instructorId) notify("instructor", course.instructorId, "{course} changed: {sections}.", { kind: "change", courseId: course.id, params: { course: course.id, sections: { sections: courseSections(course) } } });
+  }
+  for (const [courseId, queue] of Object.entries(after.waitlists || {})) {
+    const old = waitlistFor(before, courseId);
+    queue.forEach((username, i) => {
+      if (old.indexOf(username) > i) notify("student", username, "You moved up to #{position} on the {course} waitlist.", { kind: "waitlist", courseId, params: { position: i + 1, course: courseId } });
+    });
+  }
+  return next;
+}
+
+// Reminds a student of add/drop deadlines in the next DEADLINE_NOTICE_DAYS days for terms they are
+// registered or waitlisted in, once per deadline.
+const DEADLINE_NOTICE_DAYS = 3;
+
+function withDeadlineNotices(data, username, today = todayISO()) {
+  const student = findUser(data, "student", username);
+  if (!student) return data;
+  const courseIds = [...(student.registrations || []), ...Object.keys(data.waitlists || {}).filter((id) => waitlistFor(data, id).includes(username))];
+  const termIds = new Set(courseIds.map((id) => data.courses.find((c) => c.id === id)?.termId).filter(Boolean));
+  let next = student;
+  for (const term of (data.terms || []).filter((t) => termIds.has(t.id))) {
+    for (const [kind, date] of [["add", term.addDeadline], ["drop", term.dropDeadline]]) {
+      const key = `deadline:${term.id}:${kind}`;
+      if (!date || date < today || date > addDays(today, DEADLINE_NOTICE_DAYS) || (next.notices || []).some((n) => n.key === key)) continue;
+      next = addNotice(next, `The ${kind} deadline for {term} is {date}.`, { kind: "deadline", key, params: { term: term.name, date } });
+    }
+  }
+  return next === student ? data : updateUser(data, "student", username, () => next);
+}
+
+// Catalog search, filters, sorting and paging. The query lives in the URL (?q=graph&day=Mon&page=2)
+// so a filtered view can be shared, and it survives the dashboards re-rendering.
+const CATALOG_PAGE_SIZE = 10;
+const CATALOG_SORTS = { id: "ID", name: "Name", time: "Start time", seats: "Free seats" };
+const emptyCatalogQuery = { q: "", day: "", from: "", to: "", open: false, fits: false, sort: "id", dir: "asc", page: 1 };
+
+function parseCatalogQuery(search) {
+  const params = new URLSearchParams(search);
+  const query = { ...emptyCatalogQuery };
+  for (const key of ["q", "from", "to"]) query[key] = params.get(key) || "";
+  query.day = parseDay(params.get("day")) || ""; // links from before numbered days say day=Mon
+  query.open = params.get("open") === "1";
+  query.fits = params.get("fits") === "1";
+  if (CATALOG_SORTS[params.get("sort")]) query.sort = params.get("sort");
+  query.dir = params.get("dir") === "desc" ? "desc" : "asc";
+  query.page = Math.max(1, parseInt(params.get("page"), 10) || 1);
+  return query;
+}
+
+// Only values that differ from the defaults end up in the URL.
+function catalogSearch(query) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== emptyCatalogQuery[key]) params.set(key, value === true ? "1" : String(value));
+  }
+  const text = params.toString();
+  return text ? `?${text}` : "";
+}
+
+function useCatalogQuery() {
+  const [query, setQuery] = useState(() => parseCatalogQuery(window.location.search));
+  // any change other than paging starts again from the first page
+  const update = (patch) => {
+    const next = { ...query, page: 1, ...patch };
+    setQuery(next);
+    window.history.replaceState(window.history.state, "", `${window.location.pathname}${catalogSearch(next)}${window.location.hash}`);
+  };
+  return [query, update];
+}
+
+// Every search word must appear in the ID, code, name or description.
+function matchesText(course, text) {
+  const haystack = [course.id, course.code, course.name, course.description].join(" ").toLowerCase();
+  return text.toLowerCase().split(/\s+/).filter(Boolean).every((word) => haystack.includes(word));
+}
+
+// Some section of every type avoids the student's current meetings (seats are not considered).
+function fitsTimetable(data, student, course) {
+  const meetings = studentMeetings(data, student, course.id);
+  return sectionTypes(course).every((t) => courseMeetings(data, course).some((s) => s.type === t && !meetings.some((m) => checkConflict(m, s))));
+}
+
+// Returns { items, page, pages, total } for the query. A course passes the time window when each
+// of its section types has a section inside it, so some choice of sections fits.
+function searchCourses(data, courses, query, student) {
+  const from = isValidTime(query.from) ? timeToMinutes(query.from) : 0;
+  const to = isValidTime(query.to) ? timeToMinutes(query.to) : 24 * 60;
+  const inWindow = (sec) => from <= timeToMinutes(sec.start) && timeToMinutes(sec.end) <= to;
+  const found = courses.filter((c) => {
+    if (query.q && !matchesText(c, query.q)) return false;
+    if (query.day && !courseSections(c).some((sec) => sec.days.includes(query.day))) return false;
+    if (!sectionTypes(c).every((t) => courseSections(c).some((sec) => sec.type === t && inWindow(sec)))) return false;
+    if (query.open && !hasSeat(data, c)) return false;
+    if (query.fits && student && !(student.registrations || []).includes(c.id) && !fitsTimetable(data, student, c)) return false;
+    return true;
+  });
+  const key = {
+    id: (c) => c.id,
+    name: (c) => (c.name || "").toLowerCase(),
+    time: (c) => Math.min(...courseSections(c).map((sec) => timeToMinutes(sec.start))),
+    seats: (c) => c.seats - countRegistrations(data, c.id),
+  }[query.sort];
+  const sign = query.dir === "desc" ? -1 : 1;
+  const compare = (x, y) => (typeof x === "string" ? x.localeCompare(y, undefined, { numeric: true }) : x - y);
+  found.sort((a, b) => sign * compare(key(a), key(b)) || compare(a.id, b.id));
+  const pages = Math.max(1, Math.ceil(found.length / CATALOG_PAGE_SIZE));
+  const page = Math.min(query.page, pages);
+  return { items: found.slice((page - 1) * CATALOG_PAGE_SIZE, page * CATALOG_PAGE_SIZE), page, pages, total: found.length };
+}
+
+// Teaching: per-session attendance lives in data.attendance[courseId][sessionKey][username];
+// final grades live on the student record (history) and passing ones count as completed.
+const GRADES = ["A", "B", "C", "D", "F", "P", "I", "W"];
+const PASSING_GRADES = ["A", "B", "C", "D", "P"];
+const ATTENDANCE_STATUSES = ["present", "late", "absent", "excused"];
+
+// Every dated occurrence of a course's sections, holidays excluded, in time order.
+function courseSessions(data, course) {
+  const dates = courseDates(data, course);
+  if (!dates) return [];
+  const holidays = courseTerm(data, course)?.holidays || [];
+  const sessions = [];
+  for (let date = dates.start; date <= dates.end; date = addDays(date, 1)) {
+    if (holidays.includes(date)) continue;
+    for (const section of courseSections(course)) {
+      if (section.days.includes(weekdayOf(date))) sessions.push({ key: `${date} ${section.id}`, date, section });
+    }
+  }
+  return sessions.sort((a, b) => a.date.localeCompare(b.date) || a.section.start.localeCompare(b.section.start));
+}
+
+function sessionRoster(data, course, sectionId) {
+  return data.users.students.filter((s) => (s.registrations || []).includes(course.id) && studentSectionIds(s, course).includes(sectionId));
+}
+
+function courseAttendance(data, courseId) {
+  return (data.attendance || {})[courseId] || {};
+}
+
+// marks maps username -> status; an empty status clears the mark
+function withAttendance(data, courseId, sessionKey, marks) {
+  const session = Object.fromEntries(Object.entries(marks).filter(([, status]) => status));
+  return { ...data, attendance: { ...(data.attendance || {}), [courseId]: { ...courseAttendance(data, courseId), [sessionKey]: session } } };
+}
+
+// "present" and "late" count as attended, out of the sessions that were taken for this student.
+function attendanceSummary(data, courseId, username) {
+  const marks = Object.values(courseAttendance(data, courseId)).map((session) => session[username]).filter(Boolean);
+  return { attended: marks.filter((m) => m === "present" || m === "late").length, taken: marks.length };
+}
+
+function courseGrade(student, courseId) {
+  return (student.history || []).find((h) => h.courseId === courseId)?.grade || "";
+}
+
+// Records (or with "" clears) a final grade. Completed courses follow the grade, but a course
+// completed before grades were recorded here is left alone when its grade is cleared.
+function withGrade(data, course, username, grade) {
+  return updateUser(data, "student", username, (st) => {
+    const graded = (st.history || []).some((h) => h.courseId === course.id);
+    const history = (st.history || []).filter((h) => h.courseId !== course.id);
+    if (grade) history.push({ courseId: course.id, termId: course.termId || "", grade });
+    let completed = (st.completed || []).filter((id) => id !== course.id);
+    if (PASSING_GRADES.includes(grade)) completed = [...completed, course.id];
+    else if (!grade && !graded) completed = st.completed || [];
+    return { ...st, history, completed };
+  });
+}
+
+// Bulk import/export for the registrar's spreadsheets. Courses take one CSV row per section;
+// list fields (days, completed courses, section IDs) are separated by ";".
+const IMPORT_KINDS = ["courses", "students", "enrollments"];
+const CSV_COLUMNS = {
+  courses: ["id", "name", "code", "description", "termId", "seats", "instructorId", "prerequisites", "corequisites", "section", "type", "days", "start", "end", "room", "sectionSeats"],
+  students: ["username", "name", "password", "completed"],
+  enrollments: ["username", "courseId", "sections"],
+  roster: ["username", "name", "status", "sections"],
+};
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+// Returns { row, values } per record, numbered like a spreadsheet (the header is row 1).
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  const endField = () => { record.push(field); field = ""; };
+  const endRecord = () => { endField(); records.push(record); record = []; };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") endField();
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else field += ch;
+  }
+  if (field || record.length) endRecord();
+  const [header = [], ...rows] = records;
+  const columns = header.map((h) => h.trim());
+  return rows
+    .map((cells, i) => ({ row: i + 2, values: Object.fromEntries(columns.map((c, j) => [c, (cells[j] || "").trim()])) }))
+    .filter((r) => Object.values(r.values).some(Boolean));
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns, ...rows.map((r) => columns.map((c) => r[c]))].map((cells) => cells.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function splitList(value) {
+  return String(value || "").split(/[;\s]+/).filter(Boolean);
+}
+
+// Turns an uploaded file into { rows, values } entries of the given kind. JSON may be a plain list
+// or a full dataset export; CSV course rows sharing an ID become the sections of one course.
+function parseImport(kind, text, filename = "", t = english) {
+  const body = text.replace(/^\uFEFF/, "").trim();
+  if (filename.toLowerCase().endsWith(".json") || body.startsWith("[") || body.startsWith("{")) {
+    const parsed = JSON.parse(body);
+    let list = parsed;
+    if (!Array.isArray(parsed)) list = kind === "courses" ? parsed.courses : kind === "students" ? parsed.users?.students : parsed.users && parsed.courses && flattenRegistrations(parsed);
+    if (!Array.isArray(list)) throw new Error(t("Expected a list of {kind}", { kind: t(kind) }));
+    return list.map((values, i) => ({ rows: [i + 1], values }));
+  }
+  const records = parseCsv(body);
+  if (kind === "students") return records.map(({ row, values: v }) => ({ rows: [row], values: { ...v, completed: splitList(v.completed) } }));
+  if (kind === "enrollments") return records.map(({ row, values: v }) => ({ rows: [row], values: { username: v.username, courseId: v.courseId, sectionIds: splitList(v.sections) } }));
+  const byId = new Map();
+  for (const { row, values: v } of records) {
+    const section = { id: v.section || "L1", type: v.type || "Lecture", days: splitList(v.days), start: v.start || "", end: v.end || "", room: v.room || "", seats: v.sectionSeats ? Number(v.sectionSeats) : "" };
+    const entry = byId.get(v.id);
+    if (!entry) {
+      const values = { id: v.id || "", name: v.name || "", code: v.code || v.id || "", description: v.description || "", termId: v.termId || "", seats: Number(v.seats), instructorId: v.instructorId || "", prerequisites: parseRequirements(v.prerequisites || ""), corequisites: parseRequirements(v.corequisites || ""), sections: [section] };
+      byId.set(v.id, { rows: [row], values, errors: [] });
+      continue;
+    }
+    if ((v.name && v.name !== entry.values.name) || (v.seats && Number(v.seats) !== entry.values.seats)) entry.errors.push(t("Row {row} repeats course ID {course} with different course details", { row, course: v.id }));
+    entry.rows.push(row);
+    entry.values.sections.push(section);
+  }
+  return [...byId.values()];
+}
+
+function courseImportErrors(data, course, t = english) {
+  const errors = [];
+  if (!course.id) errors.push(t("Course ID is required"));
+  else if (data.courses.find((c) => c.id === course.id)) errors.push(t("Course with same ID already exists."));
+  if (!(course.seats > 0)) errors.push(t("Seats must be a positive number"));
+  for (const sec of course.sections) {
+    errors.push(invalidSections({ sections: [sec] }, t));
+    if (sec.seats !== "" && sec.seats > course.seats) errors.push(t("Section {section} has more seats ({seats}) than the course ({courseSeats})", { section: sec.id, seats: sec.seats, courseSeats: course.seats }));
+  }
+  if (!errors.some(Boolean)) errors.push(invalidSections(course, t));
+  if (course.termId && !(data.terms || []).some((term) => term.id === course.termId)) errors.push(t("Unknown term: {term}", { term: course.termId }));
+  errors.push(invalidRequirement(data.courses, course, t));
+  if (!errors.some(Boolean)) errors.push(...resourceProblems(data, course, t).errors);
+  return errors.filter(Boolean);
+}
+
+// Checks entries in order against the data plus the entries accepted before them, so duplicates
+// and conflicts inside one file are caught too. Returns { data, report, accepted }: data holds only
+// the valid entries, and the report has { rows, key, errors, warnings } per entry. Imported students keep a
+// plaintext password until hashLegacyPasswords runs.
+function importRecords(data, kind, entries, t = english) {
+  let next = data;
+  let accepted = 0;
+  const report = entries.map(({ rows, values, errors: parseErrors = [] }) => {
+    const errors = [...parseErrors];
+    let warnings = [];
+    let key;
+    if (kind === "courses") {
+      const course = {
+        ...emptyCourse, ...values,
+        sections: courseSections(values).map((sec) => ({ ...emptySection, ...sec, days: (sec.days || []).map((d) => parseDay(d) || d) })),
+        prerequisites: normalizeRequirements(values.prerequisites || []),
+        corequisites: normalizeRequirements(values.corequisites || []),
+      };
+      key = course.id;
+      errors.push(...courseImportErrors(next, course, t));
+      if (!errors.length) {
+        warnings = resourceProblems(next, course, t).warnings;
+        next = { ...next, courses: [...next.courses, course] };
+      }
+    } else if (kind === "students") {
+      const username = (values.username || "").trim();
+      const password = values.password || "";
+      key = username;
+      if (!username) errors.push(t("Username is required"));
+      else if (findUser(next, "student", username)) errors.push(t("Student username taken"));
+      if (password.length < MIN_PASSWORD_LENGTH) errors.push(t("Password must be at least {count} characters", { count: MIN_PASSWORD_LENGTH }));
+      const record = { username, name: values.name || "", password, mustChangePassword: true, registrations: [], sections: {}, completed: values.completed || [], notices: [] };
+      if (!errors.length) next = { ...next, users: { ...next.users, students: [...next.users.students, record] } };
+    } else {
+      const { username, courseId, sectionIds = [] } = values;
+      const student = findUser(next, "student", username);
+      const course = next.courses.find((c) => c.id === courseId);
+      key = `${username} → ${courseId}`;
+      if (!student) errors.push(t("Unknown student: {username}", { username }));
+      if (!course) errors.push(t("Unknown course: {course}", { course: courseId }));
+      else if (student && (student.registrations || []).includes(courseId)) errors.push(t("{username} is already registered in {course}", { username, course: courseId }));
+      else if (!hasSeat(next, course)) errors.push(t("{course} is full ({seats} seats)", { course: courseId, seats: course.seats }));
+      if (!errors.length) {
+        const result = applyRegistration(next, username, courseId, sectionIds.length ? sectionIds : undefined, t);
+        if (result.error) errors.push(result.error);
+        else next = result.data;
+      }
+    }
+    if (!errors.length) accepted++;
+    return { rows, key, errors, warnings };
+  });
+  return { data: next, report, accepted };
+}
+
+function coursesToCsv(courses) {
+  return toCsv(CSV_COLUMNS.courses, courses.flatMap((c) => courseSections(c).map((sec) => ({
+    ...c,
+    termId: c.termId || "",
+    prerequisites: requirementsToInput(c.prerequisites || []),
+    corequisites: requirementsToInput(c.corequisites || []),
+    section: sec.id, type: sec.type, days: sec.days.map(dayCode).join(";"), start: sec.start, end: sec.end, room: sec.room, sectionSeats: sec.seats,
+  }))));
+}
+
+function studentsToCsv(students) {
+  return toCsv(["username", "name", "completed"], students.map((s) => ({ ...s, completed: (s.completed || []).join(";") })));
+}
+
+function enrollmentsToCsv(data) {
+  return toCsv(CSV_COLUMNS.enrollments, flattenRegistrations(data).map((r) => ({ ...r, sections: r.sectionIds.join(";") })));
+}
+
+// Registered students followed by the waitlist, in queue order.
+function courseRoster(data, course) {
+  const registered = data.users.students
+    .filter((s) => (s.registrations || []).includes(course.id))
+    .map((s) => ({ username: s.username, name: s.name, status: "registered", sectionIds: studentSectionIds(s, course) }));
+  const waitlisted = waitlistFor(data, course.id).map((username, i) => ({ username, name: findUser(data, "student", username)?.name || "", status: `waitlisted #${i + 1}`, sectionIds: [] }));
+  return [...registered, ...waitlisted];
+}
+
+function rosterToCsv(data, course) {
+  return toCsv(CSV_COLUMNS.roster, courseRoster(data, course).map((r) => ({ ...r, sections: r.sectionIds.join(";") })));
+}
+
+// The whole dataset without credentials or lockout state, for backups and spreadsheets.
+function withoutCredentials({ password, passwordHash, failedLogins, lockedUntil, ...rest }) {
+  return rest;
+}
+
+function exportData(data) {
+  const { recovery, ...rest } = data;
+  return JSON.stringify({
+    ...rest,
+    users: Object.fromEntries(Object.entries(data.users).map(([list, users]) => [list, users.map(withoutCredentials)])),
+    auditLog: rest.auditLog && rest.auditLog.map(auditForDisplay),
+  }, null, 2);
+}
+
+// Analytics over a set of courses (usually one term's). Failed registrations caused by a timetable
+// clash are kept in data.conflictLog, newest last.
+const CONFLICT_LOG_LIMIT = 500;
+
+function withConflictAttempt(data, username, courseId, conflictsWith, at = new Date().toISOString()) {
+  return { ...data, conflictLog: [...(data.conflictLog || []), { at, username, courseId, conflictsWith }].slice(-CONFLICT_LOG_LIMIT) };
+}
+
+function fillRates(data, courses) {
+  return courses.map((course) => {
+    const taken = countRegistrations(data, course.id);
+    const seats = Number(course.seats) || 0;
+    return { course, taken, seats, remaining: Math.max(0, seats - taken), rate: seats ? taken / seats : 0, waitlisted: waitlistFor(data, course.id).length };
+  }).sort((a, b) => b.rate - a.rate || b.waitlisted - a.waitlisted);
+}
+
+// Running total of today's registrations by the day they were made. Registrations from before
+// the app kept dates are undated and counted from the start.
+function enrollmentTimeline(data, courses) {
+  const ids = courses.map((c) => c.id);
+  const dates = data.users.students.flatMap((s) => (s.registrations || []).filter((id) => ids.includes(id)).map((id) => (s.registeredAt?.[id] || "").slice(0, 10)));
+  const perDay = {};
+  for (const date of dates) if (date) perDay[date] = (perDay[date] || 0) + 1;
+  const undated = dates.filter((date) => !date).length;
+  let total = undated;
+  return { undated, points: Object.keys(perDay).sort().map((date) => ({ date, total: (total += perDay[date]) })) };
+}
+
+// Demand per weekday and hour: every section adds its students plus its course's waitlist to each hour it meets.
+function slotHeatmap(data, courses) {
+  const cells = {};
+  let from = 24;
+  let to = 0;
+  for (const course of courses) {
+    const waiting = waitlistFor(data, course.id).length;
+    for (const sec of courseSections(course)) {
+      const demand = countSectionRegistrations(data, course, sec.id) + waiting;
+      const start = Math.floor(timeToMinutes(sec.start) / 60);
+      const end = Math.ceil(timeToMinutes(sec.end) / 60);
+      from = Math.min(from, start);
+      to = Math.max(to, end);
+      for (const day of sec.days) for (let h = start; h < end; h++) cells[`${day} ${h}`] = (cells[`${day} ${h}`] || 0) + demand;
+    }
+  }
+  const hours = [];
+  for (let h = from; h < to; h++) hours.push(h);
+  const days = DAYS.filter((d) => hours.some((h) => `${d} ${h}` in cells) || d < 6);
+  return { days, hours, cells, max: Math.max(0, ...Object.values(cells)) };
+}
+
+// Course pairs students tried and failed to take together, most students first.
+function conflictPairs(data, courses) {
+  const ids = courses.map((c) => c.id);
+  const pairs = {};
+  for (const entry of data.conflictLog || []) {
+    for (const other of entry.conflictsWith || []) {
+      if (!ids.includes(entry.courseId) && !ids.includes(other)) continue;
+      const key = [entry.courseId, other].sort().join("\n");
+      const pair = (pairs[key] = pairs[key] || { courses: key.split("\n"), students: new Set(), attempts: 0 });
+      pair.students.add(entry.username);
+      pair.attempts++;
+    }
+  }
+  return Object.values(pairs).map((p) => ({ ...p, students: p.students.size })).sort((a, b) => b.students - a.students || b.attempts - a.attempts);
+}
+
+function analyticsToCsv(data, courses) {
+  const percent = (rate) => `${Math.round(rate * 100)}%`;
+  const heatmap = slotHeatmap(data, courses);
+  const sections = [
+    toCsv(["courseId", "name", "seats", "enrolled", "remaining", "fillRate", "waitlisted"], fillRates(data, courses).map((r) => ({ courseId: r.course.id, name: r.course.name, seats: r.seats, enrolled: r.taken, remaining: r.remaining, fillRate: percent(r.rate), waitlisted: r.waitlisted }))),
+    toCsv(["date", "enrolled"], enrollmentTimeline(data, courses).points),
+    toCsv(["day", "hour", "demand"], heatmap.days.flatMap((day) => heatmap.hours.map((h) => ({ day: dayCode(day), hour: `${String(h).padStart(2, "0")}:00`, demand: heatmap.cells[`${day} ${h}`] || 0 })))),
+    toCsv(["courseA", "courseB", "students", "attempts"], conflictPairs(data, courses).map((p) => ({ courseA: p.courses[0], courseB: p.courses[1], students: p.students, attempts: p.attempts }))),
+  ];
+  return sections.join("\r\n");
+}
+
+// Audit log: every data-changing action appends { id, at, actor, action, summary, params, changes } to
+// data.auditLog, where changes lists each record it touched as { kind, id, before, after }. A created
+// or deleted record is kept whole (null on the side where it did not exist); an edited one only with
+// the fields that changed. summary is the English template for params (see asMessage). Credentials
+// are never recorded, so undoing leaves passwords as they are.
+// Entries are never edited; an undo is a new entry with undoes: id. Only the newest
+// AUDIT_LOG_LIMIT entries are kept.
+const AUDIT_LOG_LIMIT = 1000;
+const listRecords = (get, set, key) => ({ read: (d) => Object.fromEntries(get(d).map((r) => [r[key], r])), write: (d, records) => set(d, Object.values(records)) });
+const AUDIT_KINDS = {
+  course: listRecords((d) => d.courses, (d, courses) => ({ ...d, courses }), "id"),
+  term: listRecords((d) => d.terms || [], (d, terms) => ({ ...d, terms }), "id"),
+  room: listRecords((d) => d.rooms || [], (d, rooms) => ({ ...d, rooms }), "id"),
+  ...Object.fromEntries(Object.entries(USER_LISTS).map(([type, list]) => [type, listRecords((d) => d.users[list] || [], (d, users) => ({ ...d, users: { ...d.users, [list]: users } }), "username")])),
+  waitlist: { read: (d) => d.waitlists || {}, write: (d, waitlists) => ({ ...d, waitlists }) },
+  attendance: { read: (d) => d.attendance || {}, write: (d, attendance) => ({ ...d, attendance }) },
+};
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+const isRecord = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+// { before, after } with only the fields of old and next that differ, or null when none do
+function fieldChanges(old, next) {
+  const before = {};
+  const after = {};
+  for (const key of new Set([...Object.keys(old), ...Object.keys(next)])) {
+    if (sameJson(old[key], next[key])) continue;
+    if (key in old) before[key] = old[key];
+    if (key in next) after[key] = next[key];
+  }
+  return Object.keys(before).length || Object.keys(after).length ? { before, after } : null;
+}
+
+// A change as the log keeps it, or null when nothing that is recorded differs.
+function auditChange(kind, id, was, now) {
+  const strip = (record) => (record && kind in USER_LISTS ? withoutCredentials(record) : record ?? null);
+  const [before, after] = [strip(was), strip(now)];
+  if (!isRecord(before) || !isRecord(after)) return sameJson(before, after) ? null : { kind, id, before, after };
+  const fields = fieldChanges(before, after);
+  return fields && { kind, id, ...fields };
+}
+
+function dataChanges(before, after) {
+  const changes = [];
+  for (const [kind, { read }] of Object.entries(AUDIT_KINDS)) {
+    const old = read(before);
+    const next = read(after);
+    for (const id of new Set([...Object.keys(old), ...Object.keys(next)])) {
+      const change = old[id] !== next[id] && auditChange(kind, id, old[id], next[id]);
+      if (change) changes.push(change);
+    }
+  }
+  return changes;
+}
+
+// entry: { id, actor, action, summary, params } plus anything else worth keeping (e.g. undoes).
+function withAudit(before, after, entry, at = new Date().toISOString()) {
+  const changes = dataChanges(before, after);
+  if (!changes.length) return after;
+  return { ...after, auditLog: [...(after.auditLog || []), { ...entry, at, changes }].slice(-AUDIT_LOG_LIMIT) };
+}
+
+// Reverts what changed from before to after and keeps later edits to other fields or list items.
+// Throws when a later edit touched the same value.
+function revertValue(current, before, after) {
+  if (sameJson(current, after) || sameJson(current, before)) return before;
+  if ([current, before, after].every(Array.isArray)) {
+    const has = (list, item) => list.some((x) => sameJson(x, item));
+    const result = current.filter((x) => !(has(after, x) && !has(before, x)));
+    before.forEach((item, i) => {
+      if (!has(after, item) && !has(result, item)) result.splice(Math.min(i, result.length), 0, item);
+    });
+    return result;
+  }
+  if ([current, before, after].every(isRecord)) return revertFields(current, before, after);
+  throw new Error("changed again since");
+}
+
+// Reverts the fields that differ between before and after, which may hold just those fields.
+function revertFields(current, before, after) {
+  const result = { ...current };
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (sameJson(before[key], after[key])) continue;
+    const value = revertValue(current[key], before[key], after[key]);
+    if (value === undefined) delete result[key];
+    else result[key] = value;
+  }
+  return result;
+}
+
+// Returns { data } with the entry's changes reverted, or { error } when later changes get in the way.
+// Deleted accounts come back without a password, so restored lists their usernames for a reset.
+function undoAudit(data, entry, t = english) {
+  let next = data;
+  const restored = [];
+  for (const change of entry.changes) {
+    const kind = AUDIT_KINDS[change.kind];
+    const records = { ...kind.read(next) };
+    let value;
+    try {
+      const current = records[change.id] ?? null;
+      // an edit is recorded as field changes, which apply to the record as it is now
+      if (isRecord(change.before) && isRecord(change.after)) {
+        if (!isRecord(current)) throw new Error("deleted since");
+        value = revertFields(current, change.before, change.after);
+      } else {
+        // created and deleted records were recorded without credentials
+        value = revertValue(current && change.kind in USER_LISTS ? withoutCredentials(current) : current, change.before, change.after);
+      }
+    } catch (e) {
+      return { error: t('Cannot undo "{summary}": {kind} {id} was {reason}', { summary: asMessage(entry.summary, entry.params), kind: t(change.kind), id: change.id, reason: t(e.message) }) };
+    }
+    if (value !== null && change.kind in USER_LISTS && !records[change.id]) {
+      value = { ...value, mustChangePassword: true };
+      restored.push(change.id);
+    }
+    if (value === null) delete records[change.id];
+    else records[change.id] = value;
+    next = kind.write(next, records);
+  }
+  return { data: next, restored };
+}
+
+function auditForDisplay(entry) {
+  const strip = (record) => (record && typeof record === "object" && "username" in record ? withoutCredentials(record) : record);
+  return { ...entry, changes: entry.changes.map((c) => ({ ...c, before: strip(c.before), after: strip(c.after) })) };
+}
+
+function describeChange(change, t = english) {
+  const record = `${t(change.kind)} ${change.id}`;
+  if (!change.before) return t("{record} created", { record });
+  if (!change.after) return t("{record} deleted", { record });
+  const fields = Object.keys({ ...change.before, ...change.after }).filter((k) => !sameJson(change.before[k], change.after[k]));
+  return `${record}: ${fields.join(", ")}`;
+}
+
+// filters: { actor, action, text, from, to } (dates as YYYY-MM-DD); newest first. text matches summaries as t words them.
+function filterAudit(log, { actor = "", action = "", text = "", from = "", to = "" }, t = english) {
+  const needle = text.trim().toLowerCase();
+  return (log || []).filter((e) => {
+    if (actor && e.actor?.username !== actor) return false;
+    if (action && e.action !== action) return false;
+    const day = e.at.slice(0, 10);
+    if ((from && day < from) || (to && day > to)) return false;
+    return !needle || [t(e.summary, e.params), ...e.changes.map((c) => `${c.kind} ${c.id}`)].some((words) => words.toLowerCase().includes(needle));
+  }).reverse();
+}
+
+// Weekly grid geometry: one block per meeting per day, placed by its actual minutes. Blocks chained
+// together by overlaps form a cluster and share the day's width in columns; clash marks a block that
+// overlaps another course. from/to are the displayed range in minutes, widened to whole hours.
+function timetableLayout(meetings, preview = []) {
+  const all = [...meetings.map((meeting) => ({ meeting, preview: false })), ...preview.map((meeting) => ({ meeting, preview: true }))];
+  const times = all.flatMap(({ meeting }) => [timeToMinutes(meeting.start), timeToMinutes(meeting.end)]);
+  const from = times.length ? Math.floor(Math.min(...times) / 60) * 60 : 8 * 60;
+  const to = times.length ? Math.ceil(Math.max(...times) / 60) * 60 : 18 * 60;
+  const blocks = [];
+  for (const day of DAYS) {
+    const today = all
+      .filter(({ meeting }) => meeting.days.includes(day))
+      .map((b) => ({ ...b, day, start: timeToMinutes(b.meeting.start), end: timeToMinutes(b.meeting.end) }))
+      .sort((a, b) => a.start - b.start || b.end - a.end);
+    let cluster = [];
+    let columnEnds = [];
+    const flush = () => {
+      blocks.push(...cluster.map((b) => ({ ...b, columns: columnEnds.length })));
+      cluster = [];
+      columnEnds = [];
+    };
+    for (const block of today) {
+      if (cluster.length && block.start >= Math.max(...columnEnds)) flush();
+      let column = columnEnds.findIndex((end) => end <= block.start);
+      if (column === -1) column = columnEnds.length;
+      columnEnds[column] = block.end;
+      const clash = today.some((o) => o.meeting.course.id !== block.meeting.course.id && checkConflict(o.meeting, block.meeting));
+      cluster.push({ ...block, column, clash });
+    }
+    flush();
+  }
+  return { from, to, blocks };
+}
+
+// A stable pastel per course, spread around the colour wheel so similar ids still look different.
+function courseColor(courseId) {
+  let hash = 0;
+  for (const ch of String(courseId)) hash = (Math.imul(hash, 31) + ch.charCodeAt(0)) >>> 0;
+  return `hsl(${Math.round((hash * 137.508) % 360)}, 70%, 85%)`;
+}
+
+// Arrow-key movement between timetable blocks listed in day order, then by time: Up/Down step
+// within a day, Left/Right go to the closest-starting block on the nearest day that has one.
+function timetableStep(blocks, days, index, key) {
+  const current = blocks[index];
+  if (!current) return index;
+  if (key === "Home") return 0;
+  if (key === "End") return blocks.length - 1;
+  if (key === "ArrowUp" || key === "ArrowDown") {
+    const sameDay = blocks.filter((b) => b.day === current.day);
+    const next = sameDay[sameDay.indexOf(current) + (key === "ArrowDown" ? 1 : -1)];
+    return next ? blocks.indexOf(next) : index;
+  }
+  if (key !== "ArrowLeft" && key !== "ArrowRight") return index;
+  const step = key === "ArrowRight" ? 1 : -1;
+  for (let d = days.indexOf(current.day) + step; d >= 0 && d < days.length; d += step) {
+    const candidates = blocks.filter((b) => b.day === days[d]);
+    if (candidates.length) {
+      const closest = candidates.reduce((best, b) => (Math.abs(b.start - current.start) < Math.abs(best.start - current.start) ? b : best));
+      return blocks.indexOf(closest);
+    }
+  }
+  return index;
+}
+
+// Draws a timetableLayout onto a canvas, resolving to a PNG blob (null where canvas is unavailable).
+// Day order, day names and times follow the given localization, like the on-screen timetable.
+function timetablePng(layout, title, l10n = localization()) {
+  const scale = 2;
+  const hourWidth = 60;
+  const dayWidth = 140;
+  const top = 56;
+  const canvas = document.createElement("canvas");
+  canvas.width = (hourWidth + l10n.days.length * dayWidth) * scale;
+  canvas.height = (top + layout.to - layout.from + 8) * scale;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return Promise.resolve(null);
+  ctx.scale(scale, scale);
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#222";
+  ctx.font = "bold 15px Arial, sans-serif";
+  ctx.fillText(title, 8, 20);
+  ctx.font = "bold 12px Arial, sans-serif";
+  l10n.days.forEach((d, i) => ctx.fillText(l10n.dayName(d), hourWidth + i * dayWidth + 6, top - 8));
+  ctx.font = "11px Arial, sans-serif";
+  for (let m = layout.from; m <= layout.to; m += 60) {
+    const y = top + m - layout.from;
+    ctx.fillStyle = "#e1e7eb";
+    ctx.fillRect(hourWidth, y, l10n.days.length * dayWidth, 1);
+    ctx.fillStyle = "#444";
+    if (m < layout.to) ctx.fillText(l10n.time(minutesToTime(m)), 8, y + 12);
+  }
+  for (const b of layout.blocks) {
+    const width = dayWidth / b.columns;
+    const x = hourWidth + l10n.days.indexOf(b.day) * dayWidth + b.column * width;
+    const y = top + b.start - layout.from;
+    const height = b.end - b.start;
+    ctx.fillStyle = courseColor(b.meeting.course.id);
+    ctx.fillRect(x + 1, y + 1, width - 2, height - 2);
+    ctx.strokeStyle = b.clash ? "#c53030" : "#7a8a99";
+    ctx.setLineDash(b.preview ? [4, 3] : []);
+    ctx.strokeRect(x + 1, y + 1, width - 2, height - 2);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x + 1, y + 1, width - 2, height - 2);
+    ctx.clip();
+    ctx.fillStyle = "#222";
+    ctx.font = "bold 11px Arial, sans-serif";
+    ctx.fillText(`${b.meeting.course.id} ${l10n.t(b.meeting.type)}`, x + 4, y + 13);
+    ctx.font = "10px Arial, sans-serif";
+    ctx.fillText(`${l10n.timeRange(b.meeting.start, b.meeting.end)}${b.meeting.room ? ` · ${b.meeting.room}` : ""}`, x + 4, y + 26);
+    ctx.fillText(b.meeting.course.name || "", x + 4, y + 39);
+    ctx.restore();
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+// The student's timetable as an iCalendar file (see calendarIcs in ./ics, which the mock API's feed
+// shares). Returns { ics, skipped } where skipped lists courses without known dates.
+function timetableToIcs(data, student, now = new Date()) {
+  const meetings = studentMeetings(data, student);
+  const skipped = [...new Set(meetings.filter((m) => !m.dates).map((m) => m.course.id))];
+  const events = meetings.filter((m) => m.dates).map((m) => ({ course: m.course, section: m, dates: m.dates, holidays: courseTerm(data, m.course)?.holidays, datesText: describeDates(data, m.course) }));
+  return { ics: calendarIcs(student, events, now), skipped };
+}
+
+// App's state and actions, for the UI pieces below it
+const AppContext = createContext(null);
+
+function App({ storage = defaultStorage }) {
+  const [data, setData] = useState(() => storage.peek());
+  const [loadError, setLoadError] = useState("");
+  const [saving, setSaving] = useState(0);
+  // a persisted session restores the user (and their dashboard) after a reload
+  const [auth, setAuth] = useState(() => {
+    const session = loadSession();
+    return session ? { type: session.type, user: session.user } : { type: null, user: null };
+  });
+  // the page comes from the URL, so reloads, shared links and back/forward all work
+  const [pathname, setPathname] = useState(() => window.location.pathname);
+  const [message, setMessage] = useState("");
+  const [undoable, setUndoable] = useState(null); // { text, entryId }, shown while text is the message
+  const [userPanel, setUserPanel] = useState(null); // admin's open user: { type, username, mode: "edit" | "enroll", draft, enroll }
+  const [selectedTermId, setSelectedTermId] = useState(null); // null follows the current term
+  // instructors' unsaved attendance and grades per course: { sessionKey, marks, grades }. Kept here, they
+  // also survive leaving the dashboard and coming back.
+  const [teachingDrafts, setTeachingDrafts] = useState({});
+  const [displayPrefs, setDisplayPrefs] = useState(loadPrefs);
+
+  const l10n = localization(displayPrefs);
+  const { t } = l10n;
+
+  useEffect(() => {
+    document.documentElement.lang = l10n.locale;
+  }, [l10n.locale]);
+
+  useEffect(() => {
+    const onPopState = () => setPathname(window.location.pathname);
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // effects read the current translation through this ref, so a language change doesn't re-run them
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  const reload = useCallback(() => {
+    setLoadError("");
+    return storage.load().then((loaded) => setData(loaded ? migrateData(loaded) : defaultData)).catch((e) => setLoadError(e.message));
+  }, [storage]);
+  const loaded = data !== null;
+  useEffect(() => {
+    if (!loaded) reload();
+  }, [loaded, reload]);
+
+  // changes are applied locally first; if the backend refuses one (e.g. the server's own seat or
+  // conflict check, or another tab saving first), its state is reloaded, which rolls the change back
+  useEffect(() => {
+    if (!data) return;
+    if (storage.remote) setSaving((n) => n + 1);
+    storage.save(data)
+      .catch((e) => {
+        setMessage(tRef.current("Not saved: {reason}. The page now shows the latest data; please try again.", { reason: tRef.current(e.message) }));
+        return reload();
+      })
+      .finally(() => storage.remote && setSaving((n) => n - 1));
+  }, [data, storage, reload]);
+
+  // pick up changes saved in other tabs (or by other users) without waiting for our next save to fail
+  const shown = useRef(data);
+  shown.current = data;
+  useEffect(() => {
+    if (!storage.subscribe) return;
+    return storage.subscribe(() => storage.load().then((loaded) => {
+      const next = loaded && migrateData(loaded);
+      if (!next || !shown.current || sameJson(next, shown.current)) return;
+      setData(next);
+      setMessage(tRef.current("Updated with changes made elsewhere."));
+    }).catch(() => {}));
+  }, [storage]);
+
+  // replace plaintext passwords with salted hashes as soon as they are seen
+  const hashing = useRef(false);
+  useEffect(() => {
+    if (!data) return;
+    const pending = Object.keys(USER_LISTS).some((type) => userList(data, type).some((u) => typeof u.password === "string"));
+    if (!pending || hashing.current) return;
+    if (!window.crypto?.subtle) {
+      console.error("Web Crypto is unavailable (serve the app over https); passwords stay unhashed.");
+      return;
+    }
+    hashing.current = true;
+    hashLegacyPasswords(data).then((hashed) => {
+      // apply only the hashes, so changes made while hashing are kept
+      setData((d) => Object.keys(USER_LISTS).reduce((acc, type) => userList(hashed, type).reduce((inner, u) => (u.passwordHash && !findUser(inner, type, u.username)?.passwordHash ? updateUser(inner, type, u.username, (cur) => withPasswordHash(cur, u.passwordHash)) : inner), acc), d));
+    }).catch((e) => console.error("Could not hash passwords; they stay unhashed.", e)).finally(() => {
+      hashing.current = false; // so a later change can try again
+    });
+  }, [data]);
+
+  // deadline reminders land in a student's inbox while they use the app
+  useEffect(() => {
+    if (!data || auth.type !== "student") return;
+    const next = withDeadlineNotices(data, auth.user.username);
+    if (next !== data) setData(next);
+  }, [data, auth]);
+
+  // end the session after expiry or inactivity; any click or key press counts as activity
+  useEffect(() => {
+    if (!auth.type) return;
+    let lastWrite = 0;
+    const touch = () => {
+      const session = loadSession();
+      if (session && Date.now() - lastWrite > 30000) {
+        lastWrite = Date.now();
+        saveSession({ ...session, lastActive: lastWrite });
+      }
+    };
+    const check = setInterval(() => {
+      if (!loadSession()) logout("Your session expired. Please log in again.");
+    }, 30000);
+    window.addEventListener("click", touch);
+    window.addEventListener("keydown", touch);
+    return () => {
+      clearInterval(check);
+      window.removeEventListener("click", touch);
+      window.removeEventListener("keydown", touch);
+    };
+  }, [auth.type]);
+
+  // Every data-changing action goes through here so it lands in the audit log. Returns the entry id.
+  // summary is an English template for params, worded in each reader's language when shown.
+  function change(update, action, summary, params, details = {}) {
+    const id = newId();
+    const actor = auth.type ? { type: auth.type, username: auth.user.username } : null;
+    setData((d) => withAudit(d, withChangeNotices(d, typeof update === "function" ? update(d) : update), { id, actor, action, summary, params, ...details }));
+    return id;
+  }
+  // a message that offers to undo the action it reports
+  function reportUndoable(text, entryId) {
+    setMessage(text);
+    setUndoable({ text, entryId });
+  }
+  function undo(entryId) {
+    const entry = (data.auditLog || []).find((e) => e.id === entryId);
+    if (!entry) return setMessage(t("Nothing to undo"));
+    if (data.auditLog.some((e) => e.undoes === entryId)) return setMessage(t("That change was already undone"));
+    const result = undoAudit(data, entry, t);
+    if (result.error) return setMessage(result.error);
+    const summary = asMessage(entry.summary, entry.params);
+    change(result.data, "undo", "Undid: {summary}", { summary }, { undoes: entryId });
+    const over = result.data.courses.filter((c) => countRegistrations(result.data, c.id) > c.seats);
+    const done = t(over.length ? "Undone: {summary}. {courses} is now over capacity" : "Undone: {summary}", { summary, courses: over.map((c) => c.id).join(", ") });
+    setMessage(result.restored.length ? `${done}. ${t("Reset the password of {users} before they can log in again", { users: result.restored.join(", ") })}` : done);
+  }
+
+  // Helpers for auth
+  // Hashing and checking passwords needs Web Crypto, which browsers only offer on https (and localhost)
+  // pages. Resolves to null, with the reason shown, when the work fails.
+  async function withCrypto(work) {
+    try {
+      return await work();
+    } catch (e) {
+      console.error(e);
+      setMessage(window.crypto?.subtle ? t("Could not process the password: {reason}", { reason: e.message }) : t("Passwords can't be checked or saved in this browser. Open the app over https and try again."));
+      return null;
+    }
+  }
+  // a REST backend checks passwords itself, since it doesn't hand out the hashes
+  function checkPassword(type, user, password) {
+    return storage.checkPassword ? storage.checkPassword(type, user.username, password) : verifyPassword(user, password);
+  }
+  // why a REST backend's login check refused an account ({ refused, lockedUntil } from checkPassword)
+  function refusal(valid) {
+    if (valid.refused === "deactivated") return t("This account has been deactivated. Contact an administrator.");
+    return t("Account locked after too many failed attempts. Try again in {minutes} minute(s).", { minutes: Math.ceil((valid.lockedUntil - Date.now()) / 60000) });
+  }
+  async function login(type, username, password) {
+    const found = findUser(data, type, username);
+    const now = Date.now();
+    if (found && found.lockedUntil > now) return setMessage(refusal({ refused: "locked", lockedUntil: found.lockedUntil }));
+    const valid = found ? await withCrypto(() => checkPassword(type, found, password)) : false;
+    if (valid === null) return;
+    if (valid.refused) return setMessage(refusal(valid));
+    // a REST backend keeps the failed login count on the server
+    if (!valid) {
+      if (!found || storage.checkPassword) return setMessage(t("Invalid credentials"));
+      const failedLogins = (found.failedLogins || 0) + 1;
+      const locked = failedLogins >= MAX_FAILED_LOGINS;
+      setData((d) => updateUser(d, type, username, (u) => ({ ...u, failedLogins: locked ? 0 : failedLogins, lockedUntil: locked ? now + LOCKOUT_MS : null })));
+      return setMessage(locked ? t("Too many failed attempts. Account locked for {minutes} minutes.", { minutes: LOCKOUT_MS / 60000 }) : t("Invalid credentials"));
+    }
+    if (!storage.checkPassword) setData((d) => updateUser(d, type, username, (u) => ({ ...u, failedLogins: 0, lockedUntil: null })));
+    if (found.deactivated) return setMessage(t("This account has been deactivated. Contact an administrator."));
+    // the calendar feed's token and the one that identifies the user on writes come from the server's login check, and only live in the session
+    const tokens = Object.fromEntries(["calendarToken", "apiToken"].filter((key) => valid[key]).map((key) => [key, valid[key]]));
+    const user = { username: found.username, name: found.name, ...tokens };
+    saveSession({ type, user, expiresAt: now + SESSION_TTL_MS, lastActive: now });
+    setAuth({ type, user });
+    setMessage(found.mustChangePassword ? t("Please choose a new password before continuing.") : "");
+    navigate(found.mustChangePassword ? `/change-password${window.location.search}` : nextPath(window.location.search, dashboardPath(type)));
+  }
+  function changePrefs(update) {
+    const next = { ...displayPrefs, ...update };
+    savePrefs(next);
+    setDisplayPrefs(next);
+  }
+  function logout(reason) {
+    localStorage.removeItem(SESSION_KEY);
+    setAuth({ type: null, user: null });
+    navigate("/");
+    if (typeof reason === "string") setMessage(tRef.current(reason));
+  }
+  async function changePassword(current, next, confirm) {
+    const user = findUser(data, auth.type, auth.user.username);
+    const valid = user ? await withCrypto(() => checkPassword(auth.type, user, current)) : false;
+    if (valid === null) return;
+    if (valid.refused) return setMessage(refusal(valid));
+    if (!valid) return setMessage(t("Current password is incorrect"));
+    const problem = passwordProblem(next, confirm, t);
+    if (problem) return setMessage(problem);
+    if (next === current) return setMessage(t("New password must differ from the current one"));
+    const passwordHash = await withCrypto(() => hashPassword(next));
+    if (!passwordHash) return;
+    change((d) => updateUser(d, auth.type, auth.user.username, (u) => ({ ...withPasswordHash(u, passwordHash), mustChangePassword: false })), "password.change", "{username} changed their password", { username: auth.user.username });
+    setMessage(t("Password changed"));
+    navigate(nextPath(window.location.search, dashboardPath(auth.type)));
+  }
+
+  // Admin actions; the ones behind a form return true once saved, so the form is only cleared then
+  function addCourse(course) {
+    if (data.courses.find((c) => c.id === course.id)) return setMessage(t("Course with same ID already exists."));
+    const invalid = invalidSections(course, t) || invalidRequirement(data.courses, course, t);
+    if (invalid) return setMessage(invalid);
+    const { errors, warnings } = resourceProblems(data, course, t);
+    if (errors.length) return setMessage(errors.join(". "));
+    change({ ...data, courses: [...data.courses, course] }, "course.add", "Added course {course}", { course: course.id });
+    setMessage(withWarnings(t("Course added"), warnings, t));
+    return true;
+  }
+  function updateCourse(updated) {
+    const invalid = invalidSections(updated, t) || invalidRequirement(data.courses, updated, t);
+    if (invalid) return setMessage(invalid);
+    const { errors, warnings } = resourceProblems(data, updated, t);
+    if (errors.length) return setMessage(errors.join(". "));
+    const newCourses = data.courses.map((c) => (c.id === updated.id ? updated : c));
+    change(promoteWaitlists(reseatStudents({ ...data, courses: newCourses }, updated, data.courses.find((c) => c.id === updated.id))), "course.update", "Updated course {course}", { course: updated.id });
+    setMessage(withWarnings(t("Course updated"), warnings, t));
+    return true;
+  }
+  function deleteCourse(id) {
+    const registered = countRegistrations(data, id);
+    const question = !registered ? "Delete {course}?" : registered === 1 ? "Delete {course}? {count} student is registered and will be dropped." : "Delete {course}? {count} students are registered and will be dropped.";
+    if (!window.confirm(t(question, { course: id, count: registered }))) return;
+    // remove registrations from students
+    const newStudents = data.users.students.map((s) => ((s.registrations || []).includes(id) ? withoutRegistration(s, id) : s));
+    // drop the deleted course from other courses' requirements so they stay satisfiable
+    const strip = (groups) => normalizeRequirements((groups || []).map((g) => g.filter((r) => r !== id)));
+    const dependents = data.courses.filter((c) => c.id !== id && requiredIds(c).includes(id));
+    const newCourses = data.courses.filter((c) => c.id !== id).map((c) => (dependents.includes(c) ? { ...c, prerequisites: strip(c.prerequisites), corequisites: strip(c.corequisites) } : c));
+    // freed timetable slots may let skipped waitlisted students into other courses
+    const entryId = change(promoteWaitlists(withWaitlist({ ...data, courses: newCourses, users: { ...data.users, students: newStudents } }, id, [])), "course.delete", "Deleted course {course}", { course: id });
+    reportUndoable(t(dependents.length ? "Course deleted and registrations updated. Removed it from the requirements of {courses}" : "Course deleted and registrations updated", { courses: dependents.map((c) => c.id).join(", ") }), entryId);
+  }
+  function dismissRecovery() {
+    const { recovery, ...rest } = data;
+    setData(rest);
+  }
+  function addTerm(term) {
+    if ((data.terms || []).find((other) => other.id === term.id)) return setMessage(t("Term with same ID already exists."));
+    const invalid = invalidTerm(term, t);
+    if (invalid) return setMessage(invalid);
+    change({ ...data, terms: [...(data.terms || []), term] }, "term.add", "Added term {term}", { term: term.id });
+    setMessage(t("Term added"));
+    return true;
+  }
+  function updateTerm(updated) {
+    const invalid = invalidTerm(updated, t);
+    if (invalid) return setMessage(invalid);
+    change({ ...data, terms: (data.terms || []).map((term) => (term.id === updated.id ? updated : term)) }, "term.update", "Updated term {term}", { term: updated.id });
+    setMessage(t("Term updated"));
+    return true;
+  }
+  function deleteTerm(id) {
+    const used = data.courses.filter((c) => c.termId === id);
+    if (used.length) return setMessage(t("Term is still used by {courses}", { courses: used.map((c) => c.id).join(", ") }));
+    if (!window.confirm(t("Delete term {term}?", { term: id }))) return;
+    reportUndoable(t("Term deleted"), change({ ...data, terms: (data.terms || []).filter((term) => term.id !== id) }, "term.delete", "Deleted term {term}", { term: id }));
+  }
+
+  // instructors and rooms; edits that break existing courses are saved but reported
+  function bookingWarnings(next, courses) {
+    return [...new Set(courses.flatMap((c) => Object.values(resourceProblems(next, c, t)).flat()))];
+  }
+  async function addInstructor(instructor) {
+    if (!instructor.username) return setMessage(t("Username is required"));
+    if (findUser(data, "instructor", instructor.username)) return setMessage(t("Instructor username taken"));
+    if (instructor.password.length < MIN_PASSWORD_LENGTH) return setMessage(t("Password must be at least {count} characters", { count: MIN_PASSWORD_LENGTH }));
+    const { password, ...rest } = instructor;
+    const passwordHash = await withCrypto(() => hashPassword(password));
+    if (!passwordHash) return;
+    const record = { ...rest, mustChangePassword: true, passwordHash };
+    change((d) => ({ ...d, users: { ...d.users, instructors: [...d.users.instructors, record] } }), "user.add", "Added instructor {username}", { username: record.username });
+    setMessage(t("Instructor added"));
+    return true;
+  }
+  // a non-empty password resets the instructor's password and makes them choose a new one
+  async function updateInstructor(updated) {
+    const { password, ...rest } = updated;
+    if (password && password.length < MIN_PASSWORD_LENGTH) return setMessage(t("Password must be at least {count} characters", { count: MIN_PASSWORD_LENGTH }));
+    const passwordHash = password && (await withCrypto(() => hashPassword(password)));
+    if (password && !passwordHash) return;
+    const record = password ? { ...rest, mustChangePassword: true, passwordHash } : rest;
+    const next = updateUser(data, "instructor", updated.username, () => record);
+    change((d) => updateUser(d, "instructor", updated.username, () => record), "user.update", "Updated instructor {username}", { username: updated.username });
+    setMessage(withWarnings(t("Instructor updated"), bookingWarnings(next, data.courses.filter((c) => c.instructorId === updated.username)), t));
+    return true;
+  }
+  function deleteInstructor(username) {
+    const used = data.courses.filter((c) => c.instructorId === username);
+    if (used.length) return setMessage(t("Instructor still teaches {courses}", { courses: used.map((c) => c.id).join(", ") }));
+    if (!window.confirm(t("Delete instructor {username}?", { username }))) return;
+    reportUndoable(t("Instructor deleted"), change({ ...data, users: { ...data.users, instructors: data.users.instructors.filter((i) => i.username !== username) } }, "user.delete", "Deleted instructor {username}", { username }));
+  }
+  function addRoom(room) {
+    if (!room.id) return setMessage(t("Room ID is required"));
+    if ((data.rooms || []).find((r) => r.id === room.id)) return setMessage(t("Room with same ID already exists."));
+    change({ ...data, rooms: [...(data.rooms || []), room] }, "room.add", "Added room {room}", { room: room.id });
+    setMessage(t("Room added"));
+    return true;
+  }
+  function updateRoom(updated) {
+    const next = { ...data, rooms: data.rooms.map((r) => (r.id === updated.id ? updated : r)) };
+    change(next, "room.update", "Updated room {room}", { room: updated.id });
+    setMessage(withWarnings(t("Room updated"), bookingWarnings(next, data.courses.filter((c) => courseSections(c).some((sec) => sec.room === updated.id))), t));
+    return true;
+  }
+  function deleteRoom(id) {
+    const used = roomMeetings(data, id);
+    if (used.length) return setMessage(t("Room is still used by {sections}", { sections: used.map((m) => `${m.course.id} ${m.id}`).join(", ") }));
+    if (!window.confirm(t("Delete room {room}?", { room: id }))) return;
+    reportUndoable(t("Room deleted"), change({ ...data, rooms: data.rooms.filter((r) => r.id !== id) }, "room.delete", "Deleted room {room}", { room: id }));
+  }
+
+  // instructor actions; instructors can only change the courses they teach
+  function teaches(courseId) {
+    return auth.type === "instructor" && data.courses.some((c) => c.id === courseId && c.instructorId === auth.user.username);
+  }
+  function recordAttendance(courseId, sessionKey, marks) {
+    if (!teaches(courseId)) return setMessage(t("You do not teach this course"));
+    change(withAttendance(data, courseId, sessionKey, marks), "attendance.record", "Recorded attendance for {course} {session}", { course: courseId, session: sessionKey });
+    setMessage(t("Attendance saved for {course} {session}", { course: courseId, session: sessionKey }));
+  }
+  function saveGrades(courseId, grades) {
+    if (!teaches(courseId)) return setMessage(t("You do not teach this course"));
+    const course = data.courses.find((c) => c.id === courseId);
+    const next = Object.entries(grades).reduce((acc, [username, grade]) => withGrade(acc, course, username, grade), data);
+    // new completions can satisfy waitlisted students' prerequisites
+    change(promoteWaitlists(next), "grades.save", "Saved grades for {course}", { course: courseId });
+    setMessage(t("Grades saved for {course}", { course: courseId }));
+  }
+
+  // student actions
+  // sectionIds is optional; without it the first open, conflict-free combination is picked
+  function registerCourse(studentUsername, courseId, sectionIds) {
+    const result = applyRegistration(data, studentUsername, courseId, sectionIds, t);
+    if (result.error) {
+      // remembered for the admins' conflict hotspots
+      if (result.conflictsWith?.length) setData(withConflictAttempt(data, studentUsername, courseId, result.conflictsWith));
+      return setMessage(result.error);
+    }
+    change(result.data, "registration.add", "Registered {username} in {course}", { username: studentUsername, course: courseId });
+    const course = data.courses.find((c) => c.id === courseId);
+    setMessage(t("Registered successfully ({sections})", { sections: courseSections(course).filter((s) => result.sectionIds.includes(s.id)).map((s) => `${t(s.type)} ${s.id}`).join(", ") }));
+  }
+  // Registers a whole generated schedule or nothing at all.
+  function registerSchedule(studentUsername, choices) {
+    let next = data;
+    let pending = choices;
+    // corequisites inside the plan may need their partner registered first, so retry until no progress
+    while (pending.length) {
+      const failed = [];
+      let lastError = "";
+      for (const ch of pending) {
+        const result = applyRegistration(next, studentUsername, ch.courseId, ch.sectionIds, t);
+        if (result.error) {
+          failed.push(ch);
+          lastError = `${ch.courseId}: ${result.error}`;
+        } else next = result.data;
+      }
+      if (failed.length === pending.length) return setMessage(t("Schedule not registered. {reason}", { reason: lastError }));
+      pending = failed;
+    }
+    change(next, "registration.add", "Registered {username} in {course}", { username: studentUsername, course: choices.map((ch) => ch.courseId).join(", ") });
+    setMessage(t(choices.length === 1 ? "Registered {count} course: {courses}" : "Registered {count} courses: {courses}", { count: choices.length, courses: choices.map((ch) => ch.courseId).join(", ") }));
+    return true;
+  }
+  function unregisterCourse(studentUsername, courseId) {
+    const course = data.courses.find((c) => c.id === courseId);
+    const late = course && deadlineProblem(data, course, "drop", todayISO(), t);
+    if (late) return setMessage(late);
+    if (!window.confirm(t("Drop {course}? Your seat may go to the next student on the waitlist.", { course: courseId }))) return;
+    const newStudents = data.users.students.map((s) => s.username === studentUsername ? withoutRegistration(s, courseId) : s);
+    change(promoteWaitlists({ ...data, users: { ...data.users, students: newStudents } }), "registration.drop", "Dropped {username} from {course}", { username: studentUsername, course: courseId });
+    const student = newStudents.find((s) => s.username === studentUsername);
+    const orphaned = data.courses.filter((c) => (student.registrations || []).includes(c.id) && missingRequirement(student, c));
+    setMessage(orphaned.length ? t("Unregistered. Note: {courses} now has an unmet corequisite", { courses: orphaned.map((c) => c.id).join(", ") }) : t("Unregistered"));
+  }
+  function joinWaitlist(studentUsername, courseId) {
+    const course = data.courses.find((c) => c.id === courseId);
+    if (!course) return setMessage(t("Course not found"));
+    const student = data.users.students.find((s) => s.username === studentUsername);
+    if ((student.registrations || []).includes(courseId)) return setMessage(t("You are already registered in this course"));
+    if (hasSeat(data, course)) return setMessage(t("Seats are still available, register directly"));
+    const late = deadlineProblem(data, course, "add", todayISO(), t);
+    if (late) return setMessage(late);
+    const missing = missingRequirement(student, course, t);
+    if (missing) return setMessage(missing);
+    if (waitlistPosition(data, courseId, studentUsername)) return setMessage(t("You are already on the waitlist"));
+    const queue = [...waitlistFor(data, courseId), studentUsername];
+    change(withWaitlist(data, courseId, queue), "waitlist.join", "Waitlisted {username} for {course}", { username: studentUsername, course: courseId });
+    setMessage(t("Added to the waitlist for {course} (position {position})", { course: courseId, position: queue.length }));
+  }
+  function leaveWaitlist(studentUsername, courseId) {
+    if (!window.confirm(t("Leave the waitlist for {course}? You will lose your place.", { course: courseId }))) return;
+    change(withWaitlist(data, courseId, waitlistFor(data, courseId).filter((u) => u !== studentUsername)), "waitlist.leave", "Removed {username} from the {course} waitlist", { username: studentUsername, course: courseId });
+    setMessage(t("Removed from waitlist"));
+  }
+  // inbox of the logged-in user; patch is { read: true } or { archived: true }
+  // reading and archiving only concern the user's own inbox, so they stay out of the audit log
+  function updateNotices(ids, patch) {
+    setData((d) => updateUser(d, auth.type, auth.user.username, (u) => ({ ...u, notices: (u.notices || []).map((n) => (ids.includes(n.id) ? { ...n, ...patch } : n)) })));
+  }
+  function announce(courseId, text) {
+    if (!text.trim()) return setMessage(t("Write the announcement first"));
+    const enrolled = data.users.students.filter((s) => (s.registrations || []).includes(courseId));
+    if (!enrolled.length) return setMessage(t("Nobody is enrolled in {course}", { course: courseId }));
+    const next = enrolled.reduce((d, s) => updateUser(d, "student", s.username, (u) => addNotice(u, "{text}", { kind: "announcement", courseId, from: auth.user.username, params: { text: text.trim() } })), data);
+    change(next, "announcement", "Announced to {course}: {text}", { course: courseId, text: text.trim() });
+    setMessage(t(enrolled.length === 1 ? "Announcement sent to {count} student in {course}" : "Announcement sent to {count} students in {course}", { count: enrolled.length, course: courseId }));
+    return true;
+  }
+
+  // user.password is the initial password; only its hash is stored.
+  // Accounts must change it at first login unless user.mustChangePassword is false.
+  async function addUser(type, user) {
+    if (!user.username) return setMessage(t("Username is required"));
+    if (user.password.length < MIN_PASSWORD_LENGTH) return setMessage(t("Password must be at least {count} characters", { count: MIN_PASSWORD_LENGTH }));
+    const { password, ...rest } = user;
+    const passwordHash = await withCrypto(() => hashPassword(password));
+    if (!passwordHash) return;
+    const record = { mustChangePassword: true, ...rest, passwordHash };
+    if (type === "admin") {
+      if (data.users.admins.find((a) => a.username === user.username)) return setMessage(t("Admin username taken"));
+      change((d) => ({ ...d, users: { ...d.users, admins: [...d.users.admins, record] } }), "user.add", "Added admin {username}", { username: record.username });
+      setMessage(t("Admin added"));
+    } else {
+      if (data.users.students.find((s) => s.username === user.username)) return setMessage(t("Student username taken"));
+      change((d) => ({ ...d, users: { ...d.users, students: [...d.users.students, { ...record, registrations: [] }] } }), "user.add", "Added student {username}", { username: record.username });
+      setMessage(t("Student added"));
+    }
+  }
+
+  // Admin user management. Admins can't act on their own account this way, and one active admin must remain.
+  function accountProblem(type, username) {
+    if (type !== "admin") return null;
+    if (auth.type === "admin" && auth.user.username === username) return t("You cannot deactivate or delete your own account");
+    return activeAdmins(data).some((a) => a.username !== username) ? null : t("At least one active admin must remain");
+  }
+  // a non-empty password resets it and makes the user choose a new one at next login
+  async function updateAccount(type, username, { name, password }) {
+    if (password && password.length < MIN_PASSWORD_LENGTH) return setMessage(t("Password must be at least {count} characters", { count: MIN_PASSWORD_LENGTH }));
+    const passwordHash = password ? await withCrypto(() => hashPassword(password)) : null;
+    if (password && !passwordHash) return;
+    const reset = (u) => (passwordHash ? { ...withPasswordHash(u, passwordHash), mustChangePassword: true, failedLogins: 0, lockedUntil: null } : u);
+    change((d) => updateUser(d, type, username, (u) => ({ ...reset(u), name })), "user.update", password ? "Updated {type} {username} and reset their password" : "Updated {type} {username}", { type: asMessage(type), username });
+    setUserPanel(null);
+    setMessage(t(password ? "User updated; they must choose a new password at next login" : "User updated"));
+  }
+  function setDeactivated(type, username, deactivated) {
+    const problem = deactivated && accountProblem(type, username);
+    if (problem) return setMessage(problem);
+    if (deactivated && !window.confirm(t("Deactivate {username}? They will not be able to log in until reactivated.", { username }))) return;
+    const next = updateUser(data, type, username, ({ deactivated: _, ...u }) => (deactivated ? { ...u, deactivated: true } : u));
+    reportUndoable(t(deactivated ? "Deactivated {username}" : "Reactivated {username}", { username }), change(next, deactivated ? "user.deactivate" : "user.activate", deactivated ? "Deactivated {type} {username}" : "Reactivated {type} {username}", { type: asMessage(type), username }));
+  }
+  function deleteUser(type, username) {
+    const problem = accountProblem(type, username);
+    if (problem) return setMessage(problem);
+    const regs = type === "student" ? findUser(data, type, username)?.registrations || [] : [];
+    if (!window.confirm(t(regs.length ? "Delete {type} {username}? Their registrations in {courses} will be dropped." : "Delete {type} {username}?", { type: t(type), username, courses: regs.join(", ") }))) return;
+    // freed seats go to the waitlists
+    const next = type === "student" ? promoteWaitlists(withoutStudent(data, username)) : { ...data, users: { ...data.users, [USER_LISTS[type]]: userList(data, type).filter((u) => u.username !== username) } };
+    setUserPanel(null);
+    reportUndoable(t("Deleted {username}", { username }), change(next, "user.delete", "Deleted {type} {username}", { type: asMessage(type), username }));
+  }
+  function changeRole(type, username, role) {
+    if (auth.type === "admin" && auth.user.username === username) return setMessage(t("You cannot change your own role"));
+    const result = withRole(data, type, username, role, t);
+    if (result.error) return setMessage(result.error);
+    // only students have registrations, and they can only become admins
+    const regs = type === "student" ? findUser(data, type, username).registrations || [] : [];
+    const question = regs.length ? "Make {username} an admin? Their registrations in {courses} will be dropped." : role === "admin" ? "Make {username} an admin?" : "Make {username} a student?";
+    if (!window.confirm(t(question, { username, courses: regs.join(", ") }))) return;
+    setUserPanel(null);
+    reportUndoable(t(role === "admin" ? "{username} is now an admin" : "{username} is now a student", { username }), change(promoteWaitlists(result.data), "user.role", "Changed {username} from {from} to {to}", { username, from: asMessage(type), to: asMessage(role) }));
+  }
+  // enrolling or dropping on a student's behalf; an override needs a reason, which is kept in the audit log
+  function enrollFor(username, courseId, override, reason) {
+    if (override && !reason.trim()) return setMessage(t("Give a reason for the override"));
+    const result = override ? overrideRegistration(data, username, courseId, reason.trim(), t) : applyRegistration(data, username, courseId, undefined, t);
+    if (result.error) return setMessage(override ? result.error : t("{problem} (tick the override to ignore seat limits and conflicts)", { problem: result.error }));
+    const next = updateUser(result.data, "student", username, (s) => addNotice(s, "An administrator enrolled you in {course}.", { kind: "enrollment", courseId, params: { course: courseId } }));
+    change(next, "registration.add", override ? "Enrolled {username} in {course} (override: {reason})" : "Enrolled {username} in {course}", { username, course: courseId, reason: reason.trim() }, override ? { reason: reason.trim() } : {});
+    const course = data.courses.find((c) => c.id === courseId);
+    const taken = countRegistrations(next, courseId);
+    setMessage(t(taken > course.seats ? "Enrolled {username} in {course}. {course} is now over capacity ({taken}/{seats})" : "Enrolled {username} in {course}", { username, course: courseId, taken, seats: course.seats }));
+    return true;
+  }
+  function dropFor(username, courseId, override, reason) {
+    const course = data.courses.find((c) => c.id === courseId);
+    const late = course && deadlineProblem(data, course, "drop", todayISO(), t);
+    if (late && !override) return setMessage(t("{problem} (tick the override to drop anyway)", { problem: late }));
+    if (override && !reason.trim()) return setMessage(t("Give a reason for the override"));
+    if (!window.confirm(t("Drop {username} from {course}?", { username, course: courseId }))) return;
+    const students = data.users.students.map((s) => (s.username === username ? addNotice(withoutRegistration(s, courseId), "An administrator dropped you from {course}.", { kind: "enrollment", courseId, params: { course: courseId } }) : s));
+    const entryId = change(promoteWaitlists({ ...data, users: { ...data.users, students } }), "registration.drop", override ? "Dropped {username} from {course} (override: {reason})" : "Dropped {username} from {course}", { username, course: courseId, reason: reason.trim() }, override ? { reason: reason.trim() } : {});
+    reportUndoable(t("Dropped {username} from {course}", { username, course: courseId }), entryId);
+  }
+
+  // entries come from parseImport; they are re-checked against the current data before applying
+  // resolves to whether the import went through
+  async function commitImport(kind, entries) {
+    const result = importRecords(data, kind, entries, t);
+    if (!result.accepted) {
+      setMessage(t("Nothing to import"));
+      return false;
+    }
+    const skipped = result.report.length - result.accepted;
+    if (kind === "students") {
+      // hashing takes a while for a big file; append only the new students so changes made meanwhile are kept
+      const hashed = await withCrypto(() => hashLegacyPasswords(result.data));
+      if (!hashed) return false;
+      const added = hashed.users.students.slice(data.users.students.length);
+      change((d) => ({ ...d, users: { ...d.users, students: [...d.users.students, ...added.filter((s) => !findUser(d, "student", s.username))] } }), "import", "Imported {count} {kind}", { count: result.accepted, kind: asMessage("students") });
+    } else change(result.data, "import", "Imported {count} {kind}", { count: result.accepted, kind: asMessage(kind) });
+    setMessage(t(skipped ? "Imported {count} {kind}, skipped {skipped} with errors" : "Imported {count} {kind}", { count: result.accepted, kind: t(kind), skipped }));
+    return true;
+  }
+
+  const route = matchRoute(pathname);
+  const currentUser = data && auth.type ? findUser(data, auth.type, auth.user.username) : null;
+  // guarded routes send visitors to the matching login, which brings them back afterwards
+  const loginRedirect = data && route.name === "dashboard" && (auth.type !== route.role || !currentUser) ? `/login/${route.role}?next=${encodeURIComponent(pathname + window.location.search)}` : null;
+  useEffect(() => {
+    if (currentUser?.deactivated) logout("This account has been deactivated.");
+    else if (loginRedirect) navigate(loginRedirect, { replace: true });
+  });
+
+  if (!data) {
+    return (
+      <div className="centered">
+        {loadError ? <p role="alert"><strong>{t("Could not load data: {error}", { error: loadError })}</strong> <button onClick={reload}>{t("Retry")}</button></p> : <p role="status">{t("Loading…")}</p>}
+      </div>
+    );
+  }
+
+  // Top-level route switch
+  // an account flagged for a forced reset sees only the password form, on every page, until it is
+  // changed; logging out (in the top bar) still works
+  const mustChange = !!currentUser?.mustChangePassword;
+  const notAuthorized = <div className="centered"><p>{t("Not authorized")}</p><button onClick={() => navigate("/")}>{t("Home")}</button></div>;
+  let content = null;
+  if (mustChange) content = <ChangePassword />;
+  else if (route.name === "home") content = <Home />;
+  else if (route.name === "change-password") content = currentUser ? <ChangePassword /> : notAuthorized;
+  else if (route.name === "login") content = <Login key={route.role} type={route.role} />;
+  else if (route.name === "dashboard" && !loginRedirect) content = { admin: <AdminDashboard />, instructor: <InstructorDashboard />, student: <StudentDashboard /> }[route.role];
+  else if (route.name === "inbox") content = currentUser ? <Inbox /> : notAuthorized;
+  else if (route.name === "catalog") content = <CourseCatalog />;
+  else if (route.name === "course") content = <CourseDescription key={route.courseId} courseId={route.courseId} />;
+  else if (route.name === "not-found") content = <div className="centered"><p>{t("Page not found")}</p><button onClick={() => navigate("/")}>{t("Home")}</button></div>;
+
+  const context = {
+    storage, data, auth, currentUser, userPanel, setUserPanel, selectedTermId, setSelectedTermId, teachingDrafts, setTeachingDrafts, t, l10n, setMessage, logout,
+    login, changePassword, addCourse, updateCourse, deleteCourse, dismissRecovery, addTerm, updateTerm, deleteTerm, addInstructor, updateInstructor, deleteInstructor, addRoom, updateRoom, deleteRoom,
+    recordAttendance, saveGrades, registerCourse, registerSchedule, unregisterCourse, joinWaitlist, leaveWaitlist, updateNotices, announce,
+    addUser, updateAccount, setDeactivated, deleteUser, changeRole, enrollFor, dropFor, commitImport, undo,
+  };
+
+  // simple top bar
+  return (
+    <AppContext.Provider value={context}>
+      <div>
+        <style>{`/* simple styles for single-file app */
+          body { font-family: Inter, Arial, sans-serif; background:#f3f5f7; margin:0; }
+          .centered{ max-width:1150px; margin:24px auto; padding:16px; }
+          .card{ background:white; padding:12px; border-radius:8px; box-shadow:0 6px 18px rgba(20,30,40,0.06); margin:8px; }
+          .actions button{ margin-right:8px; }
+          h1,h2,h3{ margin:8px 0 }
+          .row{ display:flex; gap:8px; align-items:center; }
+          .row.space{ justify-content:space-between; }
+          .table{ width:100%; border-collapse:collapse }
+          .table th, .table td{ padding:6px 8px; border-bottom:1px solid #eee; text-align:left }
+          .list{ width:65% }
+          .form{ max-width:600px }
+          input, textarea, select{ width:100%; padding:8px; margin:6px 0; border-radius:6px; border:1px solid #ddd }
+          .grid-cards{ display:grid; grid-template-columns:repeat(auto-fit,minmax(240px,1fr)); gap:12px }
+          .course-card{ min-height:160px }
+          .muted{ color:#666; font-size:0.9em }
+          .timetable{ overflow:auto; border:1px solid #e8edf0; border-radius:8px }
+          .tt-table{ width:100%; min-width:920px; border-collapse:collapse; table-layout:fixed }
+          .tt-table th{ background:#fafbfd; font-weight:600; border-bottom:1px solid #e1e7eb; border-left:1px solid #f1f4f6; padding:6px; text-align:left }
+          .tt-table th abbr{ text-decoration:none }
+          .tt-table td{ padding:0; border-left:1px solid #f1f4f6; vertical-align:top }
+          .tt-table .hour{ width:80px; border-left:none; background:#fafbfd }
+          .tt-table td.hour{ background:#fff }
+          .tt-hour{ height:60px; box-sizing:border-box; padding:2px 6px 0 }
+          .tt-day{ position:relative; background:repeating-linear-gradient(to bottom, #f1f4f6 0 1px, transparent 1px 60px) }
+          .tt-event{ position:absolute; box-sizing:border-box; overflow:hidden; text-align:left; font:inherit; padding:3px 5px; border:1px solid rgba(0,0,0,0.15); border-radius:6px; cursor:pointer }
+          .tt-event:focus-visible{ outline:3px solid #2b6cb0; outline-offset:1px; z-index:1 }
+          .tt-event.preview{ border:2px dashed #2b6cb0; opacity:0.85 }
+          .tt-event.clash{ border:2px solid #c53030 }
+          .sr-only{ position:absolute; width:1px; height:1px; overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap }
+          .day-picks{ display:flex; flex-wrap:wrap; gap:2px 8px; margin:6px 0 }
+          .day-picks label{ white-space:nowrap }
+          .day-picks input{ width:auto; margin:0 2px 0 0 }
+          .attendance{ display:flex; flex-wrap:wrap; gap:2px 12px; border:none; border-bottom:1px solid #eee; margin:0; padding:6px 8px }
+          .attendance legend{ float:left; width:240px; padding:0 }
+          .attendance input{ width:auto; margin:0 4px 0 0 }
+          @media print {
+            body *{ visibility:hidden }
+            .timetable-print, .timetable-print *{ visibility:visible }
+            .timetable-print{ position:absolute; left:0; top:0; width:100% }
+            .timetable-print .no-print{ display:none }
+            .tt-table caption.sr-only{ position:static; width:auto; height:auto; clip:auto; text-align:left; font-weight:bold; font-size:1.17em; margin:8px 0 }
+            .timetable{ overflow:visible }
+            .tt-table{ min-width:0 }
+            .tt-event{ -webkit-print-color-adjust:exact; print-color-adjust:exact }
+          }
+          .form-grid{ display:grid; grid-template-columns:repeat(auto-fill,minmax(180px,1fr)); gap:8px }
+          .small{ font-size:0.85em; color:#444 }
+          .bar{ display:inline-block; width:120px; height:10px; background:#eef2f6; border-radius:5px; overflow:hidden; vertical-align:middle }
+          .bar > div{ height:100%; background:#3b82f6 }
+          .chart{ width:100%; max-width:660px; height:auto }
+          .heatmap td{ text-align:center; min-width:48px }
+          .notice{ padding:8px 0; border-bottom:1px solid #eee }
+          .link-button{ background:none; border:none; padding:0; font:inherit; color:#2b6cb0; cursor:pointer; text-decoration:underline }
+          .sort-button{ background:none; border:none; padding:0; font:inherit; font-weight:600; cursor:pointer }
+        `}</style>
+
+        <div style={{ background: "linear-gradient(90deg,#2b6cb0,#3b82f6)", color: "white", padding: 12 }}>
+          <div className="centered" style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <div>
+              <strong>{t("Course Scheduler")}</strong>
+              <div style={{ fontSize: 12 }}>{auth.type ? `${t(auth.type).toUpperCase()}: ${auth.user.name || auth.user.username}` : t("Not logged in")}{saving > 0 ? ` · ${t("Saving…")}` : ''}</div>
+            </div>
+            <div className="row">
+              <button onClick={() => navigate(auth.type ? dashboardPath(auth.type) : "/")} style={{ padding: '8px 10px' }}>{auth.type ? t("Dashboard") : t("Home")}</button>
+              <button onClick={() => navigate("/catalog")} style={{ padding: '8px 10px' }}>{t("Catalog")}</button>
+              {!auth.type && <><button onClick={() => navigate("/login/student")} style={{ padding: '8px 10px' }}>{t("Student Login")}</button>
+              <button onClick={() => navigate("/login/instructor")} style={{ padding: '8px 10px' }}>{t("Instructor Login")}</button>
+              <button onClick={() => navigate("/login/admin")} style={{ padding: '8px 10px' }}>{t("Admin Login")}</button></>}
+              {auth.type && <button onClick={() => navigate("/inbox")} style={{ padding: '8px 10px' }}>{t("Inbox")}{unreadCount(currentUser) ? ` (${unreadCount(currentUser)})` : ""}</button>}
+              {auth.type && <button onClick={() => navigate("/change-password")} style={{ padding: '8px 10px' }}>{t("Change password")}</button>}
+              {auth.type && <button onClick={logout} style={{ padding: '8px 10px' }}>{t("Logout")}</button>}
+            </div>
+          </div>
+        </div>
+
+        <div className="centered">
+          {/* registration results and other messages are announced from this live region */}
+          <div role="status" aria-live="polite">
+            {message && <div className="card row space"><strong>{message}</strong>{undoable?.text === message && <button onClick={() => undo(undoable.entryId)}>{t("Undo")}</button>}</div>}
+          </div>
+          {content}
+          <div className="row" style={{ marginTop: 18, fontSize: 12, color: '#666' }}>
+            <label htmlFor="pref-language">{t("Language")}</label>
+            <select id="pref-language" value={displayPrefs.language} onChange={(e) => changePrefs({ language: e.target.value })} style={{ width: "auto" }}>
+              <option value="">{t("Automatic")}</option>
+              {Object.entries(LANGUAGES).map(([code, name]) => <option key={code} value={code} lang={code}>{name}</option>)}
+            </select>
+            <label htmlFor="pref-clock">{t("Clock")}</label>
+            <select id="pref-clock" value={displayPrefs.hourCycle} onChange={(e) => changePrefs({ hourCycle: e.target.value })} style={{ width: "auto" }}>
+              <option value="">{t("Automatic")}</option>
+              <option value="12">{t("12-hour")}</option>
+              <option value="24">{t("24-hour")}</option>
+            </select>
+            <label htmlFor="pref-week-start">{t("Week starts on")}</label>
+            <select id="pref-week-start" value={displayPrefs.weekStart} onChange={(e) => changePrefs({ weekStart: e.target.value })} style={{ width: "auto" }}>
+              <option value="">{t("Automatic")}</option>
+              {[1, 6, 7].map((d) => <option key={d} value={d}>{l10n.dayName(d, "long")}</option>)}
+            </select>
+          </div>
+        </div>
+      </div>
+    </AppContext.Provider>
+  );
+}
+
+// UI pieces; each takes what it needs from AppContext
+function Home() {
+  const { t } = useContext(AppContext);
+  return (
+    <div className="centered">
+      <h1>{t("Course Scheduler")}</h1>
+      <div className="card actions">
+        <button onClick={() => navigate("/login/student")}>{t("Student Login")}</button>
+        <button onClick={() => navigate("/login/instructor")}>{t("Instructor Login")}</button>
+        <button onClick={() => navigate("/login/admin")}>{t("Admin Login")}</button>
+        <button onClick={() => navigate("/catalog")}>{t("Course Catalog / Descriptions")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+function Login({ type }) {
+  const { data, t, setMessage, login } = useContext(AppContext);
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const usersList = userList(data, type);
+  return (
+    <div className="centered">
+      <h2>{t({ admin: "Admin Login", instructor: "Instructor Login", student: "Student Login" }[type])}</h2>
+      <div className="card form">
+        <label htmlFor="login-username">{t("Username")}</label>
+        <input id="login-username" autoComplete="username" value={username} onChange={(e) => setUsername(e.target.value)} />
+        <label htmlFor="login-password">{t("Password")}</label>
+        <input id="login-password" type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} />
+        <div className="row">
+          <button onClick={() => login(type, username, password)}>{t("Login")}</button>
+          {DEMO_MODE && <button onClick={() => {
+            // show list of available demo accounts
+            setMessage(t("Demo accounts: {accounts}", { accounts: usersList.map((u) => u.username).join(", ") }));
+          }}>{t("Show demo accounts")}</button>}
+          <button onClick={() => navigate("/")}>{t("Back")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+function ChangePassword() {
+  const { data, auth, t, changePassword } = useContext(AppContext);
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const forced = findUser(data, auth.type, auth.user.username)?.mustChangePassword;
+  return (
+    <div className="centered">
+      <h2>{t("Change password")}</h2>
+      <div className="card form">
+        {forced && <p className="small">{t("An administrator created this account. Choose your own password to continue.")}</p>}
+        <label htmlFor="current-password">{t("Current password")}</label>
+        <input id="current-password" type="password" autoComplete="current-password" value={current} onChange={(e) => setCurrent(e.target.value)} />
+        <label htmlFor="new-password">{t("New password (at least {count} characters)", { count: MIN_PASSWORD_LENGTH })}</label>
+        <input id="new-password" type="password" autoComplete="new-password" value={next} onChange={(e) => setNext(e.target.value)} />
+        <label htmlFor="confirm-password">{t("Confirm new password")}</label>
+        <input id="confirm-password" type="password" autoComplete="new-password" value={confirm} onChange={(e) => setConfirm(e.target.value)} />
+        <div className="row">
+          <button onClick={() => changePassword(current, next, confirm)}>{t("Change password")}</button>
+          {!forced && <button onClick={() => navigate(dashboardPath(auth.type))}>{t("Cancel")}</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+function AdminDashboard() {
+  const { data, t, l10n, setMessage, logout, addCourse, addInstructor, addRoom, addTerm, commitImport, deleteCourse, deleteInstructor, deleteRoom, deleteTerm, dismissRecovery, updateCourse, updateInstructor, updateRoom, updateTerm } = useContext(AppContext);
+  const [editing, setEditing] = useState(null);
+  const [newCourse, setNewCourse] = useState(emptyCourse);
+  const [editingTerm, setEditingTerm] = useState(null);
+  const [newTerm, setNewTerm] = useState(emptyTerm);
+  const [importKind, setImportKind] = useState("courses");
+  const [importFile, setImportFile] = useState({ name: "", text: "" });
+  const [preview, setPreview] = useState(null);
+  const [rosterId, setRosterId] = useState(data.courses[0]?.id || "");
+  const rosterCourse = data.courses.find((c) => c.id === rosterId);
+  const [editingInstructor, setEditingInstructor] = useState(null);
+  const [newInstructor, setNewInstructor] = useState(emptyInstructor);
+  const [instructorHours, setInstructorHours] = useState("");
+  const [editingRoom, setEditingRoom] = useState(null);
+  const [newRoom, setNewRoom] = useState(emptyRoom);
+  const [roomHours, setRoomHours] = useState("");
+  const [schedule, setSchedule] = useState(null); // { kind: "instructor" | "room", id }
+  const [scheduleTerm, setScheduleTerm] = useState(currentTermId(data));
+  const [analyticsTerm, setAnalyticsTerm] = useState(currentTermId(data) || "");
+  const analyticsCourses = data.courses.filter((c) => !analyticsTerm || c.termId === analyticsTerm);
+  const availabilityHint = t("Availability must look like: Mon 09:00-17:00, Fri 09:00-12:00 (leave empty for any time)");
+  const saveInstructor = async () => {
+    const availability = parseAvailability(instructorHours, l10n.locale);
+    if (!availability) return setMessage(availabilityHint);
+    const instructor = { ...newInstructor, maxCourses: newInstructor.maxCourses === "" ? "" : Number(newInstructor.maxCourses), availability };
+    if (!(await (editingInstructor ? updateInstructor(instructor) : addInstructor(instructor)))) return;
+    setEditingInstructor(null);
+    setNewInstructor(emptyInstructor);
+    setInstructorHours("");
+  };
+  const saveRoom = () => {
+    const availability = parseAvailability(roomHours, l10n.locale);
+    if (!availability) return setMessage(availabilityHint);
+    const room = { ...newRoom, capacity: newRoom.capacity === "" ? "" : Number(newRoom.capacity), availability };
+    if (!(editingRoom ? updateRoom(room) : addRoom(room))) return;
+    setEditingRoom(null);
+    setNewRoom(emptyRoom);
+    setRoomHours("");
+  };
+  const validateImport = () => {
+    try {
+      const entries = parseImport(importKind, importFile.text, importFile.name, t);
+      setPreview({ kind: importKind, entries, ...importRecords(data, importKind, entries, t) });
+    } catch (e) {
+      setPreview({ kind: importKind, error: t("Could not read the file: {reason}", { reason: e.message }) });
+    }
+  };
+  const setSection = (i, patch) => setNewCourse({ ...newCourse, sections: newCourse.sections.map((sec, j) => (j === i ? { ...sec, ...patch } : sec)) });
+
+  return (
+    <div className="centered">
+      <h2>{t("Admin Dashboard")}</h2>
+      {data.recovery && (
+        <div className="card">
+          <strong>{t("Stored data could not be read and was replaced with the default data.")}</strong>
+          <p className="small">{t('{at}: {reason}. The original payload is kept in localStorage under "{key}".', { at: data.recovery.at, reason: data.recovery.reason, key: data.recovery.backupKey })}</p>
+          <div className="row">
+            <button onClick={() => downloadFile(`${data.recovery.backupKey}.json`, localStorage.getItem(data.recovery.backupKey) || "", "application/json")}>{t("Download backup")}</button>
+            <button onClick={dismissRecovery}>{t("Dismiss")}</button>
+          </div>
+        </div>
+      )}
+      <div className="row space">
+        <div className="card">
+          <h3>{t("Courses")}</h3>
+          <table className="table">
+            <thead><tr><th>{t("ID")}</th><th>{t("Name")}</th><th>{t("Instructor")}</th><th>{t("Meetings")}</th><th>{t("Seats")}</th><th>{t("Actions")}</th></tr></thead>
+            <tbody>
+              {data.courses.map((c) => (
+                <tr key={c.id}>
+                  <td>{c.id}</td>
+                  <td>{c.name}</td>
+                  <td>{findUser(data, "instructor", c.instructorId)?.name || c.instructorId || "—"}</td>
+                  <td>{courseSections(c).map((sec) => <div className="small" key={sec.id}>{describeSection(sec, l10n)} ({countSectionRegistrations(data, c, sec.id)}/{sec.seats || c.seats})</div>)}</td>
+                  <td>{countRegistrations(data, c.id)}/{c.seats}{waitlistFor(data, c.id).length ? ` ${t("(+{count} waitlisted)", { count: waitlistFor(data, c.id).length })}` : ""}</td>
+                  <td>
+                    <button onClick={() => { setEditing(c); setNewCourse({ ...emptyCourse, ...c, sections: courseSections(c) }); }}>{t("Edit")}</button>
+                    <button onClick={() => deleteCourse(c.id)}>{t("Delete")}</button>
+                    <button onClick={() => navigate(`/courses/${encodeURIComponent(c.id)}`)}>{t("View")}</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <hr />
+          <h4>{editing ? t("Edit course") : t("Add new course")}</h4>
+          <div className="form-grid">
+            <input aria-label={t("ID")} placeholder={t("ID")} value={newCourse.id} disabled={!!editing} onChange={(e) => setNewCourse({ ...newCourse, id: e.target.value })} />
+            <input aria-label={t("Name")} placeholder={t("Name")} value={newCourse.name} onChange={(e) => setNewCourse({ ...newCourse, name: e.target.value })} />
+            <input aria-label={t("Code")} placeholder={t("Code")} value={newCourse.code} onChange={(e) => setNewCourse({ ...newCourse, code: e.target.value })} />
+            <select aria-label={t("Term")} value={newCourse.termId || ""} onChange={(e) => setNewCourse({ ...newCourse, termId: e.target.value })}>
+              <option value="">{newCourse.dateRange ? t("No term ({dates})", { dates: newCourse.dateRange }) : t("No term")}</option>
+              {(data.terms || []).map((term) => <option key={term.id} value={term.id}>{term.name}</option>)}
+            </select>
+            <select aria-label={t("Instructor")} value={newCourse.instructorId || ""} onChange={(e) => setNewCourse({ ...newCourse, instructorId: e.target.value })}>
+              <option value="">{t("No instructor")}</option>
+              {data.users.instructors.map((i) => <option key={i.username} value={i.username}>{i.name || i.username}</option>)}
+            </select>
+            <input aria-label={t("Seats")} placeholder={t("Seats")} type="number" value={newCourse.seats} onChange={(e) => setNewCourse({ ...newCourse, seats: Number(e.target.value) })} />
+            <input aria-label={t("Prerequisites (e.g. CSE101, MAT201|MAT200)")} placeholder={t("Prerequisites (e.g. CSE101, MAT201|MAT200)")} value={requirementsToInput(newCourse.prerequisites)} onChange={(e) => setNewCourse({ ...newCourse, prerequisites: parseRequirements(e.target.value) })} />
+            <input aria-label={t("Corequisites (e.g. CSE102)")} placeholder={t("Corequisites (e.g. CSE102)")} value={requirementsToInput(newCourse.corequisites)} onChange={(e) => setNewCourse({ ...newCourse, corequisites: parseRequirements(e.target.value) })} />
+            <textarea aria-label={t("Description")} placeholder={t("Description")} value={newCourse.description} onChange={(e) => setNewCourse({ ...newCourse, description: e.target.value })} />
+          </div>
+          <h4>{t("Sections")}</h4>
+          <table className="table">
+            <thead><tr><th>{t("Type")}</th><th>{t("ID")}</th><th>{t("Days")}</th><th>{t("Start")}</th><th>{t("End")}</th><th>{t("Room")}</th><th>{t("Seats")}</th><th></th></tr></thead>
+            <tbody>
+              {newCourse.sections.map((sec, i) => (
+                <tr key={i}>
+                  <td><select aria-label={t("Section {number} type", { number: i + 1 })} value={sec.type} onChange={(e) => setSection(i, { type: e.target.value })}>{SECTION_TYPES.map((type) => <option key={type} value={type}>{t(type)}</option>)}</select></td>
+                  <td><input aria-label={t("Section {number} ID", { number: i + 1 })} placeholder={t("ID")} value={sec.id} onChange={(e) => setSection(i, { id: e.target.value })} /></td>
+                  <td>
+                    <div className="day-picks" role="group" aria-label={t("Section {number} days", { number: i + 1 })}>
+                      {l10n.days.map((d) => (
+                        <label key={d}>
+                          <input type="checkbox" checked={sec.days.includes(d)} onChange={(e) => setSection(i, { days: e.target.checked ? DAYS.filter((x) => x === d || sec.days.includes(x)) : sec.days.filter((x) => x !== d) })} />
+                          {l10n.dayName(d)}
+                        </label>
+                      ))}
+                    </div>
+                  </td>
+                  <td><input aria-label={t("Section {number} start", { number: i + 1 })} placeholder="HH:MM" value={sec.start} onChange={(e) => setSection(i, { start: e.target.value })} /></td>
+                  <td><input aria-label={t("Section {number} end", { number: i + 1 })} placeholder="HH:MM" value={sec.end} onChange={(e) => setSection(i, { end: e.target.value })} /></td>
+                  <td>
+                    <select aria-label={t("Section {number} room", { number: i + 1 })} value={sec.room || ""} onChange={(e) => setSection(i, { room: e.target.value })}>
+                      <option value="">{t("No room")}</option>
+                      {sec.room && !(data.rooms || []).some((r) => r.id === sec.room) && <option value={sec.room}>{t("{room} (unknown)", { room: sec.room })}</option>}
+                      {(data.rooms || []).map((r) => <option key={r.id} value={r.id}>{r.id}{r.capacity ? ` (${r.capacity})` : ""}</option>)}
+                    </select>
+                  </td>
+                  <td><input aria-label={t("Section {number} seats", { number: i + 1 })} placeholder={t("Course cap")} type="number" value={sec.seats} onChange={(e) => setSection(i, { seats: e.target.value === "" ? "" : Number(e.target.value) })} /></td>
+                  <td><button onClick={() => setNewCourse({ ...newCourse, sections: newCourse.sections.filter((_, j) => j !== i) })}>{t("Remove")}</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="row">
+            <button onClick={() => setNewCourse({ ...newCourse, sections: [...newCourse.sections, { ...emptySection, id: "" }] })}>{t("Add section")}</button>
+            <button onClick={() => {
+              // sections replace the legacy single-block days/start/end, and a term replaces the free-text dateRange
+              const { days, start, end, dateRange, ...rest } = newCourse;
+              const course = { ...rest, sections: newCourse.sections.map((sec) => ({ ...sec, days: sec.days.filter(Boolean) })), prerequisites: normalizeRequirements(newCourse.prerequisites), corequisites: normalizeRequirements(newCourse.corequisites) };
+              if (!(editing ? updateCourse(course) : addCourse(course))) return;
+              setEditing(null);
+              setNewCourse(emptyCourse);
+            }}>{editing ? t("Save") : t("Add course")}</button>
+          </div>
+        </div>
+
+        <UserManagement />
+      </div>
+
+      <Announcement />
+
+      <Analytics courses={analyticsCourses} term={analyticsTerm} onTermChange={setAnalyticsTerm} />
+
+      <div className="card">
+        <h3>{t("Instructors and rooms")}</h3>
+        <div className="row space">
+          <div>
+            <h4>{t("Instructors")}</h4>
+            <table className="table">
+              <thead><tr><th>{t("Username")}</th><th>{t("Name")}</th><th>{t("Teaches")}</th><th>{t("Availability")}</th><th>{t("Actions")}</th></tr></thead>
+              <tbody>
+                {data.users.instructors.map((i) => (
+                  <tr key={i.username}>
+                    <td>{i.username}</td>
+                    <td>{i.name}</td>
+                    <td>{data.courses.filter((c) => c.instructorId === i.username).map((c) => c.id).join(", ") || "—"}{i.maxCourses ? ` ${t("(max {count})", { count: i.maxCourses })}` : ""}</td>
+                    <td className="small">{availabilityToInput(i.availability, l10n.locale) || t("Any time")}</td>
+                    <td>
+                      <button onClick={() => { setEditingInstructor(i); setNewInstructor({ ...emptyInstructor, ...i }); setInstructorHours(availabilityToInput(i.availability, l10n.locale)); }}>{t("Edit")}</button>
+                      <button onClick={() => deleteInstructor(i.username)}>{t("Delete")}</button>
+                      <button onClick={() => setSchedule({ kind: "instructor", id: i.username })}>{t("Timetable")}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="form-grid">
+              <input aria-label={t("Username")} placeholder={t("Username")} value={newInstructor.username} disabled={!!editingInstructor} onChange={(e) => setNewInstructor({ ...newInstructor, username: e.target.value })} />
+              <input aria-label={editingInstructor ? t("New password (optional)") : t("Initial password")} placeholder={editingInstructor ? t("New password (optional)") : t("Initial password")} value={newInstructor.password} onChange={(e) => setNewInstructor({ ...newInstructor, password: e.target.value })} />
+              <input aria-label={t("Name")} placeholder={t("Name")} value={newInstructor.name} onChange={(e) => setNewInstructor({ ...newInstructor, name: e.target.value })} />
+              <input aria-label={t("Email")} placeholder={t("Email")} value={newInstructor.email} onChange={(e) => setNewInstructor({ ...newInstructor, email: e.target.value })} />
+              <input aria-label={t("Max courses at once")} placeholder={t("Max courses at once")} type="number" value={newInstructor.maxCourses} onChange={(e) => setNewInstructor({ ...newInstructor, maxCourses: e.target.value })} />
+              <input aria-label={t("Availability (e.g. Mon 09:00-17:00, Tue 09:00-12:00)")} placeholder={t("Availability (e.g. Mon 09:00-17:00, Tue 09:00-12:00)")} value={instructorHours} onChange={(e) => setInstructorHours(e.target.value)} />
+            </div>
+            <div className="row">
+              <button onClick={saveInstructor}>{editingInstructor ? t("Save instructor") : t("Add instructor")}</button>
+            </div>
+          </div>
+          <div>
+            <h4>{t("Rooms")}</h4>
+            <table className="table">
+              <thead><tr><th>{t("ID")}</th><th>{t("Name")}</th><th>{t("Capacity")}</th><th>{t("Availability")}</th><th>{t("Actions")}</th></tr></thead>
+              <tbody>
+                {(data.rooms || []).map((r) => (
+                  <tr key={r.id}>
+                    <td>{r.id}</td>
+                    <td>{r.name}</td>
+                    <td>{r.capacity || "—"}</td>
+                    <td className="small">{availabilityToInput(r.availability, l10n.locale) || t("Any time")}</td>
+                    <td>
+                      <button onClick={() => { setEditingRoom(r); setNewRoom({ ...emptyRoom, ...r }); setRoomHours(availabilityToInput(r.availability, l10n.locale)); }}>{t("Edit")}</button>
+                      <button onClick={() => deleteRoom(r.id)}>{t("Delete")}</button>
+                      <button onClick={() => setSchedule({ kind: "room", id: r.id })}>{t("Timetable")}</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="form-grid">
+              <input aria-label={t("ID (e.g. Hall A)")} placeholder={t("ID (e.g. Hall A)")} value={newRoom.id} disabled={!!editingRoom} onChange={(e) => setNewRoom({ ...newRoom, id: e.target.value })} />
+              <input aria-label={t("Name")} placeholder={t("Name")} value={newRoom.name} onChange={(e) => setNewRoom({ ...newRoom, name: e.target.value })} />
+              <input aria-label={t("Capacity")} placeholder={t("Capacity")} type="number" value={newRoom.capacity} onChange={(e) => setNewRoom({ ...newRoom, capacity: e.target.value })} />
+              <input aria-label={t("Availability (e.g. Mon 08:00-20:00)")} placeholder={t("Availability (e.g. Mon 08:00-20:00)")} value={roomHours} onChange={(e) => setRoomHours(e.target.value)} />
+            </div>
+            <div className="row">
+              <button onClick={saveRoom}>{editingRoom ? t("Save room") : t("Add room")}</button>
+            </div>
+          </div>
+        </div>
+        {schedule && (
+          <>
+            <hr />
+            <div className="row space">
+              <h4>{t(schedule.kind === "room" ? "Room timetable: {id}" : "Instructor timetable: {id}", { id: schedule.id })}</h4>
+              <select aria-label={t("Term")} value={scheduleTerm} onChange={(e) => setScheduleTerm(e.target.value)}>
+                {(data.terms || []).map((term) => <option key={term.id} value={term.id}>{term.name}</option>)}
+              </select>
+              <button onClick={() => setSchedule(null)}>{t("Close")}</button>
+            </div>
+            <Timetable meetings={(schedule.kind === "room" ? roomMeetings(data, schedule.id) : instructorMeetings(data, schedule.id)).filter((m) => !m.course.termId || m.course.termId === scheduleTerm)} title={t(schedule.kind === "room" ? "Room {id} timetable" : "Instructor {id} timetable", { id: schedule.id })} />
+          </>
+        )}
+      </div>
+
+      <div className="card">
+        <h3>{t("Terms")}</h3>
+        <table className="table">
+          <thead><tr><th>{t("ID")}</th><th>{t("Name")}</th><th>{t("Dates")}</th><th>{t("Add / drop by")}</th><th>{t("Holidays")}</th><th>{t("Actions")}</th></tr></thead>
+          <tbody>
+            {(data.terms || []).map((term) => (
+              <tr key={term.id}>
+                <td>{term.id}</td>
+                <td>{term.name}</td>
+                <td>{t("{start} to {end}", { start: term.start, end: term.end })}</td>
+                <td>{term.addDeadline || "—"} / {term.dropDeadline || "—"}</td>
+                <td>{(term.holidays || []).join(", ")}</td>
+                <td>
+                  <button onClick={() => { setEditingTerm(term); setNewTerm({ ...emptyTerm, ...term }); }}>{t("Edit")}</button>
+                  <button onClick={() => deleteTerm(term.id)}>{t("Delete")}</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <h4>{editingTerm ? t("Edit term") : t("Add new term")}</h4>
+        <div className="form-grid">
+          <input aria-label={t("ID (e.g. 2026F)")} placeholder={t("ID (e.g. 2026F)")} value={newTerm.id} disabled={!!editingTerm} onChange={(e) => setNewTerm({ ...newTerm, id: e.target.value })} />
+          <input aria-label={t("Name")} placeholder={t("Name")} value={newTerm.name} onChange={(e) => setNewTerm({ ...newTerm, name: e.target.value })} />
+          <input aria-label={t("Start (YYYY-MM-DD)")} placeholder={t("Start (YYYY-MM-DD)")} value={newTerm.start} onChange={(e) => setNewTerm({ ...newTerm, start: e.target.value })} />
+          <input aria-label={t("End (YYYY-MM-DD)")} placeholder={t("End (YYYY-MM-DD)")} value={newTerm.end} onChange={(e) => setNewTerm({ ...newTerm, end: e.target.value })} />
+          <input aria-label={t("Add deadline (YYYY-MM-DD)")} placeholder={t("Add deadline (YYYY-MM-DD)")} value={newTerm.addDeadline} onChange={(e) => setNewTerm({ ...newTerm, addDeadline: e.target.value })} />
+          <input aria-label={t("Drop deadline (YYYY-MM-DD)")} placeholder={t("Drop deadline (YYYY-MM-DD)")} value={newTerm.dropDeadline} onChange={(e) => setNewTerm({ ...newTerm, dropDeadline: e.target.value })} />
+          <input aria-label={t("Holidays (comma separated dates)")} placeholder={t("Holidays (comma separated dates)")} value={newTerm.holidays.join(",")} onChange={(e) => setNewTerm({ ...newTerm, holidays: e.target.value.split(",").map((d) => d.trim()) })} />
+        </div>
+        <div className="row">
+          <button onClick={() => {
+            const term = { ...newTerm, holidays: newTerm.holidays.filter(Boolean) };
+            if (!(editingTerm ? updateTerm(term) : addTerm(term))) return;
+            setEditingTerm(null);
+            setNewTerm(emptyTerm);
+          }}>{editingTerm ? t("Save term") : t("Add term")}</button>
+        </div>
+      </div>
+
+      <div className="card">
+        <h3>{t("Import / export")}</h3>
+        <div className="row">
+          <select aria-label={t("What to import or export")} value={importKind} onChange={(e) => { setImportKind(e.target.value); setPreview(null); }}>
+            {IMPORT_KINDS.map((k) => <option key={k} value={k}>{t(k)}</option>)}
+          </select>
+          <input type="file" accept=".csv,.json" onChange={(e) => {
+            const file = e.target.files[0];
+            if (file) file.text().then((text) => { setImportFile({ name: file.name, text }); setPreview(null); });
+          }} />
+        </div>
+        <p className="small">{t('CSV columns: {columns}. Separate days, completed courses and sections with ";". JSON takes a list of records or a full export.', { columns: CSV_COLUMNS[importKind].join(", ") })}</p>
+        <textarea aria-label={t("…or paste CSV / JSON here")} placeholder={t("…or paste CSV / JSON here")} value={importFile.text} onChange={(e) => { setImportFile({ name: "", text: e.target.value }); setPreview(null); }} />
+        <div className="row">
+          <button disabled={!importFile.text.trim()} onClick={validateImport}>{t("Validate")}</button>
+        </div>
+        {preview?.error && <p><strong>{preview.error}</strong></p>}
+        {preview?.report && (
+          <>
+            <table className="table">
+              <thead><tr><th>{t("Row")}</th><th>{t("Record")}</th><th>{t("Result")}</th></tr></thead>
+              <tbody>
+                {preview.report.map((r, i) => (
+                  <tr key={i}>
+                    <td>{r.rows.join(", ")}</td>
+                    <td>{r.key || "—"}</td>
+                    <td>
+                      {r.errors.length ? r.errors.map((err) => <div className="small" key={err}>{err}</div>) : t("OK")}
+                      {r.warnings.map((w) => <div className="small muted" key={w}>{t("Warning: {warning}", { warning: w })}</div>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="small">{t("{accepted} of {total} {kind} are valid; rows with errors are skipped.", { accepted: preview.accepted, total: preview.report.length, kind: t(preview.kind) })}</p>
+            <div className="row">
+              <button disabled={!preview.accepted} onClick={() => commitImport(preview.kind, preview.entries).then((done) => done && setPreview(null))}>{t("Import {count} {kind}", { count: preview.accepted, kind: t(preview.kind) })}</button>
+              <button onClick={() => setPreview(null)}>{t("Cancel")}</button>
+            </div>
+          </>
+        )}
+        <hr />
+        <h4>{t("Export")}</h4>
+        <div className="row">
+          <button onClick={() => downloadFile(`course-scheduler-${todayISO()}.json`, exportData(data), "application/json")}>{t("Full dataset (JSON)")}</button>
+          <button onClick={() => downloadFile("courses.csv", coursesToCsv(data.courses), "text/csv")}>{t("Courses (CSV)")}</button>
+          <button onClick={() => downloadFile("students.csv", studentsToCsv(data.users.students), "text/csv")}>{t("Students (CSV)")}</button>
+          <button onClick={() => downloadFile("enrollments.csv", enrollmentsToCsv(data), "text/csv")}>{t("Enrollments (CSV)")}</button>
+        </div>
+        <div className="row">
+          <select aria-label={t("Course")} value={rosterId} onChange={(e) => setRosterId(e.target.value)}>
+            {data.courses.map((c) => <option key={c.id} value={c.id}>{c.id} — {c.name}</option>)}
+          </select>
+          <button disabled={!rosterCourse} onClick={() => downloadFile(`roster-${rosterId}.csv`, rosterToCsv(data, rosterCourse), "text/csv")}>{t("Roster (CSV)")}</button>
+          <button disabled={!rosterCourse} onClick={() => downloadFile(`roster-${rosterId}.json`, JSON.stringify({ course: { id: rosterCourse.id, name: rosterCourse.name, termId: rosterCourse.termId || "" }, students: courseRoster(data, rosterCourse) }, null, 2), "application/json")}>{t("Roster (JSON)")}</button>
+        </div>
+      </div>
+
+      <AuditLog />
+
+      <div className="row space">
+        <button onClick={() => navigate("/catalog")}>{t("Open catalog")}</button>
+        <button onClick={logout}>{t("Logout")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+function InstructorDashboard() {
+  const { data, auth, t, logout } = useContext(AppContext);
+  const me = findUser(data, "instructor", auth.user.username);
+  const teaching = data.courses.filter((c) => c.instructorId === me.username);
+  return (
+    <div className="centered">
+      <h2>{t("Instructor Dashboard — {name} ({username})", { name: me.name, username: me.username })}</h2>
+      {!teaching.length && <div className="card"><p>{t("You are not assigned to any courses yet.")}</p></div>}
+      {teaching.map((c) => <TeachingCard key={c.id} course={c} />)}
+      <div className="row">
+        <button onClick={() => navigate("/catalog")}>{t("Open catalog")}</button>
+        <button onClick={logout}>{t("Logout")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+// Roster, attendance and final grades for one course; changes are drafts (in teachingDrafts) until saved.
+function TeachingCard({ course }) {
+  const { data, teachingDrafts, setTeachingDrafts, t, l10n, recordAttendance, saveGrades } = useContext(AppContext);
+  const roster = courseRoster(data, course).filter((r) => r.status === "registered");
+  const sessions = courseSessions(data, course);
+  const today = todayISO();
+  const draft = teachingDrafts[course.id] || {};
+  const setDraft = (update) => setTeachingDrafts((drafts) => ({ ...drafts, [course.id]: { ...drafts[course.id], ...update } }));
+  // default to the latest session that has already started
+  const sessionKey = draft.sessionKey ?? (([...sessions].reverse().find((s) => s.date <= today) || sessions[0])?.key || "");
+  const marks = draft.marks || { ...(courseAttendance(data, course.id)[sessionKey] || {}) };
+  const grades = draft.grades || Object.fromEntries(roster.map((r) => [r.username, courseGrade(findUser(data, "student", r.username), course.id)]));
+  const setMarks = (next) => setDraft({ marks: next });
+  const setGrades = (next) => setDraft({ grades: next });
+  const session = sessions.find((s) => s.key === sessionKey);
+  const attendees = session ? sessionRoster(data, course, session.section.id) : [];
+  const pickSession = (key) => setDraft({ sessionKey: key, marks: null });
+
+  return (
+    <div className="card">
+      <h3>{course.id} — {course.name}</h3>
+      <p className="small">{describeDates(data, course, t)} · {t(waitlistFor(data, course.id).length ? "{taken}/{seats} registered, {waitlisted} waitlisted" : "{taken}/{seats} registered", { taken: countRegistrations(data, course.id), seats: course.seats, waitlisted: waitlistFor(data, course.id).length })}</p>
+      <h4>{t("Roster")}</h4>
+      {!roster.length ? <p className="small">{t("No students registered yet.")}</p> : (
+        <>
+          <table className="table">
+            <thead><tr><th>{t("Username")}</th><th>{t("Name")}</th><th>{t("Sections")}</th><th>{t("Attended")}</th><th>{t("Final grade")}</th></tr></thead>
+            <tbody>
+              {roster.map((r) => {
+                const { attended, taken } = attendanceSummary(data, course.id, r.username);
+                return (
+                  <tr key={r.username}>
+                    <td>{r.username}</td>
+                    <td>{r.name}</td>
+                    <td>{r.sectionIds.join(", ")}</td>
+                    <td>{taken ? `${attended}/${taken}` : "—"}</td>
+                    <td>
+                      <select aria-label={t("Grade for {username}", { username: r.username })} value={grades[r.username] || ""} onChange={(e) => setGrades({ ...grades, [r.username]: e.target.value })}>
+                        <option value="">—</option>
+                        {GRADES.map((g) => <option key={g}>{g}</option>)}
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="row">
+            <button onClick={() => { saveGrades(course.id, grades); setGrades(null); }}>{t("Save grades")}</button>
+          </div>
+        </>
+      )}
+      <h4>{t("Attendance")}</h4>
+      {!sessions.length ? <p className="small">{t("This course has no dates yet; an admin needs to assign it to a term.")}</p> : (
+        <>
+          <select aria-label={t("Class session")} value={sessionKey} onChange={(e) => pickSession(e.target.value)}>
+            {sessions.map((s) => <option key={s.key} value={s.key}>{s.date} ({l10n.dayName(weekdayOf(s.date))}) {t(s.section.type)} {s.section.id} {l10n.timeRange(s.section.start, s.section.end)}</option>)}
+          </select>
+          {!attendees.length ? <p className="small">{t("Nobody attends this section.")}</p> : (
+            <div>
+              {attendees.map((st) => (
+                <fieldset key={st.username} className="attendance">
+                  <legend>{st.name} ({st.username})</legend>
+                  {ATTENDANCE_STATUSES.map((status) => (
+                    <label key={status}>
+                      <input type="radio" name={`${course.id}-${st.username}`} checked={marks[st.username] === status} onChange={() => setMarks({ ...marks, [st.username]: status })} />
+                      {t(status)}
+                    </label>
+                  ))}
+                </fieldset>
+              ))}
+            </div>
+          )}
+          <div className="row">
+            <button disabled={!attendees.length} onClick={() => setMarks(Object.fromEntries(attendees.map((st) => [st.username, "present"])))}>{t("Mark all present")}</button>
+            <button disabled={!attendees.length} onClick={() => { recordAttendance(course.id, sessionKey, marks); setMarks(null); }}>{t("Save attendance")}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+
+function StudentDashboard() {
+  const { storage, data, auth, selectedTermId, setSelectedTermId, t, l10n, setMessage, logout, joinWaitlist, leaveWaitlist, registerCourse, registerSchedule, unregisterCourse } = useContext(AppContext);
+  const me = data.users.students.find((s) => s.username === auth.user.username);
+  const registeredIds = me.registrations || [];
+  const termId = selectedTermId || currentTermId(data);
+  const term = (data.terms || []).find((candidate) => candidate.id === termId);
+  // courses from before terms existed have no termId and show under every term
+  const termCourses = data.courses.filter((c) => !c.termId || c.termId === termId);
+  const registeredCourses = termCourses.filter((c) => registeredIds.includes(c.id));
+  const meetings = studentMeetings(data, me).filter((m) => !m.course.termId || m.course.termId === termId);
+  const [query, update] = useCatalogQuery();
+  const result = searchCourses(data, termCourses, query, me);
+  // schedule planner: wishlist maps course id -> "required" | "optional"
+  const [planning, setPlanning] = useState(false);
+  const [wishlist, setWishlist] = useState({});
+  const [prefs, setPrefs] = useState({ noBefore: "", freeFridays: false, compactDays: false });
+  const [plans, setPlans] = useState(null);
+  const [preview, setPreview] = useState(0);
+  const previewPlan = planning && plans && plans.schedules[preview];
+  // hovering an unregistered course previews the sections it would get, or all of them if none fit
+  const [hovered, setHovered] = useState(null);
+  const hoveredCourse = !previewPlan && termCourses.find((c) => c.id === hovered && !registeredIds.includes(c.id));
+  const hoveredSections = hoveredCourse ? pickSections(data, me, hoveredCourse) : null;
+  const previewMeetings = previewPlan ? previewPlan.meetings : hoveredCourse ? courseMeetings(data, hoveredCourse, hoveredSections || undefined) : [];
+
+  return (
+    <div className="centered">
+      <h2>{t("Student Dashboard — {name} ({username})", { name: me.name, username: me.username })}</h2>
+      {(data.terms || []).length > 0 && (
+        <div className="row">
+          <label htmlFor="student-term">{t("Term")}</label>
+          <select id="student-term" value={termId || ""} onChange={(e) => setSelectedTermId(e.target.value)}>
+            {data.terms.map((x) => <option key={x.id} value={x.id}>{x.name}</option>)}
+          </select>
+          {term && <span className="small">{t("{start} to {end}", { start: term.start, end: term.end })}{term.addDeadline ? ` · ${t("add by {date}", { date: term.addDeadline })}` : ""}{term.dropDeadline ? ` · ${t("drop by {date}", { date: term.dropDeadline })}` : ""}</span>}
+        </div>
+      )}
+      {/* top-aligned so previews that resize the timetable don't shift the course rows under the pointer */}
+      <div className="row space" style={{ alignItems: "flex-start" }}>
+        {planning ? (
+        <div className="card list">
+          <h3>{t("Plan my schedule")}</h3>
+          <table className="table">
+            <thead><tr><th scope="col">{t("ID")}</th><th scope="col">{t("Name")}</th><th scope="col">{t("Meetings")}</th><th scope="col">{t("Wish list")}</th></tr></thead>
+            <tbody>
+              {termCourses.filter((c) => !registeredIds.includes(c.id)).map((c) => {
+                const blocked = deadlineProblem(data, c, "add", todayISO(), t) || missingRequirement({ ...me, registrations: [...registeredIds, ...Object.keys(wishlist)] }, c, t) || (!hasSeat(data, c) && t("Full"));
+                return (
+                  <tr key={c.id}>
+                    <td>{c.id}</td>
+                    <td>{c.name}{wishlist[c.id] && blocked && <div className="small">{blocked}</div>}</td>
+                    <td>{courseSections(c).map((sec) => <div className="small" key={sec.id}>{describeSection(sec, l10n)}</div>)}</td>
+                    <td>
+                      <select aria-label={t("Wish list for {course}", { course: c.id })} value={wishlist[c.id] || ""} onChange={(e) => {
+                        const next = { ...wishlist };
+                        if (e.target.value) next[c.id] = e.target.value;
+                        else delete next[c.id];
+                        setWishlist(next);
+                        setPlans(null);
+                      }}>
+                        <option value="">—</option>
+                        <option value="required">{t("Required")}</option>
+                        <option value="optional">{t("Optional")}</option>
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <h4>{t("Preferences")}</h4>
+          <div className="form-grid">
+            <input aria-label={t("No classes before (HH:MM)")} placeholder={t("No classes before (HH:MM)")} value={prefs.noBefore} onChange={(e) => setPrefs({ ...prefs, noBefore: e.target.value })} />
+            <label><input type="checkbox" style={{ width: "auto" }} checked={prefs.freeFridays} onChange={(e) => setPrefs({ ...prefs, freeFridays: e.target.checked })} /> {t("Free Fridays")}</label>
+            <label><input type="checkbox" style={{ width: "auto" }} checked={prefs.compactDays} onChange={(e) => setPrefs({ ...prefs, compactDays: e.target.checked })} /> {t("Compact days")}</label>
+          </div>
+          <div className="row">
+            <button disabled={!Object.keys(wishlist).length} onClick={() => {
+              const list = Object.entries(wishlist).map(([courseId, kind]) => ({ courseId, required: kind === "required" }));
+              setPlans(generateSchedules(data, me, list, prefs));
+              setPreview(0);
+            }}>{t("Find schedules")}</button>
+            <button onClick={() => setPlanning(false)}>{t("Back to courses")}</button>
+          </div>
+          {plans && !plans.schedules.length && <p className="small">{t("No conflict-free schedule includes all required courses. Try making some optional.")}</p>}
+          {plans?.truncated && <p className="small">{t("There are too many combinations to try them all, so better schedules may exist. Shorten the wish list or make fewer courses optional.")}</p>}
+          {plans && plans.schedules.length > 0 && (
+            <ol>
+              {plans.schedules.map((p, i) => (
+                <li key={i}>
+                  {p.choices.map((ch) => `${ch.courseId} (${ch.sectionIds.join(", ")})`).join(", ")} <span className="small">{t("score {score}", { score: p.score })}</span>
+                  <div className="row">
+                    <button disabled={i === preview} onClick={() => setPreview(i)}>{i === preview ? t("Previewing") : t("Preview")}</button>
+                    <button onClick={() => { if (registerSchedule(me.username, p.choices)) { setPlanning(false); setPlans(null); setWishlist({}); } }}>{t("Register all")}</button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+        ) : (
+        <div className="card list">
+          <div className="row space">
+            <h3>{t("Available Courses")}</h3>
+            <button onClick={() => setPlanning(true)}>{t("Plan my schedule")}</button>
+          </div>
+          <CatalogControls query={query} update={update} student={me} />
+          <table className="table">
+            <thead>
+              <tr>
+                <SortHeader column="id" query={query} update={update}>{t("ID")}</SortHeader>
+                <SortHeader column="name" query={query} update={update}>{t("Name")}</SortHeader>
+                <SortHeader column="time" query={query} update={update}>{t("Meetings")}</SortHeader>
+                <SortHeader column="seats" query={query} update={update}>{t("Seats")}</SortHeader>
+                <th scope="col">{t("Actions")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.items.map((c) => {
+                const registered = registeredIds.includes(c.id);
+                const seatsTaken = countRegistrations(data, c.id);
+                const position = waitlistPosition(data, c.id, me.username);
+                return (
+                  <tr key={c.id} onMouseEnter={() => setHovered(c.id)} onMouseLeave={() => setHovered(null)} onFocus={() => setHovered(c.id)} onBlur={() => setHovered(null)}>
+                    <td>{c.id}</td>
+                    <td>{c.name}</td>
+                    <td>{courseSections(c).map((sec) => <div className="small" key={sec.id}>{describeSection(sec, l10n)}</div>)}</td>
+                    <td>{seatsTaken}/{c.seats}</td>
+                    <td>
+                      <button onClick={() => navigate(`/courses/${encodeURIComponent(c.id)}`)}>{t("View")}</button>
+                      {registered ? <button onClick={() => unregisterCourse(me.username, c.id)}>{t("Unregister")}</button>
+                        : position ? <><span className="small">{t("Waitlisted #{position}", { position })}</span> <button onClick={() => leaveWaitlist(me.username, c.id)}>{t("Leave waitlist")}</button></>
+                        : !hasSeat(data, c) ? <button onClick={() => joinWaitlist(me.username, c.id)}>{t("Join waitlist")}</button>
+                        : <button onClick={() => registerCourse(me.username, c.id)}>{t("Register")}</button>}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <Pager result={result} update={update} />
+        </div>
+        )}
+
+        <div className="card">
+          {unreadCount(me) > 0 && (
+            <>
+              <h3>{t("Notifications")}</h3>
+              <ul>
+                {me.notices.filter((n) => !n.read && !n.archived).slice(-3).reverse().map((n) => <li key={n.id} className="small">{noticeText(n, l10n)}</li>)}
+              </ul>
+              <button onClick={() => navigate("/inbox")}>{t("Open inbox ({count} unread)", { count: unreadCount(me) })}</button>
+            </>
+          )}
+          <h3>{previewPlan ? t("Preview: option {number}", { number: preview + 1 }) : hoveredCourse ? t("Preview: {course}", { course: hoveredCourse.id }) : t("Your Timetable")}</h3>
+          {hoveredCourse && <p className="small">{t(hoveredSections ? "Dashed blocks show {course}." : "Dashed blocks show every section of {course}: no open combination fits your timetable.", { course: hoveredCourse.id })}</p>}
+          <Timetable meetings={meetings} preview={previewMeetings} title={t("{name} timetable", { name: me.name || me.username })} />
+          <div className="row">
+            <button disabled={!registeredIds.length} onClick={() => {
+              const { ics, skipped } = timetableToIcs(data, me);
+              downloadFile(`${me.username}-timetable.ics`, ics, "text/calendar");
+              if (skipped.length) setMessage(t("Left out of the calendar because they have no dates: {courses}", { courses: skipped.join(", ") }));
+            }}>{t("Export to calendar")}</button>
+          </div>
+          {storage.calendarUrl && auth.user.calendarToken && <p className="small">{t("Or subscribe in your calendar app to stay up to date:")} <a href={storage.calendarUrl(me.username, auth.user.calendarToken)}>{storage.calendarUrl(me.username, auth.user.calendarToken)}</a></p>}
+          <h4>{t("Registered")}</h4>
+          <ul>
+            {registeredCourses.map((c) => <li key={c.id}>{c.id} — {c.name}{meetings.filter((m) => m.course.id === c.id).map((m) => <div className="small" key={m.id}>{describeSection(m, l10n)}</div>)}</li>)}
+          </ul>
+          <h4>{t("Completed")}</h4>
+          <p className="small">{(me.completed || []).map((id) => (courseGrade(me, id) ? `${id} (${courseGrade(me, id)})` : id)).join(", ") || t("None yet")}</p>
+          {(me.history || []).some((h) => !PASSING_GRADES.includes(h.grade)) && (
+            <p className="small">{t("Other grades:")} {me.history.filter((h) => !PASSING_GRADES.includes(h.grade)).map((h) => `${h.courseId} (${h.grade})`).join(", ")}</p>
+          )}
+        </div>
+      </div>
+      <div className="row">
+        <button onClick={() => navigate("/catalog")}>{t("Open catalog")}</button>
+        <button onClick={logout}>{t("Logout")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+// Search and filters shared by the catalog and the student course table.
+function CatalogControls({ query, update, student, sortable }) {
+  const { t, l10n } = useContext(AppContext);
+  return (
+    <div className="form-grid">
+      <input aria-label={t("Search name, code or description")} placeholder={t("Search name, code or description")} value={query.q} onChange={(e) => update({ q: e.target.value })} />
+      <select aria-label={t("Day")} value={query.day} onChange={(e) => update({ day: Number(e.target.value) || "" })}>
+        <option value="">{t("Any day")}</option>
+        {l10n.days.map((d) => <option key={d} value={d}>{t("Meets on {day}", { day: l10n.dayName(d, "long") })}</option>)}
+      </select>
+      <input aria-label={t("From (HH:MM)")} placeholder={t("From (HH:MM)")} value={query.from} onChange={(e) => update({ from: e.target.value })} />
+      <input aria-label={t("Until (HH:MM)")} placeholder={t("Until (HH:MM)")} value={query.to} onChange={(e) => update({ to: e.target.value })} />
+      <label><input type="checkbox" style={{ width: "auto" }} checked={query.open} onChange={(e) => update({ open: e.target.checked })} /> {t("Open seats only")}</label>
+      {student && <label><input type="checkbox" style={{ width: "auto" }} checked={query.fits} onChange={(e) => update({ fits: e.target.checked })} /> {t("Fits my timetable")}</label>}
+      {sortable && (
+        <select aria-label={t("Sort")} value={query.sort} onChange={(e) => update({ sort: e.target.value })}>
+          {Object.entries(CATALOG_SORTS).map(([key, label]) => <option key={key} value={key}>{t(`Sort by ${label.toLowerCase()}`)}</option>)}
+        </select>
+      )}
+      {sortable && <button onClick={() => update({ dir: query.dir === "asc" ? "desc" : "asc" })}>{query.dir === "asc" ? t("Ascending") : t("Descending")}</button>}
+    </div>
+  );
+}
+
+
+function SortHeader({ column, query, update, children }) {
+  const active = query.sort === column;
+  return (
+    <th scope="col" aria-sort={active ? (query.dir === "asc" ? "ascending" : "descending") : "none"}>
+      <button className="sort-button" onClick={() => update({ sort: column, dir: active && query.dir === "asc" ? "desc" : "asc" })}>
+        {children}{active ? (query.dir === "asc" ? " ▲" : " ▼") : ""}
+      </button>
+    </th>
+  );
+}
+
+
+function Pager({ result, update }) {
+  const { t } = useContext(AppContext);
+  const count = t(result.total === 1 ? "{count} course" : "{count} courses", { count: result.total });
+  if (result.pages <= 1) return <p className="small" aria-live="polite">{count}</p>;
+  return (
+    <div className="row">
+      <button disabled={result.page <= 1} onClick={() => update({ page: result.page - 1 })}>{t("Previous")}</button>
+      <span className="small" aria-live="polite">{t("Page {page} of {pages}", { page: result.page, pages: result.pages })} · {count}</span>
+      <button disabled={result.page >= result.pages} onClick={() => update({ page: result.page + 1 })}>{t("Next")}</button>
+    </div>
+  );
+}
+
+
+function CourseCatalog({ single }) {
+  const { data, auth, t, l10n } = useContext(AppContext);
+  const [query, update] = useCatalogQuery();
+  const me = auth.type === "student" ? findUser(data, "student", auth.user.username) : null;
+  const result = searchCourses(data, data.courses, query, me);
+  const list = single ? [single] : result.items;
+  return (
+    <div className="centered">
+      <h2>{t("Course Catalog")}</h2>
+      {!single && (
+        <div className="card">
+          <CatalogControls query={query} update={update} student={me} sortable />
+          <Pager result={result} update={update} />
+        </div>
+      )}
+      <div className="grid-cards">
+        {list.map((c) => (
+          <div className="card course-card" key={c.id}>
+            <h3>{c.name} <span className="muted">({c.id})</span></h3>
+            <p><strong>{t("Code:")}</strong> {c.code}</p>
+            <p><strong>{t("Sections:")}</strong></p>
+            {courseSections(c).map((sec) => <div className="small" key={sec.id}>{describeSection(sec, l10n)}</div>)}
+            <p><strong>{t("Dates:")}</strong> {describeDates(data, c, t)}</p>
+            {c.instructorId && <p><strong>{t("Instructor:")}</strong> {findUser(data, "instructor", c.instructorId)?.name || c.instructorId}</p>}
+            <p><strong>{t("Seats:")}</strong> {c.seats}</p>
+            <p><strong>{t("Prerequisites:")}</strong> {describeRequirements(c.prerequisites, t)}</p>
+            <p><strong>{t("Corequisites:")}</strong> {describeRequirements(c.corequisites, t)}</p>
+            <p>{c.description}</p>
+            <div className="row">
+              <button aria-label={t("Full description of {course}", { course: c.id })} onClick={() => navigate(`/courses/${encodeURIComponent(c.id)}`)}>{t("Full")}</button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="row">
+        <button onClick={() => navigate(dashboardPath(auth.type))}>{t("Back")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+function CourseDescription({ courseId }) {
+  const { data, auth, t, l10n, joinWaitlist, leaveWaitlist, registerCourse } = useContext(AppContext);
+  const [choice, setChoice] = useState({}); // section type -> section id
+  const c = data.courses.find((x) => x.id === courseId);
+  if (!c) return <div className="centered"><p>{t("Course {course} not found", { course: courseId })}</p><button onClick={() => navigate("/catalog")}>{t("Open catalog")}</button></div>;
+  const position = auth.type === "student" ? waitlistPosition(data, c.id, auth.user.username) : 0;
+  const me = auth.type === "student" ? data.users.students.find((s) => s.username === auth.user.username) : null;
+  const missing = me ? missingRequirement(me, c, t) : null;
+  const registered = me ? (me.registrations || []).includes(c.id) : false;
+  const suggested = me ? pickSections(data, me, c) || [] : [];
+  const chosenIds = sectionTypes(c).map((type) => choice[type] || (registered ? studentSectionIds(me, c) : suggested).find((id) => courseSections(c).some((sec) => sec.id === id && sec.type === type)) || courseSections(c).find((sec) => sec.type === type).id);
+  return (
+    <div className="centered">
+      <h2>{c.name} ({c.id})</h2>
+      <p><strong>{t("Code:")}</strong> {c.code}</p>
+      <p><strong>{t("Dates:")}</strong> {describeDates(data, c, t)}</p>
+      {c.instructorId && <p><strong>{t("Instructor:")}</strong> {findUser(data, "instructor", c.instructorId)?.name || c.instructorId}</p>}
+      <p><strong>{t("Seats:")}</strong> {countRegistrations(data, c.id)}/{c.seats}</p>
+      <h4>{t("Sections")}</h4>
+      <ul>
+        {courseSections(c).map((sec) => <li key={sec.id}>{describeSection(sec, l10n)} — {t("{taken}/{seats} taken", { taken: countSectionRegistrations(data, c, sec.id), seats: sec.seats || c.seats })}</li>)}
+      </ul>
+      {me && !registered && !position && hasSeat(data, c) && sectionTypes(c).map((type, i) => (
+        <div key={type}>
+          <label htmlFor={`section-choice-${i}`}>{t(type)}</label>
+          <select id={`section-choice-${i}`} value={chosenIds[i]} onChange={(e) => setChoice({ ...choice, [type]: e.target.value })}>
+            {courseSections(c).filter((sec) => sec.type === type).map((sec) => <option key={sec.id} value={sec.id}>{describeSection(sec, l10n)}</option>)}
+          </select>
+        </div>
+      ))}
+      {registered && <p className="small">{t("You attend: {sections}", { sections: chosenIds.join(", ") })}</p>}
+      <p><strong>{t("Prerequisites:")}</strong> {describeRequirements(c.prerequisites, t)}</p>
+      <p><strong>{t("Corequisites:")}</strong> {describeRequirements(c.corequisites, t)}</p>
+      {auth.type === "student" && missing && <p className="small">{missing}</p>}
+      <p><strong>{t("Waitlist:")}</strong> {waitlistFor(data, c.id).length}{position ? ` ${t("(you are #{position})", { position })}` : ""}</p>
+      <p>{c.description}</p>
+      <div className="row">
+        {auth.type === "student" && !registered && (position
+          ? <button onClick={() => leaveWaitlist(auth.user.username, c.id)}>{t("Leave waitlist")}</button>
+          : hasSeat(data, c) ? <button onClick={() => registerCourse(auth.user.username, c.id, chosenIds)}>{t("Register (as you)")}</button>
+          : <button onClick={() => joinWaitlist(auth.user.username, c.id)}>{t("Join waitlist (as you)")}</button>)}
+        <button onClick={() => navigate("/catalog")}>{t("Back to catalog")}</button>
+        <button onClick={() => navigate(dashboardPath(auth.type))}>{auth.type ? t("Dashboard") : t("Home")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+function Inbox() {
+  const { data, auth, currentUser, t, l10n, updateNotices } = useContext(AppContext);
+  const [showArchived, setShowArchived] = useState(false);
+  const notices = (currentUser.notices || []).filter((n) => showArchived || !n.archived).slice().reverse();
+  const unread = notices.filter((n) => !n.read).map((n) => n.id);
+  return (
+    <div className="centered">
+      <div className="row space">
+        <h2>{t("Inbox")}</h2>
+        <div className="row">
+          <label className="small"><input type="checkbox" style={{ width: "auto" }} checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} /> {t("Show archived")}</label>
+          <button disabled={!unread.length} onClick={() => updateNotices(unread, { read: true })}>{t("Mark all read")}</button>
+        </div>
+      </div>
+      <div className="card">
+        {!notices.length && <p className="small">{t("No notifications.")}</p>}
+        {notices.map((n) => (
+          <div key={n.id} className="row space notice">
+            <div>
+              <div style={{ fontWeight: n.read ? "normal" : 600 }}>{noticeText(n, l10n)}</div>
+              <div className="small">
+                {l10n.dateTime(n.at)} · {t(n.kind)}{n.from ? ` ${t("from {sender}", { sender: n.from })}` : ""}
+                {n.courseId && data.courses.some((c) => c.id === n.courseId) && <> · <button className="link-button" onClick={() => navigate(`/courses/${encodeURIComponent(n.courseId)}`)}>{n.courseId}</button></>}
+              </div>
+            </div>
+            <div className="row">
+              {!n.read && <button onClick={() => updateNotices([n.id], { read: true })}>{t("Mark read")}</button>}
+              {!n.archived && <button onClick={() => updateNotices([n.id], { read: true, archived: true })}>{t("Archive")}</button>}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="row">
+        <button onClick={() => navigate(dashboardPath(auth.type))}>{t("Back")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+function Announcement() {
+  const { data, t, announce } = useContext(AppContext);
+  const [courseId, setCourseId] = useState(data.courses[0]?.id || "");
+  const [text, setText] = useState("");
+  return (
+    <div className="card">
+      <h3>{t("Announce to a course")}</h3>
+      <div className="form-grid">
+        <select aria-label={t("Course")} value={courseId} onChange={(e) => setCourseId(e.target.value)}>
+          {data.courses.map((c) => <option key={c.id} value={c.id}>{c.id} {c.name} {t("({count} enrolled)", { count: countRegistrations(data, c.id) })}</option>)}
+        </select>
+        <textarea aria-label={t("Message for every enrolled student")} placeholder={t("Message for every enrolled student")} value={text} onChange={(e) => setText(e.target.value)} />
+      </div>
+      <div className="row">
+        <button disabled={!courseId} onClick={() => announce(courseId, text) && setText("")}>{t("Send announcement")}</button>
+      </div>
+    </div>
+  );
+}
+
+
+function UserManagement() {
+  const { data, userPanel, setUserPanel, t, addUser, changeRole, deleteUser, dropFor, enrollFor, setDeactivated, updateAccount } = useContext(AppContext);
+  const blankUser = { type: "student", username: "", password: "", name: "", mustChangePassword: true };
+  const [newUser, setNewUser] = useState(blankUser);
+  const [search, setSearch] = useState("");
+  const [role, setRole] = useState("");
+  const open = userPanel && findUser(data, userPanel.type, userPanel.username);
+  // the panel's form lives with the panel, so opening another user starts afresh
+  const blankEnroll = { courseId: "", override: false, reason: "" };
+  const draft = userPanel?.draft || { name: open?.name || "", password: "" };
+  const enroll = userPanel?.enroll || blankEnroll;
+  const setDraft = (next) => setUserPanel({ ...userPanel, draft: next });
+  const setEnroll = (next) => setUserPanel({ ...userPanel, enroll: next });
+  const needle = search.trim().toLowerCase();
+  const users = ["admin", "student"].filter((type) => !role || role === type)
+    .flatMap((type) => userList(data, type).map((u) => ({ type, user: u })))
+    .filter(({ user }) => !needle || `${user.username} ${user.name || ""}`.toLowerCase().includes(needle));
+  const isOpen = (type, username, mode) => open && userPanel.type === type && userPanel.username === username && userPanel.mode === mode;
+  return (
+    <div className="card">
+      <h3>{t("Users")}</h3>
+      <div className="form-grid">
+        <select aria-label={t("Role")} value={newUser.type} onChange={(e) => setNewUser({ ...newUser, type: e.target.value })}>
+          <option value="student">{t("Student")}</option>
+          <option value="admin">{t("Admin")}</option>
+        </select>
+        <input aria-label={t("username")} placeholder={t("username")} value={newUser.username} onChange={(e) => setNewUser({ ...newUser, username: e.target.value })} />
+        <input aria-label={t("initial password")} placeholder={t("initial password")} value={newUser.password} onChange={(e) => setNewUser({ ...newUser, password: e.target.value })} />
+        <input aria-label={t("name")} placeholder={t("name")} value={newUser.name} onChange={(e) => setNewUser({ ...newUser, name: e.target.value })} />
+      </div>
+      <label><input type="checkbox" style={{ width: "auto" }} checked={newUser.mustChangePassword} onChange={(e) => setNewUser({ ...newUser, mustChangePassword: e.target.checked })} /> {t("Require password change at first login")}</label>
+      <div className="row">
+        <button onClick={() => { const { type, ...user } = newUser; addUser(type, user); setNewUser(blankUser); }}>{t(newUser.type === "admin" ? "Add admin" : "Add student")}</button>
+      </div>
+
+      <hr />
+      <div className="row">
+        <input aria-label={t("Search by username or name")} placeholder={t("Search by username or name")} value={search} onChange={(e) => setSearch(e.target.value)} />
+        <select aria-label={t("Role")} value={role} onChange={(e) => setRole(e.target.value)} style={{ maxWidth: 160 }}>
+          <option value="">{t("All roles")}</option>
+          <option value="admin">{t("Admins")}</option>
+          <option value="student">{t("Students")}</option>
+        </select>
+      </div>
+      <table className="table">
+        <thead><tr><th>{t("Username")}</th><th>{t("Name")}</th><th>{t("Role")}</th><th>{t("Status")}</th><th>{t("Registrations")}</th><th>{t("Actions")}</th></tr></thead>
+        <tbody>
+          {users.map(({ type, user }) => (
+            <tr key={`${type}/${user.username}`}>
+              <td>{user.username}</td>
+              <td>{user.name}</td>
+              <td>{t(type)}</td>
+              <td>{t(user.deactivated ? "Deactivated" : user.lockedUntil > Date.now() ? "Locked" : "Active")}</td>
+              <td>{type === "student" ? (user.registrations || []).join(", ") || "—" : ""}</td>
+              <td>
+                <button onClick={() => setUserPanel(isOpen(type, user.username, "edit") ? null : { type, username: user.username, mode: "edit" })}>{t("Edit")}</button>
+                {type === "student" && <button onClick={() => setUserPanel(isOpen(type, user.username, "enroll") ? null : { type, username: user.username, mode: "enroll" })}>{t("Enrollment")}</button>}
+                <button onClick={() => setDeactivated(type, user.username, !user.deactivated)}>{user.deactivated ? t("Reactivate") : t("Deactivate")}</button>
+                <button onClick={() => deleteUser(type, user.username)}>{t("Delete")}</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!users.length && <p className="small">{t("No matching users.")}</p>}
+
+      {open && userPanel.mode === "edit" && (
+        <>
+          <h4>{t("Edit {type} {username}", { type: t(userPanel.type), username: open.username })}</h4>
+          <div className="form-grid">
+            <input aria-label={t("Name")} placeholder={t("Name")} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+            <input aria-label={t("New password (optional)")} placeholder={t("New password (optional)")} value={draft.password} onChange={(e) => setDraft({ ...draft, password: e.target.value })} />
+          </div>
+          <div className="row">
+            <button onClick={() => updateAccount(userPanel.type, open.username, draft)}>{t("Save")}</button>
+            <button onClick={() => changeRole(userPanel.type, open.username, userPanel.type === "admin" ? "student" : "admin")}>{userPanel.type === "admin" ? t("Make student") : t("Make admin")}</button>
+            <button onClick={() => setUserPanel(null)}>{t("Cancel")}</button>
+          </div>
+        </>
+      )}
+      {open && userPanel.mode === "enroll" && (
+        <>
+          <h4>{t("Enrollment for {username}", { username: open.username })}</h4>
+          <table className="table">
+            <thead><tr><th>{t("Course")}</th><th>{t("Sections")}</th><th></th></tr></thead>
+            <tbody>
+              {(open.registrations || []).map((id) => {
+                const c = data.courses.find((x) => x.id === id);
+                return (
+                  <tr key={id}>
+                    <td>{id} {c?.name}</td>
+                    <td className="small">{c ? studentSectionIds(open, c).join(", ") : ""}{open.overrides?.[id] ? ` · ${t("override: {reason}", { reason: open.overrides[id] })}` : ""}</td>
+                    <td><button onClick={() => dropFor(open.username, id, enroll.override, enroll.reason)}>{t("Drop")}</button></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div className="form-grid">
+            <select aria-label={t("Course")} value={enroll.courseId} onChange={(e) => setEnroll({ ...enroll, courseId: e.target.value })}>
+              <option value="">{t("Choose a course…")}</option>
+              {data.courses.filter((c) => !(open.registrations || []).includes(c.id)).map((c) => <option key={c.id} value={c.id}>{c.id} {c.name} ({countRegistrations(data, c.id)}/{c.seats})</option>)}
+            </select>
+            <input aria-label={t("Reason (required for an override)")} placeholder={t("Reason (required for an override)")} value={enroll.reason} onChange={(e) => setEnroll({ ...enroll, reason: e.target.value })} />
+          </div>
+          <label><input type="checkbox" style={{ width: "auto" }} checked={enroll.override} onChange={(e) => setEnroll({ ...enroll, override: e.target.checked })} /> {t("Override seat limits, conflicts and the drop deadline")}</label>
+          <div className="row">
+            <button disabled={!enroll.courseId} onClick={() => enrollFor(open.username, enroll.courseId, enroll.override, enroll.reason) && setEnroll(blankEnroll)}>{t("Enroll")}</button>
+            <button onClick={() => setUserPanel(null)}>{t("Close")}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+
+function AuditLog() {
+  const { data, t, l10n, undo } = useContext(AppContext);
+  const [filters, setFilters] = useState({ actor: "", action: "", text: "", from: "", to: "" });
+  const [open, setOpen] = useState(null); // entry id showing before/after
+  const [limit, setLimit] = useState(50);
+  const log = data.auditLog || [];
+  const entries = filterAudit(log, filters, t);
+  const undone = new Set(log.map((e) => e.undoes).filter(Boolean));
+  const set = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+  return (
+    <div className="card">
+      <h3>{t("Audit log")}</h3>
+      <div className="form-grid">
+        <select aria-label={t("Who")} value={filters.actor} onChange={set("actor")}>
+          <option value="">{t("Anyone")}</option>
+          {[...new Set(log.map((e) => e.actor?.username).filter(Boolean))].sort().map((u) => <option key={u} value={u}>{u}</option>)}
+        </select>
+        <select aria-label={t("Action")} value={filters.action} onChange={set("action")}>
+          <option value="">{t("Any action")}</option>
+          {[...new Set(log.map((e) => e.action))].sort().map((a) => <option key={a} value={a}>{a}</option>)}
+        </select>
+        <input aria-label={t("Search (e.g. CSE101, student1)")} placeholder={t("Search (e.g. CSE101, student1)")} value={filters.text} onChange={set("text")} />
+        <input aria-label={t("From (YYYY-MM-DD)")} placeholder={t("From (YYYY-MM-DD)")} value={filters.from} onChange={set("from")} />
+        <input aria-label={t("To (YYYY-MM-DD)")} placeholder={t("To (YYYY-MM-DD)")} value={filters.to} onChange={set("to")} />
+      </div>
+      <table className="table">
+        <thead><tr><th>{t("When")}</th><th>{t("Who")}</th><th>{t("Action")}</th><th>{t("What")}</th><th></th></tr></thead>
+        <tbody>
+          {entries.slice(0, limit).map((e) => (
+            <React.Fragment key={e.id}>
+              <tr>
+                <td className="small">{l10n.dateTime(e.at)}</td>
+                <td>{e.actor ? `${e.actor.username} (${t(e.actor.type)})` : t("system")}</td>
+                <td>{e.action}</td>
+                <td>{t(e.summary, e.params)}{undone.has(e.id) && <span className="small"> · {t("undone")}</span>}<div className="small">{e.changes.map((c) => describeChange(c, t)).join("; ")}</div></td>
+                <td>
+                  <button onClick={() => setOpen(open === e.id ? null : e.id)}>{open === e.id ? t("Hide") : t("Details")}</button>
+                  {!e.undoes && !undone.has(e.id) && <button onClick={() => { if (window.confirm(t('Undo "{summary}"?', { summary: asMessage(e.summary, e.params) }))) undo(e.id); }}>{t("Undo")}</button>}
+                </td>
+              </tr>
+              {open === e.id && (
+                <tr>
+                  <td colSpan={5}>
+                    {auditForDisplay(e).changes.map((c) => (
+                      <div className="row" key={`${c.kind} ${c.id}`} style={{ alignItems: "flex-start" }}>
+                        <pre className="small" style={{ flex: 1 }}>{JSON.stringify(c.before, null, 2)}</pre>
+                        <pre className="small" style={{ flex: 1 }}>{JSON.stringify(c.after, null, 2)}</pre>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+      {!entries.length && <p className="small">{t("No matching entries.")}</p>}
+      {entries.length > limit && <button onClick={() => setLimit(limit + 50)}>{t("Show older ({count} more)", { count: entries.length - limit })}</button>}
+    </div>
+  );
+}
+
+
+function Analytics({ courses, term, onTermChange }) {
+  const { data, t, l10n } = useContext(AppContext);
+  const rates = fillRates(data, courses);
+  const timeline = enrollmentTimeline(data, courses);
+  const heatmap = slotHeatmap(data, courses);
+  const heatDays = l10n.days.filter((d) => heatmap.days.includes(d)); // heatmap columns in the user's week order
+  const pairs = conflictPairs(data, courses).slice(0, 10);
+  const peak = Math.max(1, ...timeline.points.map((p) => p.total));
+  const chart = { width: 600, height: 140 };
+  const x = (i) => (timeline.points.length > 1 ? (i / (timeline.points.length - 1)) * chart.width : chart.width / 2);
+  const y = (total) => chart.height - (total / peak) * chart.height;
+  return (
+    <div className="card">
+      <div className="row space">
+        <h3>{t("Analytics")}</h3>
+        <div className="row">
+          <select aria-label={t("Term")} value={term} onChange={(e) => onTermChange(e.target.value)}>
+            <option value="">{t("All terms")}</option>
+            {(data.terms || []).map((term) => <option key={term.id} value={term.id}>{term.name}</option>)}
+          </select>
+          <button onClick={() => downloadFile(`analytics${term ? "-" + term : ""}.csv`, analyticsToCsv(data, courses), "text/csv")}>{t("Export CSV")}</button>
+        </div>
+      </div>
+
+      <h4>{t("Fill rate")}</h4>
+      <table className="table">
+        <thead><tr><th>{t("Course")}</th><th>{t("Enrolled")}</th><th>{t("Remaining")}</th><th>{t("Waitlisted")}</th><th>{t("Fill rate")}</th></tr></thead>
+        <tbody>
+          {rates.map((r) => (
+            <tr key={r.course.id}>
+              <td>{r.course.id} {r.course.name}</td>
+              <td>{r.taken}/{r.seats}</td>
+              <td>{r.remaining}</td>
+              <td>{r.waitlisted || "—"}</td>
+              <td><div className="bar"><div style={{ width: `${Math.min(100, r.rate * 100)}%` }} /></div> <span className="small">{Math.round(r.rate * 100)}%</span></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h4>{t("Enrollment over time")}</h4>
+      {timeline.points.length ? (
+        <svg viewBox={`-40 -10 ${chart.width + 60} ${chart.height + 30}`} className="chart" role="img" aria-label={t("Enrollment over time")}>
+          <line x1="0" y1={chart.height} x2={chart.width} y2={chart.height} stroke="#ccc" />
+          <text x="-6" y={chart.height} textAnchor="end" fontSize="10">0</text>
+          <text x="-6" y="8" textAnchor="end" fontSize="10">{peak}</text>
+          <polyline fill="none" stroke="#3b82f6" strokeWidth="2" points={timeline.points.map((p, i) => `${x(i)},${y(p.total)}`).join(" ")} />
+          {timeline.points.map((p, i) => <circle key={p.date} cx={x(i)} cy={y(p.total)} r="3" fill="#3b82f6"><title>{p.date}: {p.total}</title></circle>)}
+          <text x="0" y={chart.height + 16} fontSize="10">{timeline.points[0].date}</text>
+          <text x={chart.width} y={chart.height + 16} textAnchor="end" fontSize="10">{timeline.points[timeline.points.length - 1].date}</text>
+        </svg>
+      ) : <p className="small">{t("No dated registrations yet.")}</p>}
+      {timeline.undated > 0 && <p className="small">{t(timeline.undated === 1 ? "{count} registration predates enrollment tracking and counts from the start." : "{count} registrations predate enrollment tracking and count from the start.", { count: timeline.undated })}</p>}
+
+      <h4>{t("Busiest time slots")}</h4>
+      {heatmap.hours.length ? (
+        <table className="table heatmap">
+          <thead><tr><td></td>{heatDays.map((d) => <th scope="col" key={d}>{l10n.dayName(d)}</th>)}</tr></thead>
+          <tbody>
+            {heatmap.hours.map((h) => (
+              <tr key={h}>
+                <th scope="row">{l10n.time(minutesToTime(h * 60))}</th>
+                {heatDays.map((d) => {
+                  const demand = heatmap.cells[`${d} ${h}`] || 0;
+                  return <td key={d} title={t("{day} {time} — {count} seats in demand", { day: l10n.dayName(d, "long"), time: l10n.time(minutesToTime(h * 60)), count: demand })} style={{ background: demand ? `rgba(220, 38, 38, ${0.1 + 0.8 * (demand / heatmap.max)})` : undefined }}>{demand || ""}</td>;
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : <p className="small">{t("No sections scheduled.")}</p>}
+
+      <h4>{t("Courses students can't combine")}</h4>
+      {pairs.length ? (
+        <table className="table">
+          <thead><tr><th>{t("Courses")}</th><th>{t("Students")}</th><th>{t("Attempts")}</th></tr></thead>
+          <tbody>
+            {pairs.map((p) => <tr key={p.courses.join("+")}><td>{p.courses.join(" + ")}</td><td>{p.students}</td><td>{p.attempts}</td></tr>)}
+          </tbody>
+        </table>
+      ) : <p className="small">{t("No registrations have failed on a timetable clash yet.")}</p>}
+    </div>
+  );
+}
+
+
+// Timetable component: the week from the user's first weekday, with blocks sized by their minutes.
+// meetings are sections tagged with their course (see studentMeetings); preview ones are drawn dashed.
+// It is a table with a column per day, and its blocks are a single tab stop moved with the arrow keys.
+function Timetable({ meetings, preview = [], title: heading }) {
+  const { t, l10n, setMessage } = useContext(AppContext);
+  const title = heading ?? t("Timetable");
+  const layout = timetableLayout(meetings, preview);
+  const blocks = l10n.days.flatMap((d) => layout.blocks.filter((b) => b.day === d).sort((x, y) => x.start - y.start || x.column - y.column));
+  const [active, setActive] = useState(0);
+  const buttons = useRef([]);
+  const current = Math.min(active, blocks.length - 1);
+  const hours = [];
+  for (let m = layout.from; m < layout.to; m += 60) hours.push(m);
+  const filename = `${title.replace(/[^\w-]+/g, "-").toLowerCase()}.png`;
+  const label = (b) => [
+    `${b.meeting.course.id} ${b.meeting.course.name}`,
+    t(b.meeting.type),
+    `${l10n.dayName(b.day, "long")} ${l10n.timeRange(b.meeting.start, b.meeting.end)}`,
+    b.meeting.room && t("room {room}", { room: b.meeting.room }),
+    b.preview && t("preview"),
+    b.clash && t("clashes with another course"),
+  ].filter(Boolean).join(", ");
+  const onKeyDown = (e) => {
+    const index = buttons.current.indexOf(e.target);
+    if (index < 0 || index >= blocks.length) return;
+    const next = timetableStep(blocks, l10n.days, index, e.key);
+    if (next === index) return;
+    e.preventDefault();
+    setActive(next);
+    buttons.current[next]?.focus();
+  };
+
+  return (
+    <div className="timetable-print">
+      <div className="timetable">
+        <table className="tt-table" onKeyDown={onKeyDown}>
+          <caption className="sr-only">{title}</caption>
+          <thead>
+            <tr>
+              <td className="hour"></td>
+              {l10n.days.map((d) => <th scope="col" key={d}><abbr title={l10n.dayName(d, "long")}>{l10n.dayName(d)}</abbr></th>)}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td className="hour" aria-hidden="true">
+                {hours.map((m) => <div className="tt-hour" key={m}>{l10n.time(minutesToTime(m))}</div>)}
+              </td>
+              {l10n.days.map((d) => (
+                <td key={d}>
+                  <div className="tt-day" style={{ height: layout.to - layout.from }}>
+                    {blocks.filter((b) => b.day === d).map((b) => {
+                      const index = blocks.indexOf(b);
+                      return (
+                        <button
+                          key={`${b.meeting.course.id}-${b.meeting.id}-${b.preview}`}
+                          ref={(el) => { buttons.current[index] = el; }}
+                          tabIndex={index === current ? 0 : -1}
+                          className={`tt-event${b.preview ? " preview" : ""}${b.clash ? " clash" : ""}`}
+                          style={{ top: b.start - layout.from, height: b.end - b.start, left: `${(b.column / b.columns) * 100}%`, width: `${100 / b.columns}%`, background: courseColor(b.meeting.course.id) }}
+                          aria-label={label(b)}
+                          title={label(b)}
+                          onFocus={() => setActive(index)}
+                          onClick={() => navigate(`/courses/${encodeURIComponent(b.meeting.course.id)}`)}
+                        >
+                          <strong>{b.meeting.course.id}</strong> <span className="small">{t(b.meeting.type)}</span>
+                          <div className="small">{l10n.timeRange(b.meeting.start, b.meeting.end)}{b.meeting.room ? ` · ${b.meeting.room}` : ""}</div>
+                          <div className="small">{b.meeting.course.name}</div>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <div className="row no-print">
+        <button onClick={() => window.print()}>{t("Print")}</button>
+        <button onClick={async () => {
+          const png = await timetablePng(timetableLayout(meetings), title, l10n);
+          if (png) downloadFile(filename, png, "image/png");
+          else setMessage(t("This browser can't draw images, so the timetable could not be exported."));
+        }}>{t("Download PNG")}</button>
       </div>
     </div>
   );
 }
 
+export { noticeText, withRole, reseatStudents, localization, translate, parseDay, dayName, timetableStep, timetableLayout, courseColor, withChangeNotices, withDeadlineNotices, unreadCount, overrideRegistration, withoutStudent, withAudit, undoAudit, filterAudit, matchRoute, nextPath, fillRates, enrollmentTimeline, slotHeatmap, conflictPairs, withConflictAttempt, analyticsToCsv, parseCatalogQuery, catalogSearch, searchCourses, courseSessions, withGrade, withAttendance, attendanceSummary, resourceProblems, parseAvailability, timetableToIcs, parseCsv, toCsv, parseImport, importRecords, coursesToCsv, courseRoster, exportData, migrateData, loadFromStorage, createLocalBackend, createRestBackend, hashPassword, verifyPassword, loadSession, generateSchedules, checkConflict, courseMeetings, deadlineProblem, countRegistrations, courseSections, pickSections, sectionChoiceProblem, promoteWaitlists, waitlistPosition, parseRequirements, missingRequirement };
 export default App;
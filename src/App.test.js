@@ -1,8 +1,806 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import App, { noticeText, withRole, reseatStudents, localization, translate, parseDay, dayName, timetableStep, timetableLayout, courseColor, withChangeNotices, withDeadlineNotices, unreadCount, overrideRegistration, withoutStudent, withAudit, undoAudit, filterAudit, matchRoute, nextPath, fillRates, enrollmentTimeline, slotHeatmap, conflictPairs, withConflictAttempt, analyticsToCsv, parseCatalogQuery, catalogSearch, searchCourses, courseSessions, withGrade, withAttendance, attendanceSummary, resourceProblems, parseAvailability, timetableToIcs, parseCsv, toCsv, parseImport, importRecords, coursesToCsv, courseRoster, exportData, courseSections, migrateData, loadFromStorage, createLocalBackend, createRestBackend, hashPassword, verifyPassword, loadSession, generateSchedules, checkConflict, courseMeetings, deadlineProblem, pickSections, sectionChoiceProblem, promoteWaitlists, waitlistPosition, parseRequirements, missingRequirement } from './App';
+import { createStore, handleRequest } from '../server/mock-server';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+test('opens on the landing page with a way in for every role and the catalog', () => {
+  localStorage.clear();
+  window.history.pushState(null, '', '/');
+  render(<App storage={createLocalBackend()} />);
+  expect(screen.getByRole('heading', { name: 'Course Scheduler', level: 1 })).toBeInTheDocument();
+  // the header offers the logins too, so each appears twice
+  for (const name of ['Student Login', 'Instructor Login', 'Admin Login']) expect(screen.getAllByRole('button', { name })).toHaveLength(2);
+  fireEvent.click(screen.getByRole('button', { name: 'Course Catalog / Descriptions' }));
+  expect(window.location.pathname).toBe('/catalog');
+  window.history.pushState(null, '', '/');
+  localStorage.clear();
+});
+
+const course = (id, days, start, end, seats) => ({ id, name: id, code: id, description: '', days, start, end, dateRange: '', seats });
+const student = (username, registrations = []) => ({ username, password: username, name: username, registrations });
+
+test('promotes waitlisted students in order when a seat frees up', () => {
+  const data = {
+    users: { admins: [], students: [student('a', ['X']), student('b'), student('c')] },
+    courses: [course('X', [1], '09:00', '10:00', 2)],
+    waitlists: { X: ['b', 'c'] },
+  };
+  const next = promoteWaitlists(data);
+  expect(next.users.students.find((s) => s.username === 'b').registrations).toEqual(['X']);
+  expect(next.users.students.find((s) => s.username === 'c').registrations).toEqual([]);
+  expect(waitlistPosition(next, 'X', 'c')).toBe(1);
+});
+
+test('skips a conflicting waitlisted student and notifies them', () => {
+  const data = {
+    users: { admins: [], students: [student('b', ['Y']), student('c')] },
+    courses: [course('X', [1], '09:00', '10:00', 1), course('Y', [1], '09:30', '11:00', 5)],
+    waitlists: { X: ['b', 'c'] },
+  };
+  const next = promoteWaitlists(data);
+  const b = next.users.students.find((s) => s.username === 'b');
+  expect(b.registrations).toEqual(['Y']);
+  expect(b.notices).toHaveLength(1);
+  expect(next.users.students.find((s) => s.username === 'c').registrations).toEqual(['X']);
+  expect(next.waitlists.X).toEqual(['b']);
+
+  // skipped again for the same reason: no second notice
+  const freed = { ...next, users: { ...next.users, students: next.users.students.map((s) => (s.username === 'c' ? { ...s, registrations: [] } : s)) } };
+  const again = promoteWaitlists(freed);
+  expect(again.users.students.find((s) => s.username === 'b')).toBe(freed.users.students.find((s) => s.username === 'b'));
+});
+
+test('parses AND/OR requirement groups and reports the missing one', () => {
+  const algorithms = { ...course('CSE201', [1], '13:00', '14:30', 20), prerequisites: parseRequirements('CSE101, MAT201|MAT200'), corequisites: [['LAB201']] };
+  expect(algorithms.prerequisites).toEqual([['CSE101'], ['MAT201', 'MAT200']]);
+  expect(missingRequirement({ ...student('a'), completed: ['CSE101'] }, algorithms)).toMatch(/prerequisite.*one of MAT201, MAT200/);
+  expect(missingRequirement({ ...student('a'), completed: ['CSE101', 'MAT200'] }, algorithms)).toMatch(/corequisite.*LAB201/);
+  expect(missingRequirement({ ...student('a', ['LAB201']), completed: ['CSE101', 'MAT200'] }, algorithms)).toBeNull();
+});
+
+test('checks seats and conflicts per section and picks a fitting lab', () => {
+  const intro = {
+    ...course('CSE101', [], '', '', 30),
+    sections: [
+      { id: 'L1', type: 'Lecture', days: [1], start: '09:00', end: '10:30', seats: 30 },
+      { id: 'B1', type: 'Lab', days: [5], start: '09:00', end: '11:00', seats: 1 },
+      { id: 'B2', type: 'Lab', days: [5], start: '13:00', end: '15:00', seats: 1 },
+    ],
+  };
+  const friday = course('ART100', [5], '14:00', '15:00', 10);
+  const data = {
+    users: { admins: [], students: [{ ...student('a', ['CSE101']), sections: { CSE101: ['L1', 'B1'] } }, student('b', ['ART100'])] },
+    courses: [intro, friday],
+  };
+  const b = data.users.students[1];
+  expect(sectionChoiceProblem(data, b, intro, ['L1', 'B1'])).toMatch(/No seats available in Lab B1/);
+  expect(sectionChoiceProblem(data, b, intro, ['L1', 'B2'])).toMatch(/schedule conflict/);
+  expect(sectionChoiceProblem(data, b, intro, ['L1'])).toMatch(/one section of each type/);
+  expect(pickSections(data, b, intro)).toBeNull();
+  expect(pickSections(data, student('c'), intro)).toEqual(['L1', 'B2']);
+});
+
+test('re-seats students whose section was removed, or waitlists them when nothing fits', () => {
+  const sections = [
+    { id: 'L1', type: 'Lecture', days: [1], start: '09:00', end: '10:30', seats: 30 },
+    { id: 'B1', type: 'Lab', days: [5], start: '09:00', end: '11:00', seats: 1 },
+    { id: 'B2', type: 'Lab', days: [5], start: '13:00', end: '15:00', seats: 1 },
+    { id: 'B3', type: 'Lab', days: [3], start: '13:00', end: '15:00', seats: 1 },
+  ];
+  const intro = { ...course('CSE101', [], '', '', 30), sections };
+  const data = {
+    users: { admins: [], students: [
+      { ...student('a', ['CSE101']), sections: { CSE101: ['L1', 'B1'] } },
+      { ...student('b', ['CSE101', 'ART100']), sections: { CSE101: ['L1', 'B2'] } },
+      { ...student('c', ['CSE101']), sections: { CSE101: ['L1', 'B3'] } },
+    ] },
+    courses: [intro, course('ART100', [3], '14:00', '15:00', 10)],
+  };
+  const updated = { ...intro, sections: sections.filter((sec) => sec.id !== 'B2' && sec.id !== 'B3') };
+  const next = reseatStudents({ ...data, courses: [updated, data.courses[1]] }, updated, intro);
+  const [a, b, c] = next.users.students;
+  expect(a).toBe(data.users.students[0]);
+  // B1 is the only lab left and a holds its one seat, so b and c can't be placed
+  expect([b.registrations, c.registrations]).toEqual([['ART100'], []]);
+  expect(next.waitlists.CSE101).toEqual(['c', 'b']);
+  expect(noticeText(b.notices[0])).toMatch(/first on its waitlist/);
+
+  const withB4 = { ...intro, sections: [...updated.sections, { id: 'B4', type: 'Lab', days: [4], start: '13:00', end: '15:00', seats: 1 }] };
+  const moved = reseatStudents({ ...data, courses: [withB4, data.courses[1]] }, withB4, intro);
+  expect(moved.users.students.map((st) => st.sections.CSE101)).toEqual([['L1', 'B1'], ['L1', 'B4'], undefined]);
+  expect(moved.users.students[2].registrations).toEqual([]); // B4 went to b, so c waits
+});
+
+test('only flags conflicts between courses whose terms overlap', () => {
+  const terms = [
+    { id: 'W', name: 'Winter', start: '2025-12-01', end: '2026-03-30', addDeadline: '2025-12-14', dropDeadline: '' },
+    { id: 'S', name: 'Spring', start: '2026-04-06', end: '2026-07-31' },
+  ];
+  const winter = { ...course('A', [1], '09:00', '10:00', 10), termId: 'W' };
+  const spring = { ...course('B', [1], '09:00', '10:00', 10), termId: 'S' };
+  const legacy = { ...course('C', [1], '09:30', '10:30', 10), dateRange: '2026-03-01 to 2026-05-01' };
+  const data = { users: { admins: [], students: [] }, courses: [winter, spring, legacy], terms };
+  const [a] = courseMeetings(data, winter);
+  const [b] = courseMeetings(data, spring);
+  const [c] = courseMeetings(data, legacy);
+  expect(checkConflict(a, b)).toBe(false);
+  expect(checkConflict(a, c)).toBe(true);
+  expect(checkConflict(b, c)).toBe(true);
+  expect(deadlineProblem(data, winter, 'add', '2025-12-20')).toMatch(/add deadline for Winter/);
+  expect(deadlineProblem(data, winter, 'drop', '2025-12-20')).toBeNull();
+});
+
+test('generates conflict-free schedules ranked by preferences', () => {
+  const lab = {
+    ...course('LAB', [], '', '', 30),
+    sections: [
+      { id: 'F', type: 'Lab', days: [5], start: '13:00', end: '15:00', seats: 10 },
+      { id: 'T', type: 'Lab', days: [2], start: '13:00', end: '15:00', seats: 10 },
+    ],
+  };
+  const early = course('EARLY', [1], '08:00', '09:00', 10);
+  const clash = course('CLASH', [2], '14:00', '15:00', 10);
+  const data = { users: { admins: [], students: [student('a')] }, courses: [lab, early, clash] };
+  const wishlist = [{ courseId: 'LAB', required: true }, { courseId: 'EARLY', required: false }, { courseId: 'CLASH', required: false }];
+  const { schedules: plans, truncated } = generateSchedules(data, student('a'), wishlist, { noBefore: '10:00', freeFridays: true, compactDays: false });
+  expect(truncated).toBe(false);
+  expect(plans[0].choices).toEqual([{ courseId: 'LAB', sectionIds: ['F'] }, { courseId: 'EARLY', sectionIds: ['L1'] }, { courseId: 'CLASH', sectionIds: ['L1'] }]);
+  expect(plans.every((p) => p.choices.some((ch) => ch.courseId === 'LAB'))).toBe(true);
+  expect(plans.some((p) => p.choices.some((ch) => ch.sectionIds.includes('T')) && p.choices.some((ch) => ch.courseId === 'CLASH'))).toBe(false);
+
+  // an optional course that is early on a Friday is worth less than keeping to both preferences
+  const options = { ...data, courses: [course('FRI', [5], '08:00', '09:00', 10), course('TUE', [2], '12:00', '13:00', 10)] };
+  const optional = [{ courseId: 'FRI', required: false }, { courseId: 'TUE', required: false }];
+  const ranked = (prefs) => generateSchedules(options, student('a'), optional, prefs).schedules.map((p) => [p.choices.map((ch) => ch.courseId).join('+'), p.score]);
+  expect(ranked({ noBefore: '10:00', freeFridays: true, compactDays: false })).toEqual([['TUE', 20], ['FRI+TUE', 15], ['FRI', -5]]);
+  expect(ranked({ noBefore: '', freeFridays: false, compactDays: false })[0]).toEqual(['FRI+TUE', 40]);
+
+  // too many combinations: the search stops and says so
+  const many = Array.from({ length: 14 }, (_, i) => course(`M${i}`, [(i % 5) + 1], `${String(8 + i).padStart(2, '0')}:00`, `${String(8 + i).padStart(2, '0')}:30`, 5));
+  expect(generateSchedules({ ...data, courses: many }, student('a'), many.map((c) => ({ courseId: c.id, required: false })), { noBefore: '', freeFridays: false, compactDays: false }).truncated).toBe(true);
+});
+
+test('hashes passwords with a random salt and verifies them', async () => {
+  const passwordHash = await hashPassword('correct horse', undefined, 1000);
+  const again = await hashPassword('correct horse', undefined, 1000);
+  expect(passwordHash.hash).not.toEqual(again.hash);
+  expect(await verifyPassword({ passwordHash }, 'correct horse')).toBe(true);
+  expect(await verifyPassword({ passwordHash }, 'wrong horse')).toBe(false);
+});
+
+test('drops expired and idle sessions', () => {
+  const now = Date.now();
+  localStorage.setItem('course_scheduler_session', JSON.stringify({ type: 'student', user: { username: 'a' }, expiresAt: now + 1000, lastActive: now }));
+  expect(loadSession(now).user.username).toBe('a');
+  expect(loadSession(now + 2000)).toBeNull();
+  localStorage.setItem('course_scheduler_session', JSON.stringify({ type: 'student', user: { username: 'a' }, expiresAt: now + 10 * 3600000, lastActive: now }));
+  expect(loadSession(now + 31 * 60000)).toBeNull();
+  expect(localStorage.getItem('course_scheduler_session')).toBeNull();
+});
+
+test('syncs changes to the mock REST server and surfaces its seat check', async () => {
+  const store = createStore();
+  const fetchImpl = async (url, { method, body, headers }) => {
+    const { status, body: payload } = handleRequest(store, method, new URL(url).pathname, body && JSON.parse(body), { authorization: headers.Authorization });
+    return { ok: status < 400, status, json: async () => payload };
+  };
+  const backend = createRestBackend('http://mock/api', fetchImpl);
+  expect(await backend.load()).toBeNull();
+
+  const seed = {
+    users: { admins: [{ username: 'root', name: 'Root', password: 'root' }], students: [student('a'), student('b')] },
+    courses: [course('X', [1], '09:00', '10:00', 1)],
+    terms: [],
+  };
+  await backend.save(seed); // an empty server takes its first data from anyone
+  // the seed's plaintext passwords are stored hashed, and hashes are never served
+  expect(store.data.users.students[0]).toEqual(expect.objectContaining({ passwordHash: expect.objectContaining({ iterations: 100000 }) }));
+  expect(store.data.users.students[0].password).toBeUndefined();
+  expect(JSON.stringify(handleRequest(store, 'GET', '/api/users').body)).not.toMatch(/password/);
+  expect(await backend.checkPassword('student', 'a', 'a')).toEqual(expect.objectContaining({ username: 'a', calendarToken: expect.any(String) }));
+  expect([await backend.checkPassword('student', 'a', 'b'), await backend.checkPassword('admin', 'a', 'a')]).toEqual([false, false]);
+  const { password, ...withoutPassword } = seed.users.students[0];
+  await expect(backend.save({ ...seed, users: { ...seed.users, students: [{ ...withoutPassword, name: 'Renamed' }, seed.users.students[1]] } })).rejects.toThrow(/Log in/);
+  const { apiToken } = await backend.checkPassword('admin', 'root', 'root');
+  localStorage.setItem('course_scheduler_session', JSON.stringify({ type: 'admin', user: { username: 'root', apiToken }, expiresAt: Date.now() + 60000, lastActive: Date.now() }));
+  await backend.save({ ...seed, users: { ...seed.users, students: [{ ...withoutPassword, name: 'Renamed' }, seed.users.students[1]] } });
+  expect(await backend.checkPassword('student', 'a', 'a')).toBeTruthy(); // an update without a password keeps the hash
+  const registered = { ...seed, users: { ...seed.users, students: [{ ...student('a', ['X']), sections: { X: ['L1'] } }, student('b')] } };
+  await backend.save(registered);
+  expect((await backend.load()).users.students[0].registrations).toEqual(['X']);
+
+  // another client that still thinks the seat is free
+  const stale = { ...seed, users: { ...seed.users, students: [student('a'), { ...student('b', ['X']), sections: { X: ['L1'] } }] } };
+  const other = createRestBackend('http://mock/api', fetchImpl);
+  await other.load();
+  const term = (id) => ({ id, name: id, start: '2026-01-05', end: '2026-04-30', holidays: [] });
+  await expect(other.save({ ...registered, terms: [term('T0')], users: { ...registered.users, students: [registered.users.students[0], stale.users.students[1]] } })).rejects.toThrow(/No seats available in X/);
+  expect(store.data.terms).toEqual([]); // a refused save writes none of its changes
+
+  // the rest of the data (terms, the audit log, ...) can't be overwritten from a stale copy either
+  await Promise.all([backend.load(), other.load()]);
+  await backend.save({ ...registered, terms: [term('T1')] });
+  await expect(other.save({ ...registered, terms: [term('T2')] })).rejects.toThrow(/changed elsewhere first/);
+  expect((await other.load()).terms).toEqual([term('T1')]);
+  await other.save({ ...registered, terms: [term('T1'), term('T2')] });
+  expect(store.data.terms).toEqual([term('T1'), term('T2')]);
+  localStorage.clear();
+});
+
+test('takes writes on the mock server only from users allowed to make them', () => {
+  const store = createStore({ users: { admins: [{ username: 'root', password: 'root' }], students: [student('a'), student('b')], instructors: [{ username: 'ada', password: 'ada' }] }, courses: [course('X', [1], '09:00', '10:00', 5)] });
+  const as = (list, username) => ({ authorization: `Bearer ${handleRequest(store, 'POST', '/api/login', { list, username, password: username }).body.apiToken}` });
+  const [root, a, ada] = [as('admins', 'root'), as('students', 'a'), as('instructors', 'ada')];
+  const put = (list, user, headers) => handleRequest(store, 'PUT', `/api/users/${list}/${user.username}`, user, headers).status;
+  const b = () => handleRequest(store, 'GET', '/api/users').body.students[1];
+
+  // nobody can make themselves an admin, raise seats or delete users without an admin's token
+  expect(put('admins', { username: 'me', password: 'me' })).toBe(403);
+  expect(put('admins', { username: 'me', password: 'me' }, a)).toBe(403);
+  expect(handleRequest(store, 'POST', '/api/login', { list: 'admins', username: 'me', password: 'me' }).status).toBe(401);
+  expect(handleRequest(store, 'PUT', '/api/courses/X', { ...course('X', [1], '09:00', '10:00', 500) }, a).status).toBe(403);
+  expect(handleRequest(store, 'DELETE', '/api/users/admins/root', undefined, a).status).toBe(403);
+  expect(handleRequest(store, 'DELETE', '/api/users/students/b', undefined, root).status).toBe(204);
+  expect(put('students', { ...student('b'), name: 'B' }, root)).toBe(200);
+
+  // a student sets their own password but nobody else's, and only adds notices to other inboxes
+  expect(put('students', { ...b(), password: 'mine' }, a)).toBe(403);
+  expect(put('students', { ...b(), notices: [{ id: 'n1', text: 'hi' }] }, a)).toBe(200);
+  expect(put('students', { ...b(), notices: [] }, a)).toBe(403);
+  expect(put('students', { username: 'a', name: 'a', password: 'new one' }, a)).toBe(200);
+  expect(handleRequest(store, 'POST', '/api/login', { list: 'students', username: 'a', password: 'new one' }).status).toBe(200);
+  expect(put('students', { ...b(), completed: ['X'] }, a)).toBe(403);
+  expect(put('students', { ...b(), completed: ['X'] }, ada)).toBe(200); // an instructor's grade
+  expect(handleRequest(store, 'POST', '/api/registrations', { username: 'b', courseId: 'X', sectionIds: ['L1'] }, a).status).toBe(403);
+  expect(handleRequest(store, 'POST', '/api/registrations', { username: 'a', courseId: 'X', sectionIds: ['L1'] }, a).status).toBe(201);
+  expect(handleRequest(store, 'PUT', '/api/meta', { terms: [] }).status).toBe(403);
+});
+
+test('counts failed logins on the mock server and refuses locked and deactivated accounts', async () => {
+  const store = createStore({ users: { admins: [], students: [student('a'), { ...student('gone'), deactivated: true }] }, courses: [] });
+  const fetchImpl = async (url, { method, body, headers }) => {
+    const { status, body: payload } = handleRequest(store, method, new URL(url).pathname, body && JSON.parse(body), { authorization: headers.Authorization });
+    return { ok: status < 400, status, json: async () => payload };
+  };
+  const backend = createRestBackend('http://mock/api', fetchImpl);
+  for (let i = 0; i < 4; i++) expect(await backend.checkPassword('student', 'a', 'wrong')).toBe(false);
+  expect(await backend.checkPassword('student', 'a', 'wrong')).toEqual({ refused: 'locked', lockedUntil: expect.any(Number) });
+  expect(await backend.checkPassword('student', 'a', 'a')).toEqual(expect.objectContaining({ refused: 'locked' })); // even the right password
+  expect(await backend.checkPassword('student', 'gone', 'gone')).toEqual(expect.objectContaining({ refused: 'deactivated' }));
+  // a client can't unlock an account by writing the record
+  handleRequest(store, 'PUT', '/api/users/students/a', { username: 'a', name: 'a', failedLogins: 0, lockedUntil: null });
+  expect(store.data.users.students[0].lockedUntil).toBeGreaterThan(Date.now());
+});
+
+test('migrates payloads saved before schema versioning', () => {
+  const legacy = {
+    users: { admins: [{ username: 'admin1', password: 'admin1' }], students: [{ username: 's', password: 's', registrations: ['CSE101'] }] },
+    courses: [{ id: 'CSE101', name: 'Intro', days: ['Mon', 'Wed'], start: '09:00', end: '10:30', dateRange: '2025-12-01 to 2026-03-30', seats: 30 }],
+  };
+  const data = migrateData(legacy);
+  expect(data.schemaVersion).toBeGreaterThan(0);
+  expect(data.courses[0].sections).toEqual([{ id: 'L1', type: 'Lecture', days: [1, 3], start: '09:00', end: '10:30', room: '', seats: 30 }]);
+  expect(data.terms).toEqual([expect.objectContaining({ start: '2025-12-01', end: '2026-03-30' })]);
+  expect(data.courses[0].termId).toBe(data.terms[0].id);
+  expect(data.waitlists).toEqual({});
+  expect(() => migrateData({ ...data, schemaVersion: data.schemaVersion + 1 })).toThrow(/newer version/);
+});
+
+test('quarantines unreadable stored data instead of discarding it', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  localStorage.setItem('course_scheduler_data', '{"users": broken');
+  const data = loadFromStorage();
+  expect(data.recovery.backupKey).toBe('course_scheduler_data_backup');
+  expect(localStorage.getItem('course_scheduler_data_backup')).toBe('{"users": broken');
+  localStorage.setItem('course_scheduler_data', JSON.stringify({ users: { students: [] }, courses: [] }));
+  expect(loadFromStorage().recovery.reason).toMatch(/users.admins/);
+  localStorage.clear();
+  console.error.mockRestore();
+});
+
+test('parses quoted CSV fields and round-trips courses through the export', () => {
+  const csv = toCsv(['id', 'description'], [{ id: 'A', description: 'Says "hi", then\nleaves' }]);
+  expect(parseCsv(csv)).toEqual([{ row: 2, values: { id: 'A', description: 'Says "hi", then\nleaves' } }]);
+
+  const data = migrateData({ users: { admins: [], students: [] }, courses: [] });
+  const source = migrateData({ users: { admins: [], students: [] }, courses: [course('X', [1, 3], '09:00', '10:00', 5)] });
+  const entries = parseImport('courses', coursesToCsv(source.courses), 'courses.csv');
+  const { data: next, accepted } = importRecords(data, 'courses', entries);
+  expect(accepted).toBe(1);
+  expect(courseSections(next.courses[0])).toEqual([expect.objectContaining({ id: 'L1', days: [1, 3], start: '09:00', end: '10:00' })]);
+});
+
+test('reports bad rows and imports only the valid ones', () => {
+  const data = migrateData({ users: { admins: [], students: [student('a', ['X'])] }, courses: [course('X', [1], '09:00', '10:00', 1)] });
+  const courses = parseImport('courses', [
+    'id,name,seats,section,type,days,start,end',
+    'X,Dup,10,L1,Lecture,Mon,11:00,12:00',
+    'Y,Bad time,10,L1,Lecture,Tue,9am,10:00',
+    'Z,Bad day,10,L1,Lecture,Funday,11:00,12:00',
+    'W,Two sections,10,L1,Lecture,Mon,09:30,10:30',
+    'W,Two sections,10,B1,Lab,Fri,13:00,15:00',
+  ].join('\n'));
+  const imported = importRecords(data, 'courses', courses);
+  expect(imported.report.map((r) => [r.rows, r.errors.length])).toEqual([[[2], 1], [[3], 1], [[4], 1], [[5, 6], 0]]);
+  expect(imported.report[0].errors[0]).toBe('Course with same ID already exists.');
+  expect(imported.report[1].errors[0]).toMatch(/HH:MM/);
+  expect(imported.report[2].errors[0]).toMatch(/unknown day "Funday"/);
+
+  const students = importRecords(imported.data, 'students', parseImport('students', 'username,name,password\nb,Bee,longenough\nb,Again,longenough\nc,Cee,short'));
+  expect(students.report.map((r) => r.errors)).toEqual([[], ['Student username taken'], ['Password must be at least 8 characters']]);
+
+  const enrollments = importRecords(students.data, 'enrollments', parseImport('enrollments', JSON.stringify([
+    { username: 'b', courseId: 'X' },
+    { username: 'a', courseId: 'W' },
+    { username: 'b', courseId: 'W' },
+  ])));
+  expect(enrollments.report[0].errors).toEqual(['X is full (1 seats)']);
+  expect(enrollments.report[1].errors[0]).toMatch(/conflict/);
+  expect(enrollments.report[2].errors).toEqual([]);
+  expect(courseRoster(enrollments.data, enrollments.data.courses.find((c) => c.id === 'W')).map((r) => r.username)).toEqual(['b']);
+  expect(exportData(enrollments.data)).not.toMatch(/longenough|passwordHash/);
+});
+
+test('exports a weekly calendar with holidays excluded and stable UIDs', () => {
+  const data = migrateData({
+    users: { admins: [], students: [student('s', ['A'])] },
+    courses: [{ ...course('A', [1, 3], '09:00', '10:30', 5), name: 'Algebra; part one, with a deliberately long title to force folding', dateRange: '', termId: 'T' }],
+  });
+  data.terms = [{ id: 'T', name: 'Term', start: '2025-12-03', end: '2026-01-31', holidays: ['2025-12-24', '2025-12-25'] }];
+  const me = data.users.students[0];
+  const { ics, skipped } = timetableToIcs(data, me, new Date('2025-11-01T00:00:00Z'));
+  expect(skipped).toEqual([]);
+  expect(ics).toContain('DTSTART:20251203T090000\r\n'); // the term starts on a Wednesday
+  expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20260131T235900\r\n');
+  expect(ics).toContain('EXDATE:20251224T090000\r\n'); // the 25th is a Thursday
+  expect(ics).toContain('SUMMARY:A Lecture L1: Algebra\\; part one\\, with');
+  expect(ics.split('\r\n').every((line) => line.length <= 75)).toBe(true);
+  expect(timetableToIcs(data, me).ics.match(/UID:.*/g)).toEqual(ics.match(/UID:.*/g));
+
+  // the feed needs the student's token, which the server hands out when they log in
+  const store = createStore(data);
+  expect(handleRequest(store, 'GET', '/api/calendar/s.ics').status).toBe(404);
+  const { calendarToken } = handleRequest(store, 'POST', '/api/login', { list: 'students', username: 's', password: 's' }).body;
+  expect(handleRequest(store, 'GET', '/api/calendar/s.ics?token=guess').status).toBe(404);
+  expect(JSON.stringify(handleRequest(store, 'GET', '/api/users').body)).not.toContain(calendarToken);
+  const feed = handleRequest(store, 'GET', `/api/calendar/s.ics?token=${calendarToken}`);
+  expect(feed.type).toMatch(/text\/calendar/);
+  expect(feed.body.replace(/DTSTAMP:.*/, '')).toBe(ics.replace(/DTSTAMP:.*/, ''));
+});
+
+test('rejects double-booked instructors and rooms and warns outside availability', () => {
+  const data = migrateData({
+    users: { admins: [], students: [] },
+    courses: [{ ...course('A', [1], '09:00', '10:30', 30), instructorId: 'ada', sections: [{ id: 'L1', type: 'Lecture', days: [1], start: '09:00', end: '10:30', room: 'Hall', seats: '' }] }],
+  });
+  data.users.instructors = [{ username: 'ada', name: 'Ada', maxCourses: 1, availability: parseAvailability('Mon 09:00-12:00, Tue 09:00-12:00') }];
+  data.rooms = [{ id: 'Hall', name: 'Hall', capacity: 40, availability: [] }, { id: 'Small', name: 'Small', capacity: 10, availability: [] }];
+  const draft = (days, start, end, room, extra = {}) => ({ ...course('B', days, start, end, 20), sections: [{ id: 'L1', type: 'Lecture', days, start, end, room, seats: '' }], ...extra });
+
+  expect(resourceProblems(data, draft([1], '10:00', '11:00', 'Small')).errors).toEqual(['B L1 has 20 seats but Small holds 10']);
+  expect(resourceProblems(data, draft([1], '10:00', '11:00', 'Hall')).errors).toEqual(['Hall is already booked for A L1 during B L1']);
+  expect(resourceProblems(data, draft([1], '10:00', '11:00', '', { instructorId: 'ada' })).errors).toEqual(['Ada is already teaching A L1 during B L1']);
+  expect(resourceProblems(data, draft([2], '11:00', '13:00', 'Hall', { instructorId: 'ada' }))).toEqual({
+    errors: [],
+    warnings: ["B L1 is outside Ada's availability", 'Ada would teach 2 courses at once (limit 1)'],
+  });
+  // different terms never clash
+  data.terms = [{ id: 'W', start: '2025-12-01', end: '2026-03-30', holidays: [] }, { id: 'S', start: '2026-04-06', end: '2026-07-31', holidays: [] }];
+  data.courses[0].termId = 'W';
+  expect(resourceProblems(data, draft([1], '10:00', '11:00', 'Hall', { termId: 'S' })).errors).toEqual([]);
+  expect(parseAvailability('Mon 9:00-8:00')).toBeNull();
+  expect(parseAvailability('Tue 9:00-12:30')).toEqual([{ day: 2, start: '09:00', end: '12:30' }]);
+});
+
+test('lists class sessions, tallies attendance and turns passing grades into completed courses', () => {
+  const data = migrateData({
+    users: { admins: [], students: [student('s', ['A']), { ...student('old'), completed: ['A'] }] },
+    courses: [{ ...course('A', [1, 3], '09:00', '10:00', 5), termId: 'T' }, { ...course('B', [2], '09:00', '10:00', 5), prerequisites: [['A']] }],
+  });
+  data.terms = [{ id: 'T', name: 'Term', start: '2025-12-01', end: '2025-12-10', holidays: ['2025-12-03'] }];
+  expect(courseSessions(data, data.courses[0]).map((s) => s.key)).toEqual(['2025-12-01 L1', '2025-12-08 L1', '2025-12-10 L1']);
+
+  let next = withAttendance(data, 'A', '2025-12-01 L1', { s: 'present' });
+  next = withAttendance(next, 'A', '2025-12-08 L1', { s: 'absent' });
+  expect(attendanceSummary(next, 'A', 's')).toEqual({ attended: 1, taken: 2 });
+
+  const [a] = next.courses;
+  next = withGrade(next, a, 's', 'B');
+  const s = next.users.students[0];
+  expect(s.history).toEqual([{ courseId: 'A', termId: 'T', grade: 'B' }]);
+  expect(missingRequirement(s, next.courses[1])).toBeNull();
+  expect(withGrade(next, a, 's', 'F').users.students[0].completed).toEqual([]);
+  // clearing a grade never recorded here keeps an earlier completion
+  expect(withGrade(next, a, 'old', '').users.students[1].completed).toEqual(['A']);
+});
+
+test('searches, filters, sorts and pages the catalog from a shareable query', () => {
+  const query = parseCatalogQuery('?q=intro&open=1&sort=seats&dir=desc&page=2');
+  expect(query).toEqual(expect.objectContaining({ q: 'intro', open: true, fits: false, sort: 'seats', dir: 'desc', page: 2 }));
+  expect(parseCatalogQuery(catalogSearch(query))).toEqual(query);
+  expect(catalogSearch(parseCatalogQuery('?sort=bogus'))).toBe('');
+
+  const many = Array.from({ length: 25 }, (_, i) => ({ ...course(`C${i + 1}`, [i % 2 ? 2 : 1], `${String(8 + (i % 5)).padStart(2, '0')}:00`, `${String(9 + (i % 5)).padStart(2, '0')}:00`, 2), description: i === 3 ? 'Graph theory' : '' }));
+  const data = migrateData({ users: { admins: [], students: [student('s', ['C1']), student('t', ['C2'])] }, courses: many });
+  data.users.students[1].registrations = ['C2'];
+  data.courses[1].seats = 1;
+  const me = data.users.students[0];
+  const base = parseCatalogQuery('');
+  const ids = (q) => searchCourses(data, data.courses, { ...base, ...q }, me).items.map((c) => c.id);
+
+  expect(searchCourses(data, data.courses, base, me)).toEqual(expect.objectContaining({ page: 1, pages: 3, total: 25 }));
+  expect(ids({ page: 3 })).toEqual(['C21', 'C22', 'C23', 'C24', 'C25']); // numeric-aware ID order
+  expect(ids({ q: 'graph' })).toEqual(['C4']);
+  expect(ids({ day: 2, from: '10:00', to: '12:00' })).toEqual(['C4', 'C8', 'C14', 'C18', 'C24']);
+  expect(ids({ open: true, q: 'C2' }).includes('C2')).toBe(false);
+  expect(ids({ fits: true, day: 1, to: '09:00' })).toEqual(['C1']); // C6, C11, ... clash with C1
+  expect(ids({ sort: 'time', dir: 'desc' }).slice(0, 2)).toEqual(['C5', 'C10']);
+});
+
+test('maps URLs to pages and only follows local return paths', () => {
+  expect(matchRoute('/')).toEqual({ name: 'home' });
+  expect(matchRoute('/courses/CSE%20101')).toEqual({ name: 'course', courseId: 'CSE 101' });
+  expect(matchRoute('/login/instructor')).toEqual({ name: 'login', role: 'instructor' });
+  expect(matchRoute('/admin/')).toEqual({ name: 'dashboard', role: 'admin' });
+  expect(matchRoute('/login/root').name).toBe('not-found');
+  expect(nextPath('?next=%2Fcourses%2FCSE101', '/student')).toBe('/courses/CSE101');
+  expect(nextPath('?next=%2F%2Fevil.example', '/student')).toBe('/student');
+  expect(nextPath('', '/admin')).toBe('/admin');
+});
+
+test('summarizes fill rates, enrollment over time, busy slots and clashing pairs', () => {
+  let data = migrateData({
+    users: { admins: [], students: [student('a', ['X', 'Y']), student('b', ['X']), student('c')] },
+    courses: [course('X', [1], '09:00', '10:30', 2), course('Y', [2], '14:00', '15:00', 4), course('Z', [1], '10:00', '11:00', 5)],
+    waitlists: { X: ['c'] },
+  });
+  data.users.students[0].registeredAt = { X: '2026-01-02T10:00:00.000Z', Y: '2026-01-05T08:00:00.000Z' };
+  expect(fillRates(data, data.courses).map((r) => [r.course.id, r.taken, r.remaining, r.waitlisted])).toEqual([['X', 2, 0, 1], ['Y', 1, 3, 0], ['Z', 0, 5, 0]]);
+  expect(enrollmentTimeline(data, data.courses)).toEqual({ undated: 1, points: [{ date: '2026-01-02', total: 2 }, { date: '2026-01-05', total: 3 }] });
+
+  const heatmap = slotHeatmap(data, data.courses);
+  expect(heatmap.hours).toEqual([9, 10, 11, 12, 13, 14]);
+  expect(heatmap.cells['1 10']).toBe(3); // X's 2 students and 1 waitlisted, Z is empty
+  expect(heatmap.max).toBe(3);
+
+  data = withConflictAttempt(data, 'a', 'Z', ['X']);
+  data = withConflictAttempt(data, 'a', 'Z', ['X']);
+  data = withConflictAttempt(data, 'b', 'Z', ['X']);
+  expect(conflictPairs(data, data.courses)).toEqual([{ courses: ['X', 'Z'], students: 2, attempts: 3 }]);
+  expect(analyticsToCsv(data, data.courses)).toContain('X,X,2,2,0,100%,1');
+});
+
+test('logs changed records and undoes a course deletion with its registrations', () => {
+  const data = migrateData({
+    users: { admins: [{ username: 'root', name: 'Root' }], students: [student('a', ['X']), student('b', ['X', 'Y'])] },
+    courses: [course('X', [1], '09:00', '10:00', 5), course('Y', [2], '09:00', '10:00', 5), course('Z', [3], '09:00', '10:00', 5)],
+  });
+  const actor = { type: 'admin', username: 'root' };
+  const drop = (s) => ({ ...s, registrations: s.registrations.filter((id) => id !== 'X') });
+  const deleted = withAudit(data, { ...data, courses: data.courses.slice(1), users: { ...data.users, students: data.users.students.map(drop) } }, { id: 'e1', actor, action: 'course.delete', summary: 'Deleted course X' }, '2026-03-01T10:00:00.000Z');
+  const [entry] = deleted.auditLog;
+  expect(entry.changes.map((c) => `${c.kind} ${c.id}`)).toEqual(['course X', 'student a', 'student b']);
+  expect(entry.changes[0]).toEqual(expect.objectContaining({ before: data.courses[0], after: null }));
+  // edits keep only the fields that changed, and user records never their credentials
+  expect(entry.changes[1]).toEqual({ kind: 'student', id: 'a', before: { registrations: ['X'] }, after: { registrations: [] } });
+  const hashed = withAudit(data, { ...data, users: { ...data.users, students: data.users.students.map((s) => ({ ...s, password: undefined, passwordHash: { hash: 'h' } })) } }, { id: 'e0' });
+  expect(hashed.auditLog).toEqual([]);
+  const created = withAudit(data, { ...data, users: { ...data.users, admins: [...data.users.admins, { username: 'new', passwordHash: { hash: 'h' }, failedLogins: 0 }] } }, { id: 'e0' });
+  expect(created.auditLog[0].changes[0].after).toEqual({ username: 'new' });
+  expect(undoAudit(created, created.auditLog[0]).data.users.admins.map((u) => u.username)).toEqual(['root']);
+  // a deleted account comes back without its password, so it is flagged for a reset
+  const removed = withAudit(created, { ...created, users: { ...created.users, admins: created.users.admins.slice(0, 1) } }, { id: 'e9' });
+  const back = undoAudit(removed, removed.auditLog[1]);
+  expect(back.restored).toEqual(['new']);
+  expect(back.data.users.admins[1]).toEqual({ username: 'new', mustChangePassword: true });
+  expect(undoAudit(created, created.auditLog[0]).restored).toEqual([]);
+  let capped = data;
+  for (let i = 0; i < 1005; i++) capped = withAudit(capped, { ...capped, courses: capped.courses.map((c, j) => (j ? c : { ...c, seats: i })) }, { id: `n${i}` });
+  expect(capped.auditLog.map((e) => e.id).slice(0, 1)).toEqual(['n5']);
+  expect(capped.auditLog).toHaveLength(1000);
+  expect(withAudit(deleted, deleted, { id: 'e2' })).toBe(deleted); // no-op actions leave no entry
+
+  // b registered for Z afterwards; undo keeps that and restores X in its old place
+  const later = { ...deleted, users: { ...deleted.users, students: deleted.users.students.map((s) => (s.username === 'b' ? { ...s, registrations: [...s.registrations, 'Z'] } : s)) } };
+  const restored = undoAudit(later, entry).data;
+  expect(restored.courses.map((c) => c.id)).toEqual(['Y', 'Z', 'X']);
+  expect(restored.users.students.map((s) => s.registrations)).toEqual([['X'], ['X', 'Y', 'Z']]);
+
+  const renamed = { ...later, courses: later.courses.map((c) => ({ ...c })).concat([{ ...data.courses[0], name: 'Recreated' }]) };
+  expect(undoAudit(renamed, entry).error).toMatch(/course X was changed again since/);
+
+  expect(filterAudit(deleted.auditLog, { actor: 'root', text: 'student b' })).toHaveLength(1);
+  expect(filterAudit(deleted.auditLog, { from: '2026-03-02' })).toEqual([]);
+});
+
+test('lets admins enroll past seat limits and conflicts, and deleting a student frees their seats', () => {
+  const data = migrateData({
+    users: { admins: [], students: [student('a', ['X']), student('b', ['Y']), student('c')] },
+    courses: [course('X', [1], '09:00', '10:00', 1), course('Y', [1], '09:30', '10:30', 5)],
+    waitlists: { X: ['c', 'b'] },
+  });
+  const forced = overrideRegistration(data, 'b', 'X', 'Dean approved');
+  expect(forced.data.users.students[1]).toEqual(expect.objectContaining({ registrations: ['Y', 'X'], overrides: { X: 'Dean approved' } }));
+  expect(forced.data.waitlists.X).toEqual(['c']);
+  expect(overrideRegistration(forced.data, 'b', 'X').error).toMatch(/already registered/);
+  expect(overrideRegistration(data, 'nobody', 'X').error).toMatch(/Unknown student/);
+
+  // the mock server honours the override instead of rejecting the overbooked seat
+  // only an admin's token can grant one; a client writing the student record can't
+  const store = createStore({ ...data, users: { ...data.users, admins: [{ username: 'root', password: 'root' }] } });
+  const { apiToken } = handleRequest(store, 'POST', '/api/login', { list: 'admins', username: 'root', password: 'root' }).body;
+  const asAdmin = { authorization: `Bearer ${apiToken}` };
+  const post = () => handleRequest(store, 'POST', '/api/registrations', { username: 'b', courseId: 'X', sectionIds: ['L1'] }, asAdmin);
+  handleRequest(store, 'PUT', '/api/users/students/b', forced.data.users.students[1], asAdmin);
+  expect(store.data.users.students[1].overrides).toBeUndefined();
+  expect(post().status).toBe(409);
+  expect(handleRequest(store, 'PUT', '/api/overrides/b/X', { reason: 'Dean approved' }).status).toBe(403);
+  expect(handleRequest(store, 'PUT', '/api/overrides/b/X', { reason: 'Dean approved' }, asAdmin).status).toBe(200);
+  expect(post().status).toBe(201);
+  handleRequest(store, 'DELETE', '/api/overrides/b/X', undefined, asAdmin);
+  expect(post().status).toBe(409);
+
+  const removed = promoteWaitlists(withoutStudent(data, 'a'));
+  expect(removed.users.students.map((s) => s.username)).toEqual(['b', 'c']);
+  expect(removed.users.students[1].registrations).toEqual(['X']); // c moves up from the waitlist
+  expect(removed.waitlists).toEqual({ X: ['b'] });
+});
+
+test('notifies students about moved sections, new clashes, cancellations, waitlist moves and deadlines', () => {
+  const data = migrateData({
+    users: { admins: [], students: [student('a', ['X', 'Y']), student('b', ['X']), student('c'), student('d')] },
+    courses: [{ ...course('X', [1], '09:00', '10:00', 2), termId: 'T' }, course('Y', [1], '11:00', '12:00', 5)],
+    terms: [{ id: 'T', name: 'Term', start: '2026-01-05', end: '2026-04-30', holidays: [], addDeadline: '2026-01-12', dropDeadline: '2026-02-01' }],
+    waitlists: { X: ['c', 'd'] },
+  });
+  const moved = { ...data, courses: data.courses.map((c) => (c.id === 'X' ? { ...c, sections: [{ ...c.sections[0], start: '11:00', end: '12:00' }] } : c)) };
+  const notified = withChangeNotices(data, moved);
+  const notices = (next, username) => next.users.students.find((s) => s.username === username).notices;
+  expect(notices(notified, 'a')).toEqual([expect.objectContaining({ kind: 'conflict', courseId: 'X', read: false })]);
+  expect(noticeText(notices(notified, 'a')[0])).toBe('X changed: Lecture L1: Mon 11:00–12:00. It now clashes with Y in your timetable.');
+  // notices are kept as templates and worded in the reader's language
+  const es = localization({ language: 'es', hourCycle: '24', weekStart: '' }, ['es']);
+  expect(noticeText(notices(notified, 'a')[0], es)).toBe('X cambió: Clase teórica L1: lun 11:00–12:00. Ahora choca con Y en tu horario.');
+  expect(notices(notified, 'b')).toEqual([expect.objectContaining({ kind: 'change' })]);
+  expect(unreadCount(notified.users.students[0])).toBe(1);
+
+  const cancelled = withChangeNotices(data, { ...data, courses: [data.courses[1]], waitlists: { X: ['d'] } });
+  expect(notices(cancelled, 'b').map((n) => n.kind)).toEqual(['cancelled']);
+  expect(notices(cancelled, 'c').map((n) => n.kind)).toEqual(['cancelled']);
+  expect(notices(withChangeNotices(data, { ...data, waitlists: { X: ['d'] } }), 'd').map((n) => noticeText(n))).toEqual(['You moved up to #1 on the X waitlist.']);
+
+  const reminded = withDeadlineNotices(data, 'b', '2026-01-10');
+  expect(notices(reminded, 'b').map((n) => n.key)).toEqual(['deadline:T:add']);
+  expect(withDeadlineNotices(reminded, 'b', '2026-01-11')).toBe(reminded); // only once
+  expect(withDeadlineNotices(data, 'd', '2026-01-10')).not.toBe(data); // waitlisted counts too
+  expect(withDeadlineNotices(data, 'b', '2026-01-01')).toBe(data);
+});
+
+test('lays out timetable blocks by minute with overlapping courses side by side', () => {
+  const data = migrateData({ users: { admins: [], students: [] }, courses: [course('A', [1, 3], '09:00', '10:30'), course('B', [1], '10:00', '11:00'), course('C', [1], '10:30', '11:15'), course('D', [1], '12:00', '12:50')] });
+  const [a, b, c, d] = data.courses.map((x) => courseMeetings(data, x)[0]);
+  const layout = timetableLayout([a, b, c], [d]);
+  expect([layout.from, layout.to]).toEqual([9 * 60, 13 * 60]);
+  const mon = layout.blocks.filter((x) => x.day === 1).map(({ meeting, start, end, column, columns, clash, preview }) => [meeting.course.id, start, end, column, columns, clash, preview]);
+  expect(mon).toEqual([
+    ['A', 540, 630, 0, 2, true, false],
+    ['B', 600, 660, 1, 2, true, false],
+    ['C', 630, 675, 0, 2, true, false], // reuses A's column once it ends
+    ['D', 720, 770, 0, 1, false, true],
+  ]);
+  expect(layout.blocks.filter((x) => x.day === 3)).toEqual([expect.objectContaining({ start: 540, end: 630, columns: 1, clash: false })]);
+  expect(timetableLayout([])).toEqual({ from: 480, to: 1080, blocks: [] });
+  expect(courseColor('CSE101')).toBe(courseColor('CSE101'));
+  expect(courseColor('CSE101')).not.toBe(courseColor('CSE102'));
+});
+
+test('refuses saves from a tab with stale data and tells the other tabs about changes', async () => {
+  localStorage.clear();
+  const seed = migrateData({ users: { admins: [], students: [student('a'), student('b')] }, courses: [course('X', [1], '09:00', '10:00', 1)] });
+  const enroll = (data, username) => ({ ...data, users: { ...data.users, students: data.users.students.map((s) => (s.username === username ? { ...s, registrations: ['X'] } : s)) } });
+  const tabA = createLocalBackend();
+  const tabB = createLocalBackend();
+  await tabA.save(seed);
+  tabB.peek();
+  const onChange = jest.fn();
+  const unsubscribe = tabA.subscribe(onChange);
+
+  // both tabs saw the last seat as free; the second one to save loses
+  await tabB.save(enroll(seed, 'b'));
+  window.dispatchEvent(new StorageEvent('storage', { key: 'course_scheduler_data', newValue: localStorage.getItem('course_scheduler_data') }));
+  expect(onChange).toHaveBeenCalledTimes(1);
+  await expect(tabA.save(enroll(seed, 'a'))).rejects.toThrow(/another tab/);
+
+  const latest = await tabA.load();
+  expect(latest.users.students.map((s) => s.registrations)).toEqual([[], ['X']]);
+  await tabA.save(latest); // saving what is already stored is not a conflict
+  await tabA.save({ ...latest, waitlists: { X: ['a'] } });
+  await expect(tabB.save(enroll(seed, 'b'))).rejects.toThrow(/another tab/);
+  unsubscribe();
+  localStorage.clear();
+});
+
+test('moves between timetable blocks with the arrow keys', () => {
+  const data = migrateData({ users: { admins: [], students: [] }, courses: [course('A', [1, 3], '09:00', '10:00'), course('B', [1], '13:00', '14:00'), course('C', [3], '14:00', '15:00')] });
+  const days = [7, 1, 2, 3, 4, 5, 6];
+  const layout = timetableLayout(data.courses.flatMap((x) => courseMeetings(data, x)));
+  const blocks = days.flatMap((d) => layout.blocks.filter((x) => x.day === d).sort((x, y) => x.start - y.start));
+  const at = (i) => `${blocks[i].meeting.course.id} ${blocks[i].day}`;
+  expect(blocks.map((_, i) => at(i))).toEqual(['A 1', 'B 1', 'A 3', 'C 3']);
+  expect(at(timetableStep(blocks, days, 0, 'ArrowDown'))).toBe('B 1');
+  expect(at(timetableStep(blocks, days, 1, 'ArrowRight'))).toBe('C 3'); // closest start on the next day with classes
+  expect(at(timetableStep(blocks, days, 2, 'ArrowLeft'))).toBe('A 1');
+  expect(timetableStep(blocks, days, 0, 'ArrowLeft')).toBe(0);
+  expect(timetableStep(blocks, days, 3, 'ArrowDown')).toBe(3);
+  expect(timetableStep(blocks, days, 1, 'Home')).toBe(0);
+  expect(timetableStep(blocks, days, 1, 'Enter')).toBe(1);
+});
+
+test('translates text and formats days and times for the chosen language, clock and week', () => {
+  expect(translate('es', 'Page {page} of {pages}', { page: 2, pages: 5 })).toBe('Página 2 de 5');
+  expect(translate('es', 'Something new')).toBe('Something new');
+  expect(translate('en', 'Page {page} of {pages}', { page: 1 })).toBe('Page 1 of {pages}');
+  // stored audit summaries nest as messages
+  expect(translate('es', 'Undid: {summary}', { summary: { text: 'Deleted course {course}', params: { course: 'X' } } })).toBe('Deshecho: Curso X eliminado');
+
+  const us = localization({ language: '', hourCycle: '', weekStart: '' }, ['en-US']);
+  expect([us.language, us.locale, us.hour12, us.days[0]]).toEqual(['en', 'en-US', true, 7]);
+  expect(us.time('13:05')).toMatch(/^1:05\sPM$/);
+  expect(us.dayName(1, 'long')).toBe('Monday');
+
+  const es = localization({ language: '', hourCycle: '', weekStart: '' }, ['es-ES', 'en']);
+  expect([es.language, es.hour12, es.days]).toEqual(['es', false, [1, 2, 3, 4, 5, 6, 7]]);
+  expect(es.t('Timetable')).toBe('Horario');
+  expect(es.timeRange('09:00', '10:30')).toBe('9:00–10:30');
+  expect(es.dayName(3, 'long')).toBe('miércoles');
+  // checks phrase their messages in the caller's language and default to English
+  const needsBoth = { ...course('CSE201', [1], '09:00', '10:00', 5), prerequisites: [['CSE101', 'CSE102']] };
+  expect(missingRequirement(student('s'), needsBoth, es.t)).toBe('Falta un requisito previo para CSE201: uno de CSE101, CSE102');
+  expect(missingRequirement(student('s'), needsBoth)).toBe('Missing prerequisite for CSE201: one of CSE101, CSE102');
+
+  const chosen = localization({ language: 'es', hourCycle: '12', weekStart: '7' }, ['de-DE']);
+  expect([chosen.language, chosen.locale, chosen.hour12, chosen.days[0]]).toEqual(['es', 'es', true, 7]);
+  expect(localization({ language: '', hourCycle: '24', weekStart: '' }, ['fr-FR']).time('15:00')).toBe('15:00'); // unsupported language falls back to English
+
+  expect(dayName(5)).toBe('Fri');
+  expect([parseDay('Mon'), parseDay('thursday'), parseDay('7'), parseDay('miércoles', 'es'), parseDay('sáb', 'es'), parseDay('Funday')]).toEqual([1, 4, 7, 3, 6, null]);
+  expect(parseAvailability('lunes 09:00-12:00', 'es')).toEqual([{ day: 1, start: '09:00', end: '12:00' }]);
+});
+
+test('migrates English day abbreviations to weekday numbers', () => {
+  const v8 = migrateData({ users: { admins: [], students: [] }, courses: [] });
+  const data = migrateData({
+    ...v8,
+    schemaVersion: 8,
+    courses: [{ ...course('X', [], '09:00', '10:00'), sections: [{ id: 'L1', type: 'Lecture', days: ['Tue', 'Sun'], start: '09:00', end: '10:00', seats: 5 }] }],
+    rooms: [{ id: 'R', name: 'R', capacity: 10, availability: [{ day: 'Fri', start: '08:00', end: '12:00' }] }],
+  });
+  expect(data.schemaVersion).toBe(11);
+  const logged = migrateData({ ...data, schemaVersion: 9, auditLog: [{ id: 'e1', changes: [{ kind: 'admin', id: 'r', before: { username: 'r', name: 'R', passwordHash: { hash: 'h' } }, after: { username: 'r', name: 'Root', passwordHash: { hash: 'h' } } }] }] });
+  expect(logged.auditLog[0].changes).toEqual([{ kind: 'admin', id: 'r', before: { name: 'R' }, after: { name: 'Root' } }]);
+  expect(data.courses[0].sections[0].days).toEqual([2, 7]);
+  expect(data.rooms[0].availability).toEqual([{ day: 5, start: '08:00', end: '12:00' }]);
+
+  // undoing a change logged before the switch restores numbers, not names
+  const gone = { ...course('Y', [], '09:00', '10:00'), sections: [{ id: 'L1', type: 'Lecture', days: ['Mon'], start: '09:00', end: '10:00', seats: 5 }] };
+  const old = migrateData({ ...v8, schemaVersion: 8, auditLog: [{ id: 'e1', summary: 'Deleted course Y', changes: [{ kind: 'course', id: 'Y', before: gone, after: null }] }] });
+  expect(undoAudit(old, old.auditLog[0]).data.courses[0].sections[0].days).toEqual([1]);
+});
+
+test('reports a password that cannot be checked instead of failing silently', async () => {
+  localStorage.clear();
+  const { password, ...a } = student('a');
+  const data = migrateData({ users: { admins: [], students: [{ ...a, passwordHash: await hashPassword('a-password', undefined, 1000) }] }, courses: [] });
+  localStorage.setItem('course_scheduler_data', JSON.stringify(data));
+  window.history.pushState(null, '', '/login/student');
+  const importKey = jest.spyOn(crypto.subtle, 'importKey').mockRejectedValue(new Error('PBKDF2 is not supported'));
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  render(<App storage={createLocalBackend()} />);
+  fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'a' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'a-password' } });
+  fireEvent.click(screen.getAllByRole('button', { name: 'Login' }).pop());
+  expect(await screen.findByText('Could not process the password: PBKDF2 is not supported')).toBeInTheDocument();
+  importKey.mockRestore();
+  error.mockRestore();
+  window.history.pushState(null, '', '/');
+  localStorage.clear();
+});
+
+test('keeps an instructor\'s unsaved grades when the app re-renders', () => {
+  localStorage.clear();
+  const { password, ...s } = student('s', ['A']);
+  const data = migrateData({ users: { admins: [], students: [s], instructors: [{ username: 'ada', name: 'Ada' }] }, courses: [{ ...course('A', [1], '09:00', '10:00', 5), instructorId: 'ada' }] });
+  localStorage.setItem('course_scheduler_data', JSON.stringify(data));
+  localStorage.setItem('course_scheduler_session', JSON.stringify({ type: 'instructor', user: { username: 'ada', name: 'Ada' }, expiresAt: Date.now() + 60000, lastActive: Date.now() }));
+  window.history.pushState(null, '', '/instructor');
+  render(<App storage={createLocalBackend()} />);
+  fireEvent.change(screen.getByLabelText('Grade for s'), { target: { value: 'B' } });
+  fireEvent.change(screen.getByLabelText('Clock'), { target: { value: '24' } }); // any App-level state change re-renders the dashboard
+  expect(screen.getByLabelText('Grade for s')).toHaveValue('B');
+  window.history.pushState(null, '', '/');
+  localStorage.clear();
+});
+
+test('shows only the password form on every page until a forced reset is done', () => {
+  const data = migrateData({ users: { admins: [], students: [{ ...student('s'), mustChangePassword: true }] }, courses: [course('A', [1], '09:00', '10:00', 5)] });
+  localStorage.setItem('course_scheduler_data', JSON.stringify(data));
+  localStorage.setItem('course_scheduler_session', JSON.stringify({ type: 'student', user: { username: 's', name: 's' }, expiresAt: Date.now() + 60000, lastActive: Date.now() }));
+  for (const path of ['/student', '/course/A', '/catalog', '/inbox']) {
+    window.history.pushState(null, '', path);
+    const { unmount } = render(<App storage={createLocalBackend()} />);
+    expect(screen.getByRole('heading', { name: 'Change password' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Register/ })).toBeNull();
+    unmount();
+  }
+  window.history.pushState(null, '', '/');
+  localStorage.clear();
+});
+
+test('drops the oldest audit entries when local storage is full', async () => {
+  localStorage.clear();
+  const backend = createLocalBackend();
+  await backend.load();
+  const data = { ...migrateData({ users: { admins: [], students: [] }, courses: [] }), auditLog: [1, 2, 3, 4].map((n) => ({ id: `e${n}`, changes: [] })) };
+  const full = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+  const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementationOnce(() => { throw full; });
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  await backend.save(data);
+  expect(JSON.parse(localStorage.getItem('course_scheduler_data')).auditLog.map((e) => e.id)).toEqual(['e3', 'e4']);
+  await backend.save({ ...data, terms: [] }); // later saves from this tab still go through
+  setItem.mockRestore();
+  error.mockRestore();
+  localStorage.clear();
+});
+
+test('moves accounts between roles but never demotes the last active admin', () => {
+  const data = migrateData({
+    users: { admins: [{ username: 'root', name: 'Root' }], students: [student('a', ['X']), student('b')] },
+    courses: [course('X', [1], '09:00', '10:00', 1)],
+    waitlists: { X: ['b'] },
+  });
+  expect(withRole(data, 'admin', 'root', 'student').error).toBe('At least one active admin must remain');
+  const promoted = withRole(data, 'student', 'a', 'admin').data;
+  expect(promoted.users.admins.map((u) => u.username)).toEqual(['root', 'a']);
+  expect(promoted.users.admins[1].registrations).toBeUndefined();
+  expect(promoteWaitlists(promoted).users.students[0].registrations).toEqual(['X']); // a's seat goes to b
+  expect(withRole({ ...promoted, users: { ...promoted.users, admins: [{ ...promoted.users.admins[0], deactivated: true }, promoted.users.admins[1]] } }, 'admin', 'a', 'student').error).toMatch(/active admin/);
+  const demoted = withRole(promoted, 'admin', 'root', 'student').data;
+  expect(demoted.users.admins.map((u) => u.username)).toEqual(['a']);
+  expect(demoted.users.students.find((s) => s.username === 'root')).toEqual(expect.objectContaining({ name: 'Root', registrations: [] }));
+  expect(withRole(data, 'student', 'b', 'student').data).toBe(data);
+});
+
+test('marks notifications read without writing to the audit log', async () => {
+  localStorage.clear();
+  const { password, ...s } = student('s');
+  const data = migrateData({ users: { admins: [], students: [{ ...s, notices: [{ id: 'n1', at: '2026-03-01T10:00:00.000Z', text: 'Hello', kind: 'info', read: false }] }] }, courses: [] });
+  localStorage.setItem('course_scheduler_data', JSON.stringify(data));
+  localStorage.setItem('course_scheduler_session', JSON.stringify({ type: 'student', user: { username: 's', name: 's' }, expiresAt: Date.now() + 60000, lastActive: Date.now() }));
+  window.history.pushState(null, '', '/inbox');
+  render(<App storage={createLocalBackend()} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Mark read' }));
+  await waitFor(() => expect(JSON.parse(localStorage.getItem('course_scheduler_data')).users.students[0].notices[0].read).toBe(true));
+  expect(JSON.parse(localStorage.getItem('course_scheduler_data')).auditLog).toEqual([]);
+  window.history.pushState(null, '', '/');
+  localStorage.clear();
+});
+
+test('keeps a half-filled admin form when another tab saves', async () => {
+  localStorage.clear();
+  const data = migrateData({ users: { admins: [{ username: 'root', name: 'Root' }], students: [] }, courses: [] });
+  localStorage.setItem('course_scheduler_data', JSON.stringify(data));
+  localStorage.setItem('course_scheduler_session', JSON.stringify({ type: 'admin', user: { username: 'root', name: 'Root' }, expiresAt: Date.now() + 60000, lastActive: Date.now() }));
+  window.history.pushState(null, '', '/admin');
+  render(<App storage={createLocalBackend()} />);
+  fireEvent.change(screen.getAllByLabelText('Name')[0], { target: { value: 'Half-typed course' } });
+  const elsewhere = JSON.stringify({ ...data, terms: [{ id: 'T1', name: 'Spring', start: '2026-01-05', end: '2026-04-30', holidays: [] }] });
+  localStorage.setItem('course_scheduler_data', elsewhere);
+  window.dispatchEvent(new StorageEvent('storage', { key: 'course_scheduler_data', newValue: elsewhere }));
+  expect(await screen.findByText('Updated with changes made elsewhere.')).toBeInTheDocument();
+  expect(screen.getAllByLabelText('Name')[0]).toHaveValue('Half-typed course');
+  // a refused save keeps what was typed too
+  fireEvent.click(screen.getByRole('button', { name: 'Add course' }));
+  expect(screen.getByText('Section L1 needs at least one day')).toBeInTheDocument();
+  expect(screen.getAllByLabelText('Name')[0]).toHaveValue('Half-typed course');
+  window.history.pushState(null, '', '/');
+  localStorage.clear();
 });
@@ -0,0 +1,69 @@
+// iCalendar (RFC 5545) output for a student's timetable, shared by the app's "Export to calendar"
+// and the mock API's calendar feed. It is CommonJS so server/mock-server.js can require it as is.
+
+const ICS_DAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]; // section days are ISO weekday numbers, 1 = Monday
+
+function icsText(text) {
+  return String(text || "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Content lines longer than 75 octets continue on lines starting with a space.
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  let out = "";
+  let width = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (width + size > 75) {
+      out += "\r\n ";
+      width = 1;
+    }
+    out += ch;
+    width += size;
+  }
+  return out;
+}
+
+function icsDateTime(date, time) {
+  return `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+}
+
+function addDays(date, n) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+  return ((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7) + 1;
+}
+
+// One weekly VEVENT per meeting, bounded by the course's dates, with the term's holidays excluded.
+// Times are floating (no time zone), so a class at 09:00 shows at 09:00 on the student's device.
+// UIDs depend only on the student, course and section, so re-importing updates events in place.
+// meetings: [{ course, section, dates: { start, end }, holidays: ["YYYY-MM-DD"], datesText }].
+function calendarIcs(student, meetings, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Course Scheduler//Timetable//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH", `X-WR-CALNAME:${icsText(`${student.name || student.username} timetable`)}`];
+  for (const { course, section, dates, holidays: closed = [], datesText } of meetings) {
+    let first = dates.start;
+    while (first <= dates.end && !section.days.includes(weekdayOf(first))) first = addDays(first, 1);
+    if (first > dates.end) continue;
+    const holidays = closed.filter((h) => h >= first && h <= dates.end && section.days.includes(weekdayOf(h)));
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${student.username}-${course.id}-${section.id}@course-scheduler`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDateTime(first, section.start)}`,
+      `DTEND:${icsDateTime(first, section.end)}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${section.days.map((d) => ICS_DAYS[d - 1]).join(",")};UNTIL=${icsDateTime(dates.end, "23:59")}`,
+      ...(holidays.length ? [`EXDATE:${holidays.map((h) => icsDateTime(h, section.start)).join(",")}`] : []),
+      `SUMMARY:${icsText(`${course.id} ${section.type} ${section.id}: ${course.name}`)}`,
+      ...(section.room ? [`LOCATION:${icsText(section.room)}`] : []),
+      `DESCRIPTION:${icsText([course.name, course.description, datesText].filter(Boolean).join("\n"))}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { calendarIcs };
@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+
+// jsdom has no Web Crypto or TextEncoder; borrow Node's so password hashing works under test.
+Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+window.TextEncoder = TextEncoder;